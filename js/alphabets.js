@@ -0,0 +1,171 @@
+/**
+ * Phonetic Visualizer - Alphabet Registry
+ * Named letter-name tables used to spell characters out at each phonetic layer
+ */
+
+// Store all registered alphabets
+const alphabets = {};
+
+// Alphabet used when none is selected
+const DEFAULT_ALPHABET = 'english';
+
+/**
+ * Registers a named alphabet with the system
+ * @param {string} name - Unique identifier for the alphabet
+ * @param {Object} options - Alphabet definition
+ * @param {string} options.displayName - Label shown in the alphabet selector
+ * @param {Object} options.map - Lower-case character to letter-name mapping
+ * @param {Object} [options.digits] - Digit to digit-name mapping (English digit names are used if omitted)
+ */
+function registerAlphabet(name, options) {
+  alphabets[name] = Object.freeze({
+    name,
+    displayName: options.displayName || name,
+    map: Object.freeze({ ...options.map }),
+    digits: options.digits ? Object.freeze({ ...options.digits }) : null
+  });
+}
+
+/**
+ * Gets a registered alphabet by name, falling back to the default alphabet
+ * @param {string} name - Name of the alphabet to get
+ * @returns {Object} The alphabet object
+ */
+function getAlphabet(name) {
+  return alphabets[name] || alphabets[DEFAULT_ALPHABET];
+}
+
+/**
+ * Gets all registered alphabets
+ * @returns {Object} Object containing all registered alphabets
+ */
+function getAllAlphabets() {
+  return alphabets;
+}
+
+/**
+ * Looks up the letter name for a character in an alphabet's map.
+ * Accented letters the alphabet does not list fall back to their base letter,
+ * so names such as "bé" keep expanding in the next layer.
+ * @param {Object} map - Letter-name mapping of an alphabet
+ * @param {string} char - Character to look up
+ * @returns {string|null} The letter name, or null if the character is not a letter of the alphabet
+ */
+function lookupLetterName(map, char) {
+  if (typeof char !== 'string' || !char) return null;
+  const lowerChar = char.toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(map, lowerChar)) {
+    return map[lowerChar];
+  }
+  const baseChar = lowerChar.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (baseChar !== lowerChar && Object.prototype.hasOwnProperty.call(map, baseChar)) {
+    return map[baseChar];
+  }
+  return null;
+}
+
+// English letter names
+registerAlphabet('english', {
+  displayName: 'English',
+  map: {
+    a: "ay", b: "bee", c: "see", d: "dee", e: "ee", f: "ef",
+    g: "jee", h: "aych", i: "eye", j: "jay", k: "kay", l: "el",
+    m: "em", n: "en", o: "oh", p: "pee", q: "cue", r: "ar",
+    s: "ess", t: "tee", u: "you", v: "vee", w: "doubleyou",
+    x: "ex", y: "why", z: "zee"
+  }
+});
+
+// NATO/ICAO spelling alphabet (ICAO spellings, "X-ray" without the hyphen)
+registerAlphabet('nato', {
+  displayName: 'NATO / ICAO',
+  map: {
+    a: "alfa", b: "bravo", c: "charlie", d: "delta", e: "echo", f: "foxtrot",
+    g: "golf", h: "hotel", i: "india", j: "juliett", k: "kilo", l: "lima",
+    m: "mike", n: "november", o: "oscar", p: "papa", q: "quebec", r: "romeo",
+    s: "sierra", t: "tango", u: "uniform", v: "victor", w: "whiskey",
+    x: "xray", y: "yankee", z: "zulu"
+  },
+  digits: {
+    0: "zero", 1: "one", 2: "two", 3: "tree", 4: "fower",
+    5: "fife", 6: "six", 7: "seven", 8: "eight", 9: "niner"
+  }
+});
+
+// Greek letter names. Latin letters are read through the standard Greek
+// keyboard layout (u = θ, j = ξ, c = ψ, v = ω, w = ς); q has no letter there
+// and maps to koppa, the archaic letter Q descends from.
+registerAlphabet('greek', {
+  displayName: 'Greek',
+  map: {
+    α: "alpha", β: "beta", γ: "gamma", δ: "delta", ε: "epsilon", ζ: "zeta",
+    η: "eta", θ: "theta", ι: "iota", κ: "kappa", λ: "lambda", μ: "mu",
+    ν: "nu", ξ: "xi", ο: "omicron", π: "pi", ρ: "rho", σ: "sigma", ς: "sigma",
+    τ: "tau", υ: "upsilon", φ: "phi", χ: "chi", ψ: "psi", ω: "omega",
+    a: "alpha", b: "beta", g: "gamma", d: "delta", e: "epsilon", z: "zeta",
+    h: "eta", u: "theta", i: "iota", k: "kappa", l: "lambda", m: "mu",
+    n: "nu", j: "xi", o: "omicron", p: "pi", r: "rho", s: "sigma", w: "sigma",
+    t: "tau", y: "upsilon", f: "phi", x: "chi", c: "psi", v: "omega",
+    q: "koppa"
+  },
+  digits: {
+    0: "miden", 1: "ena", 2: "dio", 3: "tria", 4: "tessera",
+    5: "pente", 6: "exi", 7: "epta", 8: "okto", 9: "ennea"
+  }
+});
+
+// German letter names
+registerAlphabet('german', {
+  displayName: 'Deutsch',
+  map: {
+    a: "ah", b: "beh", c: "tseh", d: "deh", e: "eh", f: "eff",
+    g: "geh", h: "hah", i: "ih", j: "jott", k: "kah", l: "ell",
+    m: "emm", n: "enn", o: "oh", p: "peh", q: "kuh", r: "err",
+    s: "ess", t: "teh", u: "uh", v: "fau", w: "weh", x: "iks",
+    y: "ypsilon", z: "tsett", ä: "äh", ö: "öh", ü: "üh", ß: "eszett"
+  },
+  digits: {
+    0: "null", 1: "eins", 2: "zwei", 3: "drei", 4: "vier",
+    5: "fünf", 6: "sechs", 7: "sieben", 8: "acht", 9: "neun"
+  }
+});
+
+// French letter names
+registerAlphabet('french', {
+  displayName: 'Français',
+  map: {
+    a: "a", b: "bé", c: "cé", d: "dé", e: "e", f: "effe",
+    g: "gé", h: "ache", i: "i", j: "ji", k: "ka", l: "elle",
+    m: "emme", n: "enne", o: "o", p: "pé", q: "cu", r: "erre",
+    s: "esse", t: "té", u: "u", v: "vé", w: "doublevé", x: "ixe",
+    y: "igrec", z: "zède"
+  },
+  digits: {
+    0: "zéro", 1: "un", 2: "deux", 3: "trois", 4: "quatre",
+    5: "cinq", 6: "six", 7: "sept", 8: "huit", 9: "neuf"
+  }
+});
+
+// Spanish letter names
+registerAlphabet('spanish', {
+  displayName: 'Español',
+  map: {
+    a: "a", b: "be", c: "ce", d: "de", e: "e", f: "efe",
+    g: "ge", h: "hache", i: "i", j: "jota", k: "ka", l: "ele",
+    m: "eme", n: "ene", ñ: "eñe", o: "o", p: "pe", q: "cu",
+    r: "erre", s: "ese", t: "te", u: "u", v: "uve", w: "uvedoble",
+    x: "equis", y: "ye", z: "zeta"
+  },
+  digits: {
+    0: "cero", 1: "uno", 2: "dos", 3: "tres", 4: "cuatro",
+    5: "cinco", 6: "seis", 7: "siete", 8: "ocho", 9: "nueve"
+  }
+});
+
+export {
+  DEFAULT_ALPHABET,
+  registerAlphabet,
+  getAlphabet,
+  getAllAlphabets,
+  lookupLetterName
+};
@@ -0,0 +1,395 @@
+/**
+ * Phonetic Visualizer - Canvas Camera
+ * One zoom/pan camera per canvas. Visualizers draw in world coordinates and
+ * the camera maps them to the screen: screen = world * scale + offset.
+ */
+
+import { getCanvasSize } from './surface.js';
+
+// Store one camera per canvas ID
+const cameras = {};
+
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 5;
+
+// Zoom factor of one wheel step, key press or double click
+const WHEEL_ZOOM_STEP = 0.1;
+const KEY_ZOOM_STEP = 0.2;
+const DOUBLE_CLICK_ZOOM = 2;
+
+// Distance in pixels an arrow key pans the view
+const KEY_PAN_STEP = 40;
+
+// Space left around the content by "fit to content"
+const FIT_PADDING = 20;
+
+/**
+ * Clamps a scale to the allowed zoom range
+ * @param {number} scale - Scale to clamp
+ * @returns {number} The clamped scale
+ */
+function clampScale(scale) {
+  return Math.max(MIN_SCALE, Math.min(MAX_SCALE, scale));
+}
+
+/**
+ * Creates a camera for a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas the camera looks at
+ * @returns {Object} Camera object
+ */
+function createCamera(canvas) {
+  // Current view, and the view the smooth zoom is heading for
+  const view = { scale: 1, offsetX: 0, offsetY: 0 };
+  const target = { ...view };
+  let animationId = null;
+  const listeners = new Set();
+
+  /**
+   * Tells the listeners (e.g. the visualizer's redraw) that the view changed
+   */
+  function notify() {
+    listeners.forEach(listener => {
+      try {
+        listener(camera.getView());
+      } catch (error) {
+        console.error(`Error in camera listener for ${canvas.id}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Moves the view 10% of the remaining way towards the target every frame
+   */
+  function step() {
+    const scaleDiff = target.scale - view.scale;
+    const offsetXDiff = target.offsetX - view.offsetX;
+    const offsetYDiff = target.offsetY - view.offsetY;
+
+    if (Math.abs(scaleDiff) < 0.001 && Math.abs(offsetXDiff) < 0.1 && Math.abs(offsetYDiff) < 0.1) {
+      Object.assign(view, target);
+      animationId = null;
+    } else {
+      view.scale += scaleDiff * 0.1;
+      view.offsetX += offsetXDiff * 0.1;
+      view.offsetY += offsetYDiff * 0.1;
+      animationId = requestAnimationFrame(step);
+    }
+    notify();
+  }
+
+  /**
+   * Moves the view to the target, smoothly or at once
+   * @param {boolean} animate - Ease towards the target
+   */
+  function moveToTarget(animate) {
+    if (animate) {
+      if (animationId === null) {
+        animationId = requestAnimationFrame(step);
+      }
+      return;
+    }
+    if (animationId !== null) {
+      cancelAnimationFrame(animationId);
+      animationId = null;
+    }
+    Object.assign(view, target);
+    notify();
+  }
+
+  const camera = {
+    canvas,
+
+    /**
+     * Gets the current view
+     * @returns {Object} { scale, offsetX, offsetY }
+     */
+    getView() {
+      return { ...view };
+    },
+
+    /**
+     * Sets the view, e.g. one restored from a link or preset
+     * @param {Object} newView - { scale, offsetX, offsetY }; missing values are kept
+     * @param {Object} [options] - { animate } to ease into the view
+     */
+    setView(newView, options = {}) {
+      const scale = Number(newView.scale);
+      const offsetX = Number(newView.offsetX);
+      const offsetY = Number(newView.offsetY);
+      if (Number.isFinite(scale) && scale > 0) target.scale = clampScale(scale);
+      if (Number.isFinite(offsetX)) target.offsetX = offsetX;
+      if (Number.isFinite(offsetY)) target.offsetY = offsetY;
+      moveToTarget(options.animate);
+    },
+
+    /**
+     * Applies the view to a context, after which it draws in world coordinates.
+     * Call it between ctx.save() and ctx.restore().
+     * @param {CanvasRenderingContext2D} ctx - The canvas context
+     */
+    apply(ctx) {
+      ctx.translate(view.offsetX, view.offsetY);
+      ctx.scale(view.scale, view.scale);
+    },
+
+    /**
+     * Converts a point on the canvas (in CSS pixels from its top left) to world coordinates
+     * @param {number} x - Screen x
+     * @param {number} y - Screen y
+     * @returns {Object} { x, y } in world coordinates
+     */
+    screenToWorld(x, y) {
+      return {
+        x: (x - view.offsetX) / view.scale,
+        y: (y - view.offsetY) / view.scale
+      };
+    },
+
+    /**
+     * Converts a point in world coordinates to a point on the canvas
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @returns {Object} { x, y } in CSS pixels from the canvas' top left
+     */
+    worldToScreen(x, y) {
+      return {
+        x: x * view.scale + view.offsetX,
+        y: y * view.scale + view.offsetY
+      };
+    },
+
+    /**
+     * Zooms by a factor, keeping a point of the canvas in place
+     * @param {number} factor - Zoom factor (above 1 zooms in)
+     * @param {number} [screenX] - Point kept in place (defaults to the canvas center)
+     * @param {number} [screenY] - Point kept in place (defaults to the canvas center)
+     * @param {Object} [options] - { animate } to zoom smoothly (the default)
+     */
+    zoomAt(factor, screenX = getCanvasSize(canvas).width / 2, screenY = getCanvasSize(canvas).height / 2, options = {}) {
+      // Zoom from the target so that quick successive steps add up
+      const scale = clampScale(target.scale * factor);
+      const worldX = (screenX - target.offsetX) / target.scale;
+      const worldY = (screenY - target.offsetY) / target.scale;
+      target.scale = scale;
+      target.offsetX = screenX - worldX * scale;
+      target.offsetY = screenY - worldY * scale;
+      moveToTarget(options.animate !== false);
+    },
+
+    /**
+     * Pans the view by a distance on the screen
+     * @param {number} dx - Horizontal distance in pixels
+     * @param {number} dy - Vertical distance in pixels
+     * @param {Object} [options] - { animate } to pan smoothly
+     */
+    panBy(dx, dy, options = {}) {
+      target.offsetX += dx;
+      target.offsetY += dy;
+      moveToTarget(options.animate);
+    },
+
+    /**
+     * Returns to the default view
+     * @param {Object} [options] - { animate } to move smoothly (the default)
+     */
+    reset(options = {}) {
+      Object.assign(target, { scale: 1, offsetX: 0, offsetY: 0 });
+      moveToTarget(options.animate !== false);
+    },
+
+    /**
+     * Zooms and pans so that an area of the world fills the canvas
+     * @param {Object|null} bounds - { minX, minY, maxX, maxY } in world coordinates; resets the view if missing
+     * @param {Object} [options] - { animate, padding }
+     */
+    fitToBounds(bounds, options = {}) {
+      const padding = options.padding ?? FIT_PADDING;
+      const width = bounds ? bounds.maxX - bounds.minX : 0;
+      const height = bounds ? bounds.maxY - bounds.minY : 0;
+      if (!(width > 0 && height > 0)) {
+        camera.reset(options);
+        return;
+      }
+
+      const size = getCanvasSize(canvas);
+      const scale = clampScale(Math.min(
+        Math.max(1, size.width - padding * 2) / width,
+        Math.max(1, size.height - padding * 2) / height
+      ));
+      target.scale = scale;
+      target.offsetX = size.width / 2 - (bounds.minX + width / 2) * scale;
+      target.offsetY = size.height / 2 - (bounds.minY + height / 2) * scale;
+      moveToTarget(options.animate !== false);
+    },
+
+    /**
+     * Registers a listener called whenever the view changes
+     * @param {Function} listener - (view) => void
+     * @returns {Function} Function removing the listener
+     */
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Adds the mouse, touch and keyboard controls to the canvas: wheel or
+     * pinch to zoom, drag or two-finger drag to pan, double click to zoom in
+     * (with Shift to zoom out), arrow keys to pan, +/- to zoom and 0 to reset
+     * @returns {Function} Function removing the controls
+     */
+    attachControls() {
+      const removers = [];
+      const listen = (target, type, handler, options) => {
+        target.addEventListener(type, handler, options);
+        removers.push(() => target.removeEventListener(type, handler, options));
+      };
+      const toCanvasPoint = (clientX, clientY) => {
+        const rect = canvas.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+      };
+
+      // Keyboard controls need the canvas to be focusable
+      if (!canvas.hasAttribute('tabindex')) {
+        canvas.tabIndex = 0;
+      }
+
+      // Zoom around the mouse
+      listen(canvas, 'wheel', event => {
+        event.preventDefault();
+        const point = toCanvasPoint(event.clientX, event.clientY);
+        camera.zoomAt(event.deltaY < 0 ? 1 + WHEEL_ZOOM_STEP : 1 - WHEEL_ZOOM_STEP, point.x, point.y);
+      }, { passive: false });
+
+      // Drag to pan, 1:1 with the mouse
+      let dragging = false;
+      let lastX = 0;
+      let lastY = 0;
+      listen(canvas, 'mousedown', event => {
+        dragging = true;
+        lastX = event.clientX;
+        lastY = event.clientY;
+      });
+      listen(canvas, 'mousemove', event => {
+        if (!dragging) return;
+        camera.panBy(event.clientX - lastX, event.clientY - lastY);
+        lastX = event.clientX;
+        lastY = event.clientY;
+      });
+      listen(canvas, 'mouseup', () => { dragging = false; });
+      listen(canvas, 'mouseleave', () => { dragging = false; });
+
+      listen(canvas, 'dblclick', event => {
+        event.preventDefault();
+        const point = toCanvasPoint(event.clientX, event.clientY);
+        camera.zoomAt(event.shiftKey ? 1 / DOUBLE_CLICK_ZOOM : DOUBLE_CLICK_ZOOM, point.x, point.y);
+      });
+
+      // Two fingers pinch to zoom and move together to pan; one finger still scrolls the page
+      let pinch = null;
+      const getPinch = touches => {
+        const first = toCanvasPoint(touches[0].clientX, touches[0].clientY);
+        const second = toCanvasPoint(touches[1].clientX, touches[1].clientY);
+        return {
+          x: (first.x + second.x) / 2,
+          y: (first.y + second.y) / 2,
+          distance: Math.hypot(second.x - first.x, second.y - first.y)
+        };
+      };
+      listen(canvas, 'touchstart', event => {
+        if (event.touches.length !== 2) return;
+        event.preventDefault();
+        pinch = getPinch(event.touches);
+      }, { passive: false });
+      listen(canvas, 'touchmove', event => {
+        if (!pinch || event.touches.length !== 2) return;
+        event.preventDefault();
+        const next = getPinch(event.touches);
+        camera.panBy(next.x - pinch.x, next.y - pinch.y);
+        if (pinch.distance > 0) {
+          camera.zoomAt(next.distance / pinch.distance, next.x, next.y, { animate: false });
+        }
+        pinch = next;
+      }, { passive: false });
+      const endPinch = event => {
+        if (event.touches.length < 2) pinch = null;
+      };
+      listen(canvas, 'touchend', endPinch);
+      listen(canvas, 'touchcancel', endPinch);
+
+      listen(canvas, 'keydown', event => {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        switch (event.key) {
+          case 'ArrowLeft': camera.panBy(KEY_PAN_STEP, 0, { animate: true }); break;
+          case 'ArrowRight': camera.panBy(-KEY_PAN_STEP, 0, { animate: true }); break;
+          case 'ArrowUp': camera.panBy(0, KEY_PAN_STEP, { animate: true }); break;
+          case 'ArrowDown': camera.panBy(0, -KEY_PAN_STEP, { animate: true }); break;
+          case '+':
+          case '=': camera.zoomAt(1 + KEY_ZOOM_STEP); break;
+          case '-':
+          case '_': camera.zoomAt(1 / (1 + KEY_ZOOM_STEP)); break;
+          case '0': camera.reset(); break;
+          default: return;
+        }
+        event.preventDefault();
+      });
+
+      return () => removers.splice(0).forEach(remove => remove());
+    }
+  };
+
+  return camera;
+}
+
+/**
+ * Gets the camera of a canvas, creating it on first use
+ * @param {HTMLCanvasElement|string} canvas - Canvas element or its ID
+ * @returns {Object|null} The camera, or null if the canvas does not exist
+ */
+function getCamera(canvas) {
+  const element = typeof canvas === 'string' ? document.getElementById(canvas) : canvas;
+  if (!element) {
+    console.warn(`Canvas element not found for camera: ${canvas}`);
+    return null;
+  }
+  if (!cameras[element.id] || cameras[element.id].canvas !== element) {
+    cameras[element.id] = createCamera(element);
+  }
+  return cameras[element.id];
+}
+
+/**
+ * Gets the bounding box of points, e.g. for a visualizer's getBounds
+ * @param {Array} points - Array of { x, y } in world coordinates
+ * @param {number} [margin] - Space added on every side (e.g. for text drawn at the points)
+ * @returns {Object|null} { minX, minY, maxX, maxY }, or null if there are no points
+ */
+function getPointBounds(points, margin = 0) {
+  let bounds = null;
+  points.forEach(point => {
+    if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) return;
+    if (!bounds) {
+      bounds = { minX: point.x, minY: point.y, maxX: point.x, maxY: point.y };
+      return;
+    }
+    bounds.minX = Math.min(bounds.minX, point.x);
+    bounds.minY = Math.min(bounds.minY, point.y);
+    bounds.maxX = Math.max(bounds.maxX, point.x);
+    bounds.maxY = Math.max(bounds.maxY, point.y);
+  });
+  if (!bounds) return null;
+  return {
+    minX: bounds.minX - margin,
+    minY: bounds.minY - margin,
+    maxX: bounds.maxX + margin,
+    maxY: bounds.maxY + margin
+  };
+}
+
+export {
+  MIN_SCALE,
+  MAX_SCALE,
+  createCamera,
+  getCamera,
+  getPointBounds
+};
@@ -0,0 +1,470 @@
+/**
+ * Phonetic Visualizer - Export
+ * Saves the current picture of a visualizer, or its animation, as a file,
+ * drawn again by its redraw function at a chosen resolution rather than
+ * copied from the screen, and the sound of visualizers that make one
+ */
+
+import { createCamera } from './camera.js';
+import { getCanvasSize } from './surface.js';
+import { createSvgContext } from './svg-context.js';
+import { createGifEncoder } from './gif-encoder.js';
+import { createZip } from './zip.js';
+import { encodeWav } from './wav-encoder.js';
+import { encodeMidi } from './midi-encoder.js';
+import { downloadFile } from './utils.js';
+
+// Resolution multipliers offered for images (times the on-screen CSS size)
+const MIN_EXPORT_SCALE = 1;
+const MAX_EXPORT_SCALE = 8;
+
+// Animations draw hundreds of frames, each quantized or kept as a PNG, so their resolution is capped lower
+const MAX_ANIMATION_SCALE = 2;
+
+// Frame rates offered for animations. GIF delays count hundredths of a
+// second and browsers slow down delays under 2, so 30 frames per second is the limit.
+const MIN_FRAME_RATE = 1;
+const MAX_FRAME_RATE = 30;
+const DEFAULT_FRAME_RATE = 15;
+
+// Most frames an animation export draws; longer animations are drawn at a lower frame rate,
+// down to MIN_FRAME_RATE (ten minutes), and longer ones than that are not exported
+const MAX_ANIMATION_FRAMES = 600;
+
+// Milliseconds the finished picture stays before a GIF starts over
+const FINAL_FRAME_HOLD = 1000;
+
+/**
+ * Clamps an image resolution multiplier to the offered range
+ * @param {number} scale - Requested multiplier
+ * @returns {number} Whole multiplier from 1 to 8
+ */
+function clampExportScale(scale) {
+  return Math.max(MIN_EXPORT_SCALE, Math.min(MAX_EXPORT_SCALE, Math.round(scale) || 1));
+}
+
+/**
+ * Clamps an animation frame rate to the offered range
+ * @param {number} fps - Requested frames per second
+ * @returns {number} Whole frame rate from 1 to 30
+ */
+function clampFrameRate(fps) {
+  return Math.max(MIN_FRAME_RATE, Math.min(MAX_FRAME_RATE, Math.round(fps) || DEFAULT_FRAME_RATE));
+}
+
+/**
+ * Builds a file name from the word and the visualizer, e.g. "hello-world-spiral@2x.png"
+ * @param {string} word - Word or phrase shown
+ * @param {string} visualizerName - Name of the visualizer
+ * @param {string} extension - File extension without the dot
+ * @param {string} [suffix] - Text added after the visualizer name, e.g. "@2x"
+ * @returns {string} The file name
+ */
+function getExportFilename(word, visualizerName, extension, suffix = '') {
+  const slug = String(word || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'phonetic';
+  return `${slug}-${visualizerName}${suffix}.${extension}`;
+}
+
+/**
+ * Gets the color behind an element: its own background, or that of the first
+ * ancestor with one
+ * @param {HTMLElement} element - The element
+ * @returns {string} A CSS color
+ */
+function getPageBackground(element) {
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    const color = getComputedStyle(node).backgroundColor;
+    if (color && color !== 'transparent' && !/^rgba\(.*,\s*0\)$/.test(color)) return color;
+  }
+  return '#ffffff';
+}
+
+/**
+ * Gets the camera an export is drawn with
+ * @param {Object} visualizer - The visualizer
+ * @param {string} view - "current" (the on-screen view), "default" (no zoom or pan) or "fit" (the whole picture)
+ * @returns {Object} A camera (see camera.js)
+ */
+function getExportCamera(visualizer, view) {
+  if (view === 'current') return visualizer.getCamera();
+
+  // A separate camera, so the on-screen view does not move
+  const camera = createCamera(visualizer.getCanvas());
+  if (view === 'fit') {
+    camera.fitToBounds(visualizer.getBounds(), { animate: false });
+  }
+  return camera;
+}
+
+/**
+ * Draws the current picture of a visualizer into a new canvas at an export resolution
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} options - Export options
+ * @param {number} [options.scale] - Image pixels per CSS pixel of the canvas (1-8)
+ * @param {boolean} [options.transparent] - Leave out the background
+ * @param {Object} camera - Camera to draw with (see getExportCamera)
+ * @returns {HTMLCanvasElement|null} The image, or null if there is nothing to draw
+ */
+function renderImage(visualizer, options, camera) {
+  const snapshot = visualizer.renderSnapshot({
+    supersampling: clampExportScale(options.scale),
+    pixelRatio: 1, // The scale counts CSS pixels, whatever the screen's density
+    camera,
+    transparent: !!options.transparent
+  });
+  if (!snapshot || options.transparent) return snapshot;
+
+  // Visualizers without a background of their own (e.g. the spiral) are shown on the page's
+  const image = document.createElement('canvas');
+  image.width = snapshot.width;
+  image.height = snapshot.height;
+  const ctx = image.getContext('2d');
+  ctx.fillStyle = getPageBackground(visualizer.getContainer());
+  ctx.fillRect(0, 0, image.width, image.height);
+  ctx.drawImage(snapshot, 0, 0);
+  return image;
+}
+
+/**
+ * Encodes a canvas as a PNG image
+ * @param {HTMLCanvasElement} image - The canvas
+ * @returns {Promise} Promise resolving to the PNG Blob
+ */
+function encodePng(image) {
+  return new Promise((resolve, reject) => {
+    image.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error(`A ${image.width}×${image.height} image is too large for this browser; try a lower resolution.`));
+      }
+    }, 'image/png');
+  });
+}
+
+/**
+ * Draws the current picture of a visualizer as a PNG image
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - Export options
+ * @param {number} [options.scale] - Image pixels per CSS pixel of the canvas (1-8)
+ * @param {string} [options.view] - "current", "default" or "fit" (see getExportCamera)
+ * @param {boolean} [options.transparent] - Leave out the background
+ * @returns {Promise} Promise resolving to the PNG Blob
+ */
+function renderPng(visualizer, options = {}) {
+  const image = renderImage(visualizer, options, getExportCamera(visualizer, options.view || 'current'));
+  if (!image) {
+    return Promise.reject(new Error('There is no picture to export yet.'));
+  }
+  return encodePng(image);
+}
+
+/**
+ * Draws the current picture of a visualizer as an SVG document, with text
+ * kept as text
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - Export options
+ * @param {string} [options.view] - "current", "default" or "fit" (see getExportCamera)
+ * @param {boolean} [options.transparent] - Leave out the background
+ * @returns {Promise} Promise resolving to the SVG Blob
+ */
+function renderSvg(visualizer, options = {}) {
+  const { width, height } = getCanvasSize(visualizer.getCanvas());
+  const ctx = createSvgContext(width, height);
+  const drawn = visualizer.renderToContext(ctx, {
+    camera: getExportCamera(visualizer, options.view || 'current'),
+    transparent: !!options.transparent
+  });
+  if (!drawn) {
+    return Promise.reject(new Error('There is no picture to export yet.'));
+  }
+
+  const svg = ctx.toSvg({ background: options.transparent ? null : getPageBackground(visualizer.getContainer()) });
+  return Promise.resolve(new Blob([svg], { type: 'image/svg+xml' }));
+}
+
+/**
+ * Steps the animation of the current render from its start at a fixed frame
+ * rate and draws every frame. The timeline is paused and moved with seek, so
+ * the frames do not depend on how fast they are drawn; afterwards it returns
+ * to where it was. Endless animations are recorded for the length of the
+ * timeline (the typewriter's at least). An animation that would take more
+ * than MAX_ANIMATION_FRAMES frames is drawn whole at a lower frame rate.
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} options - renderImage options (with a scale of at most MAX_ANIMATION_SCALE), plus
+ * @param {string} [options.view] - "current", "default" or "fit" (see getExportCamera; "fit" fits the finished picture)
+ * @param {number} [options.fps] - Frames per second (1-30)
+ * @param {Function} [options.onProgress] - (drawn, count, fps) => void, called after every frame with the frame rate used
+ * @param {Function} onFrame - (image, index, count, fps) => Promise|undefined, called with every frame's canvas
+ * @returns {Promise} Promise resolving to the number of frames
+ */
+function renderAnimationFrames(visualizer, options, onFrame) {
+  const { timeline } = visualizer;
+  const status = timeline.getStatus();
+  const frameCount = fps => Math.floor(status.duration * fps / 1000) + 1;
+  let fps = clampFrameRate(options.fps);
+  if (frameCount(fps) > MAX_ANIMATION_FRAMES) {
+    fps = Math.max(MIN_FRAME_RATE, (MAX_ANIMATION_FRAMES - 1) * 1000 / status.duration);
+    if (frameCount(fps) > MAX_ANIMATION_FRAMES) {
+      return Promise.reject(new Error(`The animation is too long to export (${MAX_ANIMATION_FRAMES} frames at ${MIN_FRAME_RATE} fps at most).`));
+    }
+    console.log(`Animation of ${visualizer.name} is too long for ${clampFrameRate(options.fps)} fps, exporting at ${fps.toFixed(1)} fps`);
+  }
+  const count = frameCount(fps);
+  const frameOptions = { ...options, scale: Math.min(MAX_ANIMATION_SCALE, clampExportScale(options.scale)) };
+
+  timeline.pause();
+  timeline.seek(status.duration);
+  const camera = getExportCamera(visualizer, options.view || 'current');
+
+  // Put the timeline back, whether or not the export worked
+  const restore = () => {
+    timeline.seek(status.position);
+    if (status.playing) timeline.play();
+  };
+
+  const renderFrame = index => {
+    if (index >= count) return Promise.resolve(count);
+
+    timeline.seek(index * 1000 / fps);
+    const image = renderImage(visualizer, frameOptions, camera);
+    if (!image) {
+      return Promise.reject(new Error('There is no picture to export yet.'));
+    }
+    return Promise.resolve(onFrame(image, index, count, fps)).then(() => {
+      if (options.onProgress) options.onProgress(index + 1, count, fps);
+      // Give the page a chance to show the progress before the next frame
+      return new Promise(resolve => setTimeout(resolve, 0));
+    }).then(() => renderFrame(index + 1));
+  };
+
+  return renderFrame(0).then(frameCount => {
+    restore();
+    return frameCount;
+  }, error => {
+    restore();
+    throw error;
+  });
+}
+
+/**
+ * Draws the animation of the current render as an endlessly looping GIF
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - renderAnimationFrames options
+ * @returns {Promise} Promise resolving to the GIF Blob
+ */
+function renderGif(visualizer, options = {}) {
+  let encoder = null;
+
+  return renderAnimationFrames(visualizer, options, (image, index, count, fps) => {
+    if (!encoder) {
+      encoder = createGifEncoder(image.width, image.height, { transparent: !!options.transparent });
+    }
+    const pixels = image.getContext('2d').getImageData(0, 0, image.width, image.height).data;
+
+    // Delays are rounded so that they add up to the animation's length
+    let delay = Math.round((index + 1) * 100 / fps) - Math.round(index * 100 / fps);
+    if (index === count - 1) delay += FINAL_FRAME_HOLD / 10;
+    encoder.addFrame(pixels, delay);
+  }).then(() => new Blob([encoder.finish()], { type: 'image/gif' }));
+}
+
+/**
+ * Draws the animation of the current render as numbered PNG images in a ZIP archive
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - renderAnimationFrames options, plus the word
+ * @param {string} [options.word] - Word or phrase shown, for the file names
+ * @returns {Promise} Promise resolving to the ZIP Blob
+ */
+function renderFrameArchive(visualizer, options = {}) {
+  const files = [];
+
+  return renderAnimationFrames(visualizer, options, (image, index, count) => {
+    const number = String(index + 1).padStart(Math.max(4, String(count).length), '0');
+    return encodePng(image)
+      .then(blob => blob.arrayBuffer())
+      .then(buffer => {
+        files.push({
+          name: getExportFilename(options.word, visualizer.name, 'png', `-${number}`),
+          data: new Uint8Array(buffer)
+        });
+      });
+  }).then(() => createZip(files));
+}
+
+/**
+ * Renders the sound of the current render (see the visualizer's renderAudio) as a 16-bit stereo WAV file
+ * @param {Object} visualizer - The visualizer
+ * @returns {Promise} Promise resolving to the WAV Blob
+ */
+function renderWav(visualizer) {
+  return visualizer.renderAudio().then(audioBuffer => new Blob([encodeWav(audioBuffer, 2)], { type: 'audio/wav' }));
+}
+
+/**
+ * Writes the notes of the current render (see the visualizer's getNotes) as a Standard MIDI File
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - Export options
+ * @param {string} [options.word] - Word or phrase shown, the name of the piece
+ * @returns {Promise} Promise resolving to the MIDI Blob
+ */
+function renderMidi(visualizer, options = {}) {
+  const tracks = visualizer.getNotes();
+  if (!tracks) {
+    return Promise.reject(new Error(`${visualizer.displayName} has no notes to export.`));
+  }
+  if (!tracks.some(track => track.notes.length)) {
+    return Promise.reject(new Error('There are no notes to export yet.'));
+  }
+  const midi = encodeMidi(tracks, { name: options.word });
+  return Promise.resolve(new Blob([midi], { type: 'audio/midi' }));
+}
+
+/**
+ * Exports the current picture of a visualizer as a PNG file named after the word and visualizer
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - renderPng options, plus the word
+ * @param {string} [options.word] - Word or phrase shown, for the file name
+ * @returns {Promise} Promise resolving to the file name
+ */
+function exportPng(visualizer, options = {}) {
+  return renderPng(visualizer, options).then(blob => {
+    const scale = clampExportScale(options.scale);
+    const filename = getExportFilename(options.word, visualizer.name, 'png', scale > 1 ? `@${scale}x` : '');
+    downloadFile(blob, filename);
+    return filename;
+  });
+}
+
+/**
+ * Exports the current picture of a visualizer as an SVG file named after the word and visualizer
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - renderSvg options, plus the word
+ * @param {string} [options.word] - Word or phrase shown, for the file name
+ * @returns {Promise} Promise resolving to the file name
+ */
+function exportSvg(visualizer, options = {}) {
+  return renderSvg(visualizer, options).then(blob => {
+    const filename = getExportFilename(options.word, visualizer.name, 'svg');
+    downloadFile(blob, filename);
+    return filename;
+  });
+}
+
+/**
+ * Exports the animation of the current render as a GIF file named after the word and visualizer
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - renderGif options, plus the word
+ * @param {string} [options.word] - Word or phrase shown, for the file name
+ * @returns {Promise} Promise resolving to the file name
+ */
+function exportGif(visualizer, options = {}) {
+  return renderGif(visualizer, options).then(blob => {
+    const filename = getExportFilename(options.word, visualizer.name, 'gif');
+    downloadFile(blob, filename);
+    return filename;
+  });
+}
+
+/**
+ * Exports the animation of the current render as a ZIP file of PNG frames
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - renderFrameArchive options
+ * @returns {Promise} Promise resolving to the file name
+ */
+function exportFrames(visualizer, options = {}) {
+  // The file name gives the frame rate drawn, which is lower than the one asked for with long animations
+  let fps = clampFrameRate(options.fps);
+  const onProgress = (drawn, count, frameRate) => {
+    fps = frameRate;
+    if (options.onProgress) options.onProgress(drawn, count, frameRate);
+  };
+  return renderFrameArchive(visualizer, { ...options, onProgress }).then(blob => {
+    const filename = getExportFilename(options.word, visualizer.name, 'zip', `-${Number(fps.toFixed(2))}fps`);
+    downloadFile(blob, filename);
+    return filename;
+  });
+}
+
+/**
+ * Exports the sound of the current render as a WAV file named after the word and visualizer
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - Export options
+ * @param {string} [options.word] - Word or phrase shown, for the file name
+ * @returns {Promise} Promise resolving to the file name
+ */
+function exportWav(visualizer, options = {}) {
+  return renderWav(visualizer).then(blob => {
+    const filename = getExportFilename(options.word, visualizer.name, 'wav');
+    downloadFile(blob, filename);
+    return filename;
+  });
+}
+
+/**
+ * Exports the notes of the current render as a MIDI file named after the word and visualizer
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} [options] - renderMidi options
+ * @returns {Promise} Promise resolving to the file name
+ */
+function exportMidi(visualizer, options = {}) {
+  return renderMidi(visualizer, options).then(blob => {
+    const filename = getExportFilename(options.word, visualizer.name, 'mid');
+    downloadFile(blob, filename);
+    return filename;
+  });
+}
+
+// Export functions by format, as offered in the export panel
+const EXPORT_FORMATS = {
+  png: exportPng,
+  svg: exportSvg,
+  gif: exportGif,
+  frames: exportFrames,
+  wav: exportWav,
+  midi: exportMidi
+};
+
+/**
+ * Exports the current picture, animation or sound of a visualizer in one of the EXPORT_FORMATS
+ * @param {Object} visualizer - The visualizer
+ * @param {Object} options - Options of the format's export function, plus the format
+ * @param {string} options.format - Key of EXPORT_FORMATS
+ * @returns {Promise} Promise resolving to the file name
+ */
+function exportFile(visualizer, options) {
+  const exportFormat = EXPORT_FORMATS[options.format];
+  if (!exportFormat) {
+    return Promise.reject(new Error(`Unknown export format: ${options.format}`));
+  }
+  return exportFormat(visualizer, options);
+}
+
+export {
+  MIN_EXPORT_SCALE,
+  MAX_EXPORT_SCALE,
+  MIN_FRAME_RATE,
+  MAX_FRAME_RATE,
+  getExportFilename,
+  getExportCamera,
+  renderPng,
+  renderSvg,
+  renderAnimationFrames,
+  renderGif,
+  renderFrameArchive,
+  renderWav,
+  renderMidi,
+  exportPng,
+  exportSvg,
+  exportGif,
+  exportFrames,
+  exportWav,
+  exportMidi,
+  exportFile
+};
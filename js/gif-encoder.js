@@ -0,0 +1,318 @@
+/**
+ * Phonetic Visualizer - GIF Encoder
+ * Encodes animated GIFs in plain JavaScript. Every frame gets its own
+ * palette of up to 256 colors, chosen by median cut.
+ */
+
+// Bits kept per color channel when counting the colors of a frame (32768 color boxes)
+const HISTOGRAM_BITS = 5;
+const HISTOGRAM_SIZE = 1 << (HISTOGRAM_BITS * 3);
+
+// GIF codes are at most 12 bits long, so the LZW dictionary holds 4096 codes
+const MAX_CODE_SIZE = 12;
+const MAX_CODES = 1 << MAX_CODE_SIZE;
+
+// Pixels more transparent than this are left out of transparent GIFs
+const ALPHA_THRESHOLD = 128;
+
+/**
+ * Creates a growable list of bytes
+ * @returns {Object} Writer with byte, word, bytes, text and toUint8Array methods
+ */
+function createByteWriter() {
+  let buffer = new Uint8Array(1024);
+  let length = 0;
+
+  /**
+   * Makes room for more bytes
+   * @param {number} count - Number of bytes about to be written
+   */
+  function reserve(count) {
+    if (length + count <= buffer.length) return;
+    const grown = new Uint8Array(Math.max(buffer.length * 2, length + count));
+    grown.set(buffer.subarray(0, length));
+    buffer = grown;
+  }
+
+  return {
+    byte(value) {
+      reserve(1);
+      buffer[length++] = value;
+    },
+
+    // Little-endian 16-bit value, as used throughout GIF
+    word(value) {
+      reserve(2);
+      buffer[length++] = value & 0xff;
+      buffer[length++] = (value >> 8) & 0xff;
+    },
+
+    bytes(values) {
+      reserve(values.length);
+      buffer.set(values, length);
+      length += values.length;
+    },
+
+    text(value) {
+      for (let i = 0; i < value.length; i++) this.byte(value.charCodeAt(i));
+    },
+
+    toUint8Array() {
+      return buffer.slice(0, length);
+    }
+  };
+}
+
+/**
+ * Chooses the palette of a frame by median cut over its color boxes
+ * @param {Uint8ClampedArray} pixels - RGBA pixels, e.g. ImageData.data
+ * @param {number} maxColors - Most colors the palette may hold
+ * @param {boolean} transparent - Whether pixels below ALPHA_THRESHOLD are left out
+ * @returns {Object} { palette, boxIndex }: [r, g, b] colors, and the palette index of every color box
+ */
+function quantize(pixels, maxColors, transparent) {
+  const counts = new Uint32Array(HISTOGRAM_SIZE);
+  const sums = new Float64Array(HISTOGRAM_SIZE * 3);
+  const shift = 8 - HISTOGRAM_BITS;
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (transparent && pixels[i + 3] < ALPHA_THRESHOLD) continue;
+    const box = ((pixels[i] >> shift) << (HISTOGRAM_BITS * 2)) | ((pixels[i + 1] >> shift) << HISTOGRAM_BITS) | (pixels[i + 2] >> shift);
+    counts[box]++;
+    sums[box * 3] += pixels[i];
+    sums[box * 3 + 1] += pixels[i + 1];
+    sums[box * 3 + 2] += pixels[i + 2];
+  }
+
+  const used = [];
+  for (let box = 0; box < HISTOGRAM_SIZE; box++) {
+    if (counts[box]) used.push(box);
+  }
+
+  // Channel values of a color box, in box units
+  const mask = (1 << HISTOGRAM_BITS) - 1;
+  const channel = (box, c) => (box >> (HISTOGRAM_BITS * (2 - c))) & mask;
+
+  /**
+   * Describes a group of color boxes: its pixel count and widest channel
+   * @param {Array} boxes - Color boxes
+   * @returns {Object} { boxes, count, channel, range }
+   */
+  function describe(boxes) {
+    let count = 0;
+    const min = [mask, mask, mask];
+    const max = [0, 0, 0];
+    boxes.forEach(box => {
+      count += counts[box];
+      for (let c = 0; c < 3; c++) {
+        const value = channel(box, c);
+        if (value < min[c]) min[c] = value;
+        if (value > max[c]) max[c] = value;
+      }
+    });
+    const ranges = max.map((value, c) => value - min[c]);
+    const widest = ranges.indexOf(Math.max(...ranges));
+    return { boxes, count, channel: widest, range: ranges[widest] };
+  }
+
+  // Split the group with the most pixels times color range at its median pixel
+  const groups = used.length ? [describe(used)] : [];
+  while (groups.length < maxColors) {
+    let best = null;
+    groups.forEach(group => {
+      if (group.boxes.length > 1 && (!best || group.count * group.range > best.count * best.range)) best = group;
+    });
+    if (!best) break;
+
+    const sorted = best.boxes.slice().sort((a, b) => channel(a, best.channel) - channel(b, best.channel));
+    let seen = 0;
+    let split = 1;
+    for (; split < sorted.length - 1; split++) {
+      seen += counts[sorted[split - 1]];
+      if (seen * 2 >= best.count) break;
+    }
+    groups.splice(groups.indexOf(best), 1, describe(sorted.slice(0, split)), describe(sorted.slice(split)));
+  }
+
+  // Each group becomes the average color of its pixels
+  const boxIndex = new Uint8Array(HISTOGRAM_SIZE);
+  const palette = groups.map((group, index) => {
+    const total = [0, 0, 0];
+    group.boxes.forEach(box => {
+      boxIndex[box] = index;
+      for (let c = 0; c < 3; c++) total[c] += sums[box * 3 + c];
+    });
+    return total.map(value => Math.round(value / group.count));
+  });
+  return { palette, boxIndex };
+}
+
+/**
+ * Creates an encoder writing the frames of an animated GIF one at a time,
+ * so that only the encoded bytes are kept
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} [options] - Encoder options
+ * @param {boolean} [options.transparent] - Keep transparent pixels transparent (otherwise alpha is ignored)
+ * @param {number} [options.loop=0] - Number of repeats, 0 for endless
+ * @returns {Object} Encoder with addFrame and finish methods
+ */
+function createGifEncoder(width, height, options = {}) {
+  const transparent = !!options.transparent;
+  const output = createByteWriter();
+
+  // The LZW dictionary maps (prefix code, pixel index) to a code. Entries
+  // are stamped with the generation they were added in, so clearing the
+  // dictionary only means starting a new generation.
+  const dictionaryCodes = new Int16Array(MAX_CODES << 8);
+  const dictionaryStamps = new Int32Array(MAX_CODES << 8);
+  let generation = 0;
+
+  // Header and logical screen, without a global palette
+  output.text('GIF89a');
+  output.word(width);
+  output.word(height);
+  output.byte(0);
+  output.byte(0); // Background color index
+  output.byte(0); // Pixel aspect ratio
+
+  // Netscape extension: repeat the animation
+  output.bytes([0x21, 0xff, 0x0b]);
+  output.text('NETSCAPE2.0');
+  output.bytes([0x03, 0x01]);
+  output.word(options.loop || 0);
+  output.byte(0);
+
+  /**
+   * Writes pixel indices as LZW-compressed image data in sub-blocks
+   * @param {Uint8Array} indices - Palette index of every pixel
+   * @param {number} minCodeSize - Bits per pixel index (2-8)
+   */
+  function writeImageData(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bits = 0;
+    let bitCount = 0;
+
+    function writeByte(value) {
+      block[blockLength++] = value;
+      if (blockLength === 255) {
+        output.byte(255);
+        output.bytes(block);
+        blockLength = 0;
+      }
+    }
+
+    function writeCode(code) {
+      bits |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        writeByte(bits & 0xff);
+        bits >>= 8;
+        bitCount -= 8;
+      }
+    }
+
+    output.byte(minCodeSize);
+    generation++;
+    writeCode(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const pixel = indices[i];
+      const key = (prefix << 8) | pixel;
+      if (dictionaryStamps[key] === generation) {
+        prefix = dictionaryCodes[key];
+        continue;
+      }
+
+      writeCode(prefix);
+      if (nextCode === MAX_CODES) {
+        // The dictionary is full: start over
+        writeCode(clearCode);
+        generation++;
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        if (nextCode >= (1 << codeSize)) codeSize++;
+        dictionaryStamps[key] = generation;
+        dictionaryCodes[key] = nextCode++;
+      }
+      prefix = pixel;
+    }
+    writeCode(prefix);
+    writeCode(endCode);
+
+    if (bitCount > 0) {
+      writeByte(bits & 0xff);
+    }
+    if (blockLength > 0) {
+      output.byte(blockLength);
+      output.bytes(block.subarray(0, blockLength));
+    }
+    output.byte(0); // Block terminator
+  }
+
+  return {
+    /**
+     * Adds a frame covering the whole image
+     * @param {Uint8ClampedArray} pixels - RGBA pixels of width × height, e.g. ImageData.data
+     * @param {number} delay - Time the frame is shown, in hundredths of a second
+     */
+    addFrame(pixels, delay) {
+      const { palette, boxIndex } = quantize(pixels, transparent ? 255 : 256, transparent);
+
+      // The transparent color takes the entry after the palette
+      const transparentIndex = palette.length;
+      const paletteBits = Math.max(1, Math.ceil(Math.log2(palette.length + (transparent ? 1 : 0))));
+
+      const shift = 8 - HISTOGRAM_BITS;
+      const indices = new Uint8Array(width * height);
+      for (let i = 0, p = 0; p < indices.length; i += 4, p++) {
+        if (transparent && pixels[i + 3] < ALPHA_THRESHOLD) {
+          indices[p] = transparentIndex;
+        } else {
+          indices[p] = boxIndex[((pixels[i] >> shift) << (HISTOGRAM_BITS * 2)) | ((pixels[i + 1] >> shift) << HISTOGRAM_BITS) | (pixels[i + 2] >> shift)];
+        }
+      }
+
+      // Graphic control: delay, and clear transparent frames before the next one
+      output.bytes([0x21, 0xf9, 0x04]);
+      output.byte(((transparent ? 2 : 1) << 2) | (transparent ? 1 : 0));
+      output.word(Math.max(0, Math.round(delay)));
+      output.byte(transparent ? transparentIndex : 0);
+      output.byte(0);
+
+      // Image descriptor with a local palette
+      output.byte(0x2c);
+      output.word(0);
+      output.word(0);
+      output.word(width);
+      output.word(height);
+      output.byte(0x80 | (paletteBits - 1));
+      for (let i = 0; i < (1 << paletteBits); i++) {
+        output.bytes(palette[i] || [0, 0, 0]);
+      }
+
+      writeImageData(indices, Math.max(2, paletteBits));
+    },
+
+    /**
+     * Ends the GIF
+     * @returns {Uint8Array} The GIF file
+     */
+    finish() {
+      output.byte(0x3b);
+      return output.toUint8Array();
+    }
+  };
+}
+
+export {
+  createGifEncoder
+};
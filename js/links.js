@@ -0,0 +1,165 @@
+/**
+ * Phonetic Visualizer - Deep Links
+ * Writes a view (word, visualizer, options and camera) into the URL hash and
+ * reads it back, so that a view can be shared and visited again
+ */
+
+// Clean path routes: /v/<visualizer>/<word>
+const VIEW_ROUTE = /\/v\/([^/]*)(?:\/([^/]*))?\/?$/;
+
+/**
+ * Formats a view as a URL hash. Values left at their defaults are omitted.
+ * @param {Object} view - The view
+ * @param {string} [view.word] - Word or phrase
+ * @param {string} [view.visualizer] - Name of the visualizer
+ * @param {number} [view.depth] - Recursion depth
+ * @param {string} [view.alphabet] - Name of the alphabet
+ * @param {string} [view.season] - Season of the Fractal Garden
+ * @param {string} [view.seed] - User seed
+ * @param {Array} [view.pipeline] - Transform names
+ * @param {boolean} [view.sentence] - Whether words of a phrase are expanded separately
+ * @param {Object} [view.camera] - { scale, offsetX, offsetY }
+ * @param {Object} [defaults] - Values omitted from the hash, with the same keys as the view
+ * @returns {string} Hash starting with "#", or "" for an empty view
+ */
+function formatViewHash(view, defaults = {}) {
+  const params = new URLSearchParams();
+  const add = (key, value) => {
+    if (value === undefined || value === null || value === '' || value === defaults[key]) return;
+    params.set(key, value);
+  };
+
+  add('word', view.word);
+  add('visualizer', view.visualizer);
+  add('depth', view.depth);
+  add('alphabet', view.alphabet);
+  add('season', view.season);
+  add('seed', view.seed);
+  if (view.pipeline && view.pipeline.join(',') !== (defaults.pipeline || []).join(',')) {
+    params.set('pipeline', view.pipeline.join(','));
+  }
+  if (view.sentence !== undefined && view.sentence !== defaults.sentence) {
+    params.set('sentence', view.sentence ? '1' : '0');
+  }
+
+  // The identity view is the default; offsets are rounded to CSS pixels
+  const { camera } = view;
+  if (camera && (camera.scale !== 1 || camera.offsetX !== 0 || camera.offsetY !== 0)) {
+    params.set('camera', [
+      Number(camera.scale.toFixed(3)),
+      Math.round(camera.offsetX),
+      Math.round(camera.offsetY)
+    ].join(','));
+  }
+
+  // Commas may stay as they are in a hash, which keeps lists readable
+  const query = params.toString().replace(/%2C/g, ',');
+  return query ? `#${query}` : '';
+}
+
+/**
+ * Reads a view from a URL hash. Only the values present are returned, and
+ * they are not checked against the registered visualizers, alphabets or
+ * transforms.
+ * @param {string} hash - URL hash, with or without the leading "#"
+ * @returns {Object} The view (see formatViewHash)
+ */
+function parseViewHash(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const view = {};
+
+  ['word', 'visualizer', 'alphabet', 'season', 'seed'].forEach(key => {
+    if (params.has(key)) view[key] = params.get(key);
+  });
+
+  const depth = parseInt(params.get('depth'), 10);
+  if (Number.isInteger(depth)) view.depth = depth;
+
+  if (params.get('pipeline')) {
+    view.pipeline = params.get('pipeline').split(',').filter(Boolean);
+  }
+  if (params.has('sentence')) {
+    view.sentence = params.get('sentence') !== '0';
+  }
+
+  const camera = (params.get('camera') || '').split(',').map(Number);
+  if (camera.length === 3 && camera.every(Number.isFinite) && camera[0] > 0) {
+    view.camera = { scale: camera[0], offsetX: camera[1], offsetY: camera[2] };
+  }
+  return view;
+}
+
+/**
+ * Keeps the values of a view that have the right types, e.g. for a view read
+ * from a preset file
+ * @param {Object} raw - Anything
+ * @returns {Object} The view (see formatViewHash)
+ */
+function normalizeView(raw) {
+  const view = {};
+  if (!raw || typeof raw !== 'object') return view;
+
+  ['word', 'visualizer', 'alphabet', 'season', 'seed'].forEach(key => {
+    if (typeof raw[key] === 'string') view[key] = raw[key];
+  });
+  if (Number.isInteger(raw.depth)) view.depth = raw.depth;
+  if (Array.isArray(raw.pipeline)) {
+    view.pipeline = raw.pipeline.filter(name => typeof name === 'string' && name);
+  }
+  if (typeof raw.sentence === 'boolean') view.sentence = raw.sentence;
+
+  const { camera } = raw;
+  if (camera && ['scale', 'offsetX', 'offsetY'].every(key => Number.isFinite(camera[key])) && camera.scale > 0) {
+    view.camera = { scale: camera.scale, offsetX: camera.offsetX, offsetY: camera.offsetY };
+  }
+  return view;
+}
+
+/**
+ * Reads a view from a clean path route such as /v/spiral/hello
+ * @param {string} pathname - URL path
+ * @returns {Object} { visualizer, word } if the path is a route, otherwise an empty object
+ */
+function parseViewPath(pathname) {
+  const match = VIEW_ROUTE.exec(pathname || '');
+  if (!match) return {};
+
+  const decode = part => {
+    try {
+      return decodeURIComponent(part);
+    } catch (error) {
+      return part;
+    }
+  };
+  const view = {};
+  if (match[1]) view.visualizer = decode(match[1]);
+  if (match[2]) view.word = decode(match[2]);
+  return view;
+}
+
+/**
+ * Reads the view of a location: its path route, overridden by its hash
+ * @param {Location|URL} location - The location
+ * @returns {Object} The view (see formatViewHash)
+ */
+function parseViewLocation(location) {
+  return { ...parseViewPath(location.pathname), ...parseViewHash(location.hash) };
+}
+
+/**
+ * Gets the path of the application page, without any route
+ * @param {string} pathname - URL path, e.g. /v/spiral/hello
+ * @returns {string} The path, e.g. /
+ */
+function getAppPath(pathname) {
+  return (pathname || '/').replace(VIEW_ROUTE, '/');
+}
+
+export {
+  formatViewHash,
+  parseViewHash,
+  normalizeView,
+  parseViewPath,
+  parseViewLocation,
+  getAppPath
+};
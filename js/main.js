@@ -3,8 +3,15 @@
  * Handles UI interactions and visualization selection
  */
 
-import { clearVisuals } from './utils.js';
-import { getVisualizer, initializeVisualizerUI, getAllVisualizers, getAllCanvasIds } from './visualizer-base.js';
+import { clearVisuals, downloadFile, DEFAULT_DEPTH, GLYPH_WARNING_THRESHOLD } from './utils.js';
+import { getVisualizer, activateVisualizer, getActiveVisualizer, initializeVisualizerUI, getAllVisualizers, getAllCanvasIds, onTimelineChange, setPlaybackSpeed } from './visualizer-base.js';
+import { getAllAlphabets, DEFAULT_ALPHABET } from './alphabets.js';
+import { getCamera } from './camera.js';
+import { watchDevicePixelRatio } from './surface.js';
+import { DEFAULT_PIPELINE, DEFAULT_TRANSFORM, getAllTransforms, preparePipeline } from './transforms.js';
+import { formatViewHash, parseViewLocation, getAppPath } from './links.js';
+import { getPresets, savePreset, deletePreset, exportPresets, importPresets } from './presets.js';
+import { exportFile } from './export.js';
 
 // Import visualizers to register them with the system
 // Note: Icons are added directly in the visualizer files now.
@@ -15,11 +22,40 @@ import './visualizers/fractal.js';
 import './visualizers/waveform.js';
 import './visualizers/constellation.js'; // Ensure constellation is also imported for registration
 import './visualizers/futuristic.js';
-import { stopWaveformVisualization } from './visualizers/waveform.js'; // Specific stop function
 // renderConstellation is not needed here as constellation.js will handle its own registration
 
-// Log available visualizers for debugging
-let previouslySelectedVisualizerName = null; // Track previously active visualizer
+// Transforms producing each layer, edited in the pipeline editor
+let pipeline = [...DEFAULT_PIPELINE];
+
+// Values left out of links (see links.js)
+const VIEW_DEFAULTS = {
+  depth: DEFAULT_DEPTH,
+  alphabet: DEFAULT_ALPHABET,
+  season: "spring",
+  pipeline: DEFAULT_PIPELINE,
+  sentence: true
+};
+
+// Milliseconds the URL waits for typing or camera moves to settle
+const LOCATION_UPDATE_DELAY = 500;
+
+// Names of the notes of an octave, for the root note menu
+const NOTE_NAMES = ["C", "C♯", "D", "D♯", "E", "F", "F♯", "G", "G♯", "A", "A♯", "B"];
+
+// Envelope sliders of the sound panel, by waveform parameter
+const ENVELOPE_INPUTS = {
+  attack: "soundAttack",
+  decay: "soundDecay",
+  sustain: "soundSustain",
+  release: "soundRelease"
+};
+
+// Pending URL update, and whether it adds a history entry
+let locationTimer = null;
+let locationPush = false;
+
+// Set while a view from a link is applied, so applying it does not add history entries
+let applyingView = false;
 
 console.log('Main.js loaded, checking available visualizers...');
 setTimeout(() => {
@@ -35,8 +71,39 @@ function initApp() {
   // Initialize the visualizer UI
   initializeVisualizerUI();
   
+  // Initialize the alphabet selector
+  initializeAlphabetUI();
+  
+  // Initialize the transform pipeline editor
+  renderPipelineEditor();
+  document.getElementById("addPipelineStep").addEventListener("click", () => {
+    pipeline.push(pipeline[pipeline.length - 1] || DEFAULT_TRANSFORM);
+    renderPipelineEditor();
+    renderSelectedVisualization();
+  });
+  
   // Add event listener for visualization selection change
   document.getElementById("visualizationSelect").addEventListener("change", renderSelectedVisualization);
+  
+  // Re-render when switching between word and sentence input
+  document.getElementById("sentenceMode").addEventListener("change", renderSelectedVisualization);
+  
+  // Re-render at the new recursion depth
+  document.getElementById("depthSelect").addEventListener("change", renderSelectedVisualization);
+  
+  // Re-render with the new random seed
+  document.getElementById("seedInput").addEventListener("input", renderSelectedVisualization);
+  
+  // Re-render with the new alphabet when it changes
+  document.getElementById("alphabetSelect").addEventListener("change", renderSelectedVisualization);
+  
+  // Re-render the Fractal Garden in the new season
+  document.getElementById("seasonSelect").addEventListener("change", renderSelectedVisualization);
+  
+  // Re-render when the symbol expansion options change
+  document.querySelectorAll("#symbolOptions input").forEach(input => {
+    input.addEventListener("change", renderSelectedVisualization);
+  });
 
   // Add event listener for word input
   document.getElementById("wordInput").addEventListener("input", function(e) {
@@ -48,9 +115,13 @@ function initApp() {
     }
   });
 
+  // A shared link (the hash, or a /v/<visualizer>/<word> path) takes precedence over the input
+  const linkedView = parseViewLocation(window.location);
+  const hasLinkedView = Object.keys(linkedView).length > 0;
+  
   // Initialize the page with a default visualization if there's a word in the input
   const word = document.getElementById("wordInput").value.trim();
-  if (word.length > 0) {
+  if (!hasLinkedView && word.length > 0) {
     // Set default visualization to tree if none selected
     if (!document.getElementById("visualizationSelect").value || 
         document.getElementById("visualizationSelect").value === "") {
@@ -61,6 +132,199 @@ function initApp() {
 
   // Setup canvas zoom/pan functionality
   setupCanvasZoomPan();
+  
+  // Redraw sharply after browser zoom or a move to a screen of another density
+  watchDevicePixelRatio(() => {
+    const visualizer = getActiveVisualizer();
+    if (visualizer) visualizer.redraw();
+  });
+  
+  // Connect the transport bar to the visualizers' timelines
+  initializeTransportBar();
+  
+  // Saved settings
+  initializePresetPanel();
+  
+  // Scale, tuning, instrument and rhythm of the waveform's sound
+  initializeSoundPanel();
+  
+  // Saving the picture as a file
+  initializeExportPanel();
+  
+  // Restore the linked view, and move between views with back and forward
+  if (hasLinkedView) {
+    applyView(linkedView);
+  }
+  window.addEventListener("popstate", () => applyView(parseViewLocation(window.location)));
+}
+
+/**
+ * Formats a timeline position for the transport bar
+ * @param {number} milliseconds - Position in milliseconds
+ * @returns {string} Seconds with one decimal, e.g. "1.5 s"
+ */
+function formatPlaybackTime(milliseconds) {
+  return `${(milliseconds / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Connects the transport bar (play/pause, scrubber, speed) to the timeline
+ * of the visualizer currently shown
+ */
+function initializeTransportBar() {
+  const bar = document.getElementById("transportBar");
+  const playButton = document.getElementById("transportPlay");
+  const scrubber = document.getElementById("transportScrubber");
+  const timeLabel = document.getElementById("transportTime");
+  const speedSelect = document.getElementById("transportSpeed");
+  let scrubbing = false;
+  
+  // Follow the playback position of the active visualizer
+  onTimelineChange(status => {
+    bar.style.display = "flex";
+    const label = status.playing ? "Pause" : "Play";
+    playButton.textContent = status.playing ? "⏸" : "▶";
+    playButton.setAttribute("aria-label", label);
+    playButton.title = label;
+    
+    const position = Math.min(status.position, status.duration);
+    if (!scrubbing) {
+      scrubber.value = status.duration ? Math.round(position / status.duration * 1000) : 0;
+    }
+    timeLabel.textContent = `${formatPlaybackTime(position)} / ${formatPlaybackTime(status.duration)}`;
+  });
+  
+  playButton.addEventListener("click", () => {
+    const visualizer = getActiveVisualizer();
+    if (!visualizer) return;
+    if (visualizer.timeline.getStatus().playing) {
+      visualizer.timeline.pause();
+    } else {
+      visualizer.timeline.play();
+    }
+  });
+  
+  // Dragging the scrubber moves the animation and the typewriter to that point
+  scrubber.addEventListener("input", () => {
+    const visualizer = getActiveVisualizer();
+    if (!visualizer) return;
+    scrubbing = true;
+    const { duration } = visualizer.timeline.getStatus();
+    visualizer.timeline.seek(scrubber.value / 1000 * duration);
+  });
+  scrubber.addEventListener("change", () => {
+    scrubbing = false;
+  });
+  
+  speedSelect.addEventListener("change", () => {
+    setPlaybackSpeed(parseFloat(speedSelect.value));
+  });
+}
+
+/**
+ * Fills the alphabet selector with the registered alphabets
+ */
+function initializeAlphabetUI() {
+  const select = document.getElementById("alphabetSelect");
+  select.innerHTML = '';
+  
+  Object.entries(getAllAlphabets()).forEach(([key, alphabet]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = alphabet.displayName;
+    select.appendChild(option);
+  });
+  
+  select.value = DEFAULT_ALPHABET;
+}
+
+/**
+ * Rebuilds the pipeline editor: one transform selector per step, each with a
+ * button to remove it (the pipeline always keeps at least one step)
+ */
+function renderPipelineEditor() {
+  const container = document.getElementById("pipelineSteps");
+  container.innerHTML = '';
+  
+  pipeline.forEach((transformName, index) => {
+    const step = document.createElement('div');
+    step.className = 'pipeline-step';
+    
+    const arrow = document.createElement('span');
+    arrow.textContent = '→';
+    step.appendChild(arrow);
+    
+    const select = document.createElement('select');
+    select.title = `Transform producing layer ${index + 1}`;
+    Object.entries(getAllTransforms()).forEach(([key, transform]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = transform.displayName;
+      select.appendChild(option);
+    });
+    select.value = transformName;
+    select.addEventListener("change", () => {
+      pipeline[index] = select.value;
+      renderSelectedVisualization();
+    });
+    step.appendChild(select);
+    
+    if (pipeline.length > 1) {
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.textContent = '×';
+      removeButton.title = 'Remove this step';
+      removeButton.addEventListener("click", () => {
+        pipeline.splice(index, 1);
+        renderPipelineEditor();
+        renderSelectedVisualization();
+      });
+      step.appendChild(removeButton);
+    }
+    
+    container.appendChild(step);
+  });
+}
+
+/**
+ * Reads the render options from the controls bar
+ * @returns {Object} Options passed to the visualizer's render method
+ */
+function getRenderOptions() {
+  return {
+    sentence: document.getElementById("sentenceMode").checked,
+    depth: parseInt(document.getElementById("depthSelect").value, 10) || DEFAULT_DEPTH,
+    pipeline: [...pipeline],
+    seed: document.getElementById("seedInput").value.trim(),
+    alphabet: document.getElementById("alphabetSelect").value || DEFAULT_ALPHABET,
+    season: document.getElementById("seasonSelect").value || VIEW_DEFAULTS.season,
+    symbols: {
+      digits: document.getElementById("expandDigits").checked,
+      punctuation: document.getElementById("expandPunctuation").checked,
+      whitespace: document.getElementById("expandWhitespace").checked,
+      emoji: document.getElementById("expandEmoji").checked,
+      keepUnknown: document.getElementById("keepUnknown").checked
+    }
+  };
+}
+
+/**
+ * Shows a warning under the depth control when the rendered layers are very
+ * large or the depth had to be reduced
+ * @param {Object} depthInfo - Result of a visualizer's render method (see limitDepth in utils.js)
+ */
+function updateDepthWarning(depthInfo) {
+  const warning = document.getElementById("depthWarning");
+  if (depthInfo && depthInfo.capped) {
+    warning.textContent = `Depth ${depthInfo.requestedDepth} would draw ${depthInfo.requestedGlyphCount.toLocaleString()} glyphs; showing depth ${depthInfo.depth}.`;
+    warning.style.display = "block";
+  } else if (depthInfo && depthInfo.glyphCount > GLYPH_WARNING_THRESHOLD) {
+    warning.textContent = `${depthInfo.glyphCount.toLocaleString()} glyphs, rendering may be slow.`;
+    warning.style.display = "block";
+  } else {
+    warning.textContent = "";
+    warning.style.display = "none";
+  }
 }
 
 /**
@@ -69,28 +333,34 @@ function initApp() {
 function renderSelectedVisualization() {
   const choice = document.getElementById("visualizationSelect").value; // This is the new choice
   const word = document.getElementById("wordInput").value.trim();
+  const options = getRenderOptions();
 
-  // Stop waveform audio if it was the previously active visualizer and is now being switched away from
-  if (previouslySelectedVisualizerName === 'waveform' && previouslySelectedVisualizerName !== choice) {
-    if (typeof stopWaveformVisualization === 'function') {
-      console.log("Stopping previous waveform visualization.");
-      stopWaveformVisualization();
-    } else {
-      console.warn("stopWaveformVisualization function not available to stop previous waveform.");
-    }
+  // Switching away deactivates the previous visualizer (stopping its audio, animation, listeners and timers)
+  if (choice && getVisualizer(choice)) {
+    activateVisualizer(choice);
   }
   
+  // Every change of the controls is a new view in the history
+  scheduleLocationUpdate(true);
+  
   if (!word) {
     return;
   }
   
+  // Some steps need data first (phonemes load the pronunciation dictionary); render once it is ready
+  const preparing = preparePipeline(options.pipeline);
+  if (preparing) {
+    preparing.then(renderSelectedVisualization);
+    return;
+  }
+  
   // If no visualization is selected, default to tree
   if (!choice || choice === "") {
     document.getElementById("visualizationSelect").value = "tree";
     // Use the visualizer system to render the tree
     const treeVisualizer = getVisualizer('tree');
     if (treeVisualizer) {
-      treeVisualizer.render(word);
+      updateDepthWarning(treeVisualizer.render(word, options));
     } else {
       console.error("Tree visualizer not found");
     }
@@ -105,16 +375,12 @@ function renderSelectedVisualization() {
     container.style.display = "none";
   });
   
-  // Make sure the word input is enabled when switching visualizations
-  document.getElementById("wordInput").disabled = false;
-  
   // Try to use the new visualizer system first
   const visualizer = getVisualizer(choice);
   console.log(`Attempting to render visualizer: ${choice}`, visualizer);
   if (visualizer) {
     console.log(`Using new system for ${choice}`);
-    visualizer.render(word);
-    previouslySelectedVisualizerName = choice; // Update before returning
+    updateDepthWarning(visualizer.render(word, options));
     return;
   } else {
     console.log(`Visualizer ${choice} not found in new system, falling back to old system`);
@@ -132,151 +398,447 @@ function renderSelectedVisualization() {
       console.warn(`Visualizer ${choice} not handled by new system and not in old switch. Attempting default.`);
       const defaultVisualizer = getVisualizer('tree'); // Or some other sensible default
       if (defaultVisualizer) {
-        defaultVisualizer.render(word);
+        updateDepthWarning(defaultVisualizer.render(word, options));
       } else {
         console.error(`No default visualizer found for unknown type: ${choice}`);
       }
   }
-  previouslySelectedVisualizerName = choice; // Update after rendering, ensuring it's always set
 }
 
 /**
  * Sets up zoom and pan functionality for canvas visualizations
  */
 function setupCanvasZoomPan() {
-  // Get all canvas IDs from registered visualizers
-  const canvasIds = getAllCanvasIds();
+  // Get all canvas IDs from registered visualizers (ripple1 and ripple2 share one)
+  const canvasIds = [...new Set(getAllCanvasIds())];
   console.log("Setting up zoom/pan for canvases:", canvasIds);
   
   canvasIds.forEach(canvasId => {
-    const canvas = document.getElementById(canvasId);
-    if (!canvas) return;
+    const camera = getCamera(canvasId);
+    if (!camera) return;
+    
+    // Wheel, drag, pinch, double click and keyboard controls (see camera.js)
+    camera.attachControls();
+    
+    // Redraw whenever the view moves, and keep it in the URL
+    camera.onChange(() => {
+      triggerRedraw(canvasId);
+      scheduleLocationUpdate(false);
+    });
+  });
+  
+  // Reset and fit the view of whichever visualizer is shown
+  document.getElementById("viewReset").addEventListener("click", () => {
+    const visualizer = getActiveVisualizer();
+    const camera = visualizer && visualizer.getCamera();
+    if (camera) camera.reset();
+  });
+  document.getElementById("viewFit").addEventListener("click", () => {
+    const visualizer = getActiveVisualizer();
+    const camera = visualizer && visualizer.getCamera();
+    if (camera) camera.fitToBounds(visualizer.getBounds());
+  });
+}
+
+/**
+ * Describes the view shown: the controls and the camera of the shown visualizer
+ * @returns {Object} The view (see formatViewHash in links.js)
+ */
+function getCurrentView() {
+  const options = getRenderOptions();
+  const visualizer = getActiveVisualizer();
+  const camera = visualizer && visualizer.getCamera();
+  return {
+    word: document.getElementById("wordInput").value.trim(),
+    visualizer: document.getElementById("visualizationSelect").value,
+    depth: options.depth,
+    alphabet: options.alphabet,
+    season: options.season,
+    seed: options.seed,
+    pipeline: options.pipeline,
+    sentence: options.sentence,
+    camera: camera ? camera.getView() : null
+  };
+}
+
+/**
+ * Selects an option of a select element, or the fallback if it has no such option
+ * @param {HTMLSelectElement} select - The select element
+ * @param {*} value - Value to select
+ * @param {*} fallback - Value selected instead of unknown values
+ */
+function selectOption(select, value, fallback) {
+  select.value = String(value);
+  if (select.value !== String(value)) {
+    select.value = String(fallback);
+  }
+}
+
+/**
+ * Shows a view from a link or preset: fills the controls (values the view
+ * leaves out get their defaults), renders, and moves the camera
+ * @param {Object} view - The view (see parseViewLocation in links.js)
+ * @param {boolean} [push] - Whether the view gets a new history entry (links replace the current one)
+ */
+function applyView(view, push = false) {
+  console.log("Applying view from link:", view);
+  applyingView = true;
+  
+  try {
+    document.getElementById("wordInput").value = view.word || "";
+    if (view.visualizer && getVisualizer(view.visualizer)) {
+      document.getElementById("visualizationSelect").value = view.visualizer;
+    }
+    selectOption(document.getElementById("depthSelect"), view.depth || VIEW_DEFAULTS.depth, VIEW_DEFAULTS.depth);
+    selectOption(document.getElementById("alphabetSelect"), view.alphabet || VIEW_DEFAULTS.alphabet, VIEW_DEFAULTS.alphabet);
+    selectOption(document.getElementById("seasonSelect"), view.season || VIEW_DEFAULTS.season, VIEW_DEFAULTS.season);
+    document.getElementById("seedInput").value = view.seed || "";
+    document.getElementById("sentenceMode").checked = view.sentence !== undefined ? view.sentence : VIEW_DEFAULTS.sentence;
     
-    let scale = 1;
-    let offsetX = 0;
-    let offsetY = 0;
-    let isDragging = false;
-    let lastX, lastY;
-    const minScale = 0.2;
-    const maxScale = 5;
+    // Unknown transforms are dropped; the pipeline keeps at least one step
+    const transforms = getAllTransforms();
+    const steps = (view.pipeline || []).filter(name => transforms[name]);
+    pipeline = steps.length ? steps : [...VIEW_DEFAULTS.pipeline];
+    renderPipelineEditor();
     
-    // Add smooth zoom animation variables
-    let targetScale = scale;
-    let targetOffsetX = offsetX;
-    let targetOffsetY = offsetY;
-    let zoomAnimationId = null;
+    if (view.word) {
+      renderSelectedVisualization();
+    } else {
+      clearVisuals();
+    }
     
-    // Function to perform smooth zoom animation
-    function animateZoom() {
-      // Calculate steps based on difference between current and target values
-      const scaleDiff = targetScale - scale;
-      const offsetXDiff = targetOffsetX - offsetX;
-      const offsetYDiff = targetOffsetY - offsetY;
-      
-      // Use easing for smoother animation (10% of remaining difference)
-      const scaleStep = scaleDiff * 0.1;
-      const offsetXStep = offsetXDiff * 0.1;
-      const offsetYStep = offsetYDiff * 0.1;
-      
-      // Check if we're close enough to stop the animation
-      if (Math.abs(scaleDiff) < 0.001 && 
-          Math.abs(offsetXDiff) < 0.1 && 
-          Math.abs(offsetYDiff) < 0.1) {
-        // Close enough, set to target values and stop animation
-        scale = targetScale;
-        offsetX = targetOffsetX;
-        offsetY = targetOffsetY;
-        zoomAnimationId = null;
+    // Rendering keeps the camera, so it can be moved before the picture is ready
+    const visualizer = getActiveVisualizer();
+    const camera = visualizer && visualizer.getCamera();
+    if (camera) {
+      if (view.camera) {
+        camera.setView(view.camera);
       } else {
-        // Update values with steps
-        scale += scaleStep;
-        offsetX += offsetXStep;
-        offsetY += offsetYStep;
-        
-        // Request next animation frame
-        zoomAnimationId = requestAnimationFrame(animateZoom);
+        camera.reset({ animate: false });
       }
-      
-      // Store transform values
-      canvas.dataset.scale = scale;
-      canvas.dataset.offsetX = offsetX;
-      canvas.dataset.offsetY = offsetY;
-      
-      // Trigger redraw
-      triggerRedraw(canvasId);
     }
+  } finally {
+    applyingView = false;
+  }
+  
+  // Links may spell the view differently (or as a path); keep one spelling
+  updateLocation(push);
+}
+
+/**
+ * Connects the presets panel: saving the current settings, loading and
+ * deleting presets, and exporting and importing them as JSON files
+ */
+function initializePresetPanel() {
+  renderPresetList();
+  
+  document.getElementById("presetSaveForm").addEventListener("submit", event => {
+    event.preventDefault();
+    const nameInput = document.getElementById("presetName");
     
-    // Add mouse wheel zoom functionality with centered zooming
-    canvas.addEventListener("wheel", (event) => {
-      event.preventDefault();
-      
-      // Get mouse position relative to canvas
-      const rect = canvas.getBoundingClientRect();
-      const mouseX = event.clientX - rect.left;
-      const mouseY = event.clientY - rect.top;
-      
-      // Calculate zoom factor
-      const zoomIntensity = 0.1;
-      const delta = event.deltaY < 0 ? zoomIntensity : -zoomIntensity;
-      
-      // Calculate target scale
-      targetScale = Math.max(minScale, Math.min(maxScale, scale * (1 + delta)));
-      
-      // Calculate mouse position in world space (before zoom)
-      const worldX = (mouseX - offsetX) / scale;
-      const worldY = (mouseY - offsetY) / scale;
-      
-      // Calculate new target offsets to keep the point under the mouse fixed
-      targetOffsetX = mouseX - worldX * targetScale;
-      targetOffsetY = mouseY - worldY * targetScale;
-      
-      // Cancel any existing animation
-      if (zoomAnimationId) {
-        cancelAnimationFrame(zoomAnimationId);
-      }
-      
-      // Start smooth zoom animation
-      zoomAnimationId = requestAnimationFrame(animateZoom);
+    // Parameters of every visualizer that has any (e.g. the ripple's ring spacing)
+    const parameters = {};
+    Object.values(getAllVisualizers()).forEach(visualizer => {
+      const values = visualizer.getParameters();
+      if (Object.keys(values).length) parameters[visualizer.name] = values;
     });
     
-    // Mouse events for panning
-    canvas.addEventListener("mousedown", (e) => {
-      isDragging = true;
-      lastX = e.clientX;
-      lastY = e.clientY;
+    const preset = savePreset({ name: nameInput.value, view: getCurrentView(), parameters });
+    if (preset) {
+      nameInput.value = "";
+      showPresetMessage(`Saved "${preset.name}".`);
+      renderPresetList();
+    } else {
+      showPresetMessage("The preset could not be saved.");
+    }
+  });
+  
+  document.getElementById("presetExport").addEventListener("click", () => {
+    const presets = getPresets();
+    if (!presets.length) {
+      showPresetMessage("There are no presets to export.");
+      return;
+    }
+    downloadFile(exportPresets(presets), "phonetic-visualizer-presets.json", "application/json");
+  });
+  
+  const fileInput = document.getElementById("presetImport");
+  document.getElementById("presetImportButton").addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      const { imported, skipped } = importPresets(text);
+      showPresetMessage(`Imported ${imported} preset${imported === 1 ? "" : "s"}${skipped ? `, skipped ${skipped} without a name` : ""}.`);
+      renderPresetList();
+    }).catch(error => {
+      console.error("Error importing presets:", error);
+      showPresetMessage(error.message);
+    }).finally(() => {
+      // Choosing the same file again fires another change
+      fileInput.value = "";
     });
+  });
+}
+
+/**
+ * Rebuilds the list of saved presets, each with a button loading it and one deleting it
+ */
+function renderPresetList() {
+  const list = document.getElementById("presetList");
+  list.innerHTML = '';
+  
+  const presets = getPresets();
+  if (!presets.length) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No saved presets';
+    list.appendChild(empty);
+    return;
+  }
+  
+  presets.forEach(preset => {
+    const item = document.createElement('li');
     
-    canvas.addEventListener("mousemove", (e) => {
-      if (isDragging) {
-        // Direct 1:1 mapping for more intuitive panning
-        offsetX += (e.clientX - lastX);
-        offsetY += (e.clientY - lastY);
-        lastX = e.clientX;
-        lastY = e.clientY;
-        
-        // Update target values to match current offsets to prevent snapping back
-        targetOffsetX = offsetX;
-        targetOffsetY = offsetY;
-        
-        canvas.dataset.scale = scale;
-        canvas.dataset.offsetX = offsetX;
-        canvas.dataset.offsetY = offsetY;
-        
-        // Trigger redraw based on canvas type
-        triggerRedraw(canvasId);
-      }
+    const loadButton = document.createElement('button');
+    loadButton.type = 'button';
+    loadButton.className = 'preset-button preset-load';
+    loadButton.textContent = preset.name;
+    loadButton.title = `Load "${preset.name}"`;
+    loadButton.addEventListener("click", () => applyPreset(preset));
+    item.appendChild(loadButton);
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'preset-button';
+    deleteButton.textContent = '×';
+    deleteButton.title = `Delete "${preset.name}"`;
+    deleteButton.setAttribute('aria-label', `Delete preset ${preset.name}`);
+    deleteButton.addEventListener("click", () => {
+      deletePreset(preset.name);
+      showPresetMessage(`Deleted "${preset.name}".`);
+      renderPresetList();
     });
+    item.appendChild(deleteButton);
     
-    canvas.addEventListener("mouseup", () => {
-      isDragging = false;
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Shows a preset: its parameters, then its view as a new history entry
+ * @param {Object} preset - { name, view, parameters } (see presets.js)
+ */
+function applyPreset(preset) {
+  console.log(`Loading preset "${preset.name}"`, preset);
+  
+  // Parameters are kept through renders, so they are set first
+  Object.entries(preset.parameters).forEach(([name, values]) => {
+    const visualizer = getVisualizer(name);
+    if (visualizer) visualizer.setParameters(values);
+  });
+  applyView(preset.view, true);
+  showSoundParameters();
+  showPresetMessage(`Loaded "${preset.name}".`);
+}
+
+/**
+ * Connects the sound panel to the Waveform visualizer's sound and rhythm
+ * parameters. Changes apply right away, and are kept in presets.
+ */
+function initializeSoundPanel() {
+  const waveform = getVisualizer("waveform");
+  if (!waveform) return;
+  
+  // Root notes from C2 to B5, as MIDI note numbers
+  const rootSelect = document.getElementById("soundRootNote");
+  for (let note = 36; note <= 83; note++) {
+    const option = document.createElement("option");
+    option.value = note;
+    option.textContent = `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+    rootSelect.appendChild(option);
+  }
+  
+  const selects = {
+    scale: "soundScale",
+    rootNote: "soundRootNote",
+    octaveSpread: "soundOctaveSpread",
+    instrument: "soundInstrument"
+  };
+  Object.entries(selects).forEach(([name, id]) => {
+    document.getElementById(id).addEventListener("change", event => {
+      const value = name === "scale" || name === "instrument" ? event.target.value : Number(event.target.value);
+      waveform.setParameters({ [name]: value });
+      // A new instrument brings its own envelope
+      showSoundParameters();
     });
+  });
+  // Rhythm of the sequencer mode
+  document.getElementById("soundMode").addEventListener("change", event => {
+    waveform.setParameters({ mode: event.target.value });
+  });
+  document.getElementById("soundBpm").addEventListener("change", event => {
+    waveform.setParameters({ bpm: Number(event.target.value) });
+    showSoundParameters();
+  });
+  const swingInput = document.getElementById("soundSwing");
+  swingInput.addEventListener("input", () => {
+    waveform.setParameters({ swing: Number(swingInput.value) });
+    showSoundParameters();
+  });
+  Object.entries({ loop: "soundLoop", metronome: "soundMetronome" }).forEach(([name, id]) => {
+    const checkbox = document.getElementById(id);
+    checkbox.addEventListener("change", () => waveform.setParameters({ [name]: checkbox.checked }));
+  });
+  
+  // Dragging a slider only shows its value; the dings are rebuilt once it is let go
+  Object.entries(ENVELOPE_INPUTS).forEach(([name, id]) => {
+    const input = document.getElementById(id);
+    input.addEventListener("input", () => showEnvelopeValue(name, Number(input.value)));
+    input.addEventListener("change", () => {
+      waveform.setParameters({ [name]: Number(input.value) });
+      showSoundParameters();
+    });
+  });
+  
+  showSoundParameters();
+}
+
+/**
+ * Shows the Waveform visualizer's sound parameters in the sound panel
+ */
+function showSoundParameters() {
+  const waveform = getVisualizer("waveform");
+  if (!waveform) return;
+  const parameters = waveform.getParameters();
+  
+  document.getElementById("soundScale").value = parameters.scale;
+  document.getElementById("soundRootNote").value = parameters.rootNote;
+  document.getElementById("soundOctaveSpread").value = parameters.octaveSpread;
+  document.getElementById("soundInstrument").value = parameters.instrument;
+  document.getElementById("soundMode").value = parameters.mode;
+  document.getElementById("soundBpm").value = parameters.bpm;
+  document.getElementById("soundSwing").value = parameters.swing;
+  document.getElementById("soundSwing").nextElementSibling.textContent = `${Math.round(parameters.swing * 100)}%`;
+  document.getElementById("soundLoop").checked = parameters.loop;
+  document.getElementById("soundMetronome").checked = parameters.metronome;
+  Object.entries(ENVELOPE_INPUTS).forEach(([name, id]) => {
+    document.getElementById(id).value = parameters[name];
+    showEnvelopeValue(name, parameters[name]);
+  });
+}
+
+/**
+ * Shows an envelope value next to its slider
+ * @param {string} name - Envelope parameter (attack, decay, sustain or release)
+ * @param {number} value - Seconds, or the sustain level from 0 to 1
+ */
+function showEnvelopeValue(name, value) {
+  const output = document.getElementById(ENVELOPE_INPUTS[name]).nextElementSibling;
+  output.textContent = name === "sustain" ? `${Math.round(value * 100)}%` : `${value.toFixed(2)} s`;
+}
+
+/**
+ * Shows a message in the presets panel
+ * @param {string} text - The message
+ */
+function showPresetMessage(text) {
+  document.getElementById("presetMessage").textContent = text;
+}
+
+/**
+ * Connects the export panel of the transport bar, which saves the shown
+ * visualizer's picture, animation or sound as a file
+ */
+function initializeExportPanel() {
+  // Vectors have no resolution, only animations have a frame rate, and sound has neither a view nor a background
+  const formatSelect = document.getElementById("exportFormat");
+  const showFormatOptions = () => {
+    const format = formatSelect.value;
+    const audio = format === "wav" || format === "midi";
+    const animation = format === "gif" || format === "frames";
+    // Animations are drawn at the canvas' size; hundreds of frames at a higher resolution can freeze the tab
+    document.getElementById("exportScaleOption").style.display = format === "svg" || audio || animation ? "none" : "";
+    document.getElementById("exportFrameRateOption").style.display = animation ? "" : "none";
+    document.getElementById("exportViewOption").style.display = audio ? "none" : "";
+    document.getElementById("exportTransparentOption").style.display = audio ? "none" : "";
+  };
+  formatSelect.addEventListener("change", showFormatOptions);
+  showFormatOptions();
+  
+  const form = document.getElementById("exportForm");
+  const submitButton = form.querySelector('button[type="submit"]');
+  form.addEventListener("submit", event => {
+    event.preventDefault();
+    const visualizer = getActiveVisualizer();
+    if (!visualizer) {
+      showExportMessage("Choose a visualization first.");
+      return;
+    }
     
-    canvas.addEventListener("mouseleave", () => {
-      isDragging = false;
+    // Animations take a while; one export at a time
+    submitButton.disabled = true;
+    showExportMessage("Exporting…");
+    exportFile(visualizer, {
+      format: formatSelect.value,
+      word: document.getElementById("wordInput").value.trim(),
+      scale: formatSelect.value === "png" ? parseInt(document.getElementById("exportScale").value, 10) : 1,
+      fps: parseInt(document.getElementById("exportFrameRate").value, 10),
+      view: document.getElementById("exportView").value,
+      transparent: document.getElementById("exportTransparent").checked,
+      onProgress: (drawn, count, fps) => {
+        // Long animations are drawn at a lower frame rate to fit the frame limit
+        const rate = fps < parseInt(document.getElementById("exportFrameRate").value, 10) ? ` at ${fps.toFixed(1)} fps to fit the whole animation` : "";
+        showExportMessage(`Drawing frame ${drawn} of ${count}${rate}…`);
+      }
+    }).then(filename => {
+      showExportMessage(`Saved ${filename}.`);
+    }).catch(error => {
+      console.error("Error exporting:", error);
+      showExportMessage(error.message);
+    }).finally(() => {
+      submitButton.disabled = false;
     });
   });
 }
 
+/**
+ * Shows a message in the export panel
+ * @param {string} text - The message
+ */
+function showExportMessage(text) {
+  document.getElementById("exportMessage").textContent = text;
+}
+
+/**
+ * Updates the URL after a short delay, so typing a word or dragging the
+ * camera ends up as one history entry
+ * @param {boolean} push - Whether the update adds a history entry (camera moves only replace the current one)
+ */
+function scheduleLocationUpdate(push) {
+  if (applyingView) return;
+  locationPush = locationPush || push;
+  clearTimeout(locationTimer);
+  locationTimer = setTimeout(() => updateLocation(locationPush), LOCATION_UPDATE_DELAY);
+}
+
+/**
+ * Writes the current view into the URL hash
+ * @param {boolean} push - Whether to add a history entry rather than replace the current one
+ */
+function updateLocation(push) {
+  clearTimeout(locationTimer);
+  locationPush = false;
+  
+  const url = getAppPath(window.location.pathname) + formatViewHash(getCurrentView(), VIEW_DEFAULTS);
+  if (url === window.location.pathname + window.location.hash) return;
+  
+  if (push) {
+    window.history.pushState(null, "", url);
+  } else {
+    window.history.replaceState(null, "", url);
+  }
+}
+
 /**
  * Triggers a redraw for the specified canvas type
  * @param {string} canvasId - ID of the canvas to redraw
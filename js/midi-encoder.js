@@ -0,0 +1,121 @@
+/**
+ * Phonetic Visualizer - MIDI Encoder
+ * Writes notes as a Standard MIDI File (format 1): a tempo track followed by
+ * one track of notes per entry, each on its own channel
+ */
+
+// Timing of the file: ticks per quarter note at a fixed 120 beats per minute
+const TICKS_PER_QUARTER = 480;
+const TEMPO_BPM = 120;
+const TICKS_PER_SECOND = TICKS_PER_QUARTER * TEMPO_BPM / 60;
+
+// Channel 10 (index 9) plays drums in General MIDI, so note tracks skip it
+const DRUM_CHANNEL = 9;
+
+/**
+ * Writes a number as a MIDI variable-length quantity (7 bits per byte)
+ * @param {Array} bytes - Bytes to append to
+ * @param {number} value - Non-negative whole number
+ */
+function writeVariableLength(bytes, value) {
+  const groups = [value & 0x7f];
+  for (let rest = value >>> 7; rest > 0; rest >>>= 7) {
+    groups.unshift((rest & 0x7f) | 0x80);
+  }
+  bytes.push(...groups);
+}
+
+/**
+ * Writes a meta event carrying text, e.g. a track name
+ * @param {Array} bytes - Bytes to append to
+ * @param {number} type - Meta event type
+ * @param {string} text - The text
+ */
+function writeTextEvent(bytes, type, text) {
+  const encoded = new TextEncoder().encode(text);
+  bytes.push(0x00, 0xff, type);
+  writeVariableLength(bytes, encoded.length);
+  bytes.push(...encoded);
+}
+
+/**
+ * Wraps track events in a track chunk, adding the end of track
+ * @param {Array} events - Event bytes
+ * @returns {Array} The chunk's bytes
+ */
+function createTrackChunk(events) {
+  const length = events.length + 4;
+  return [
+    0x4d, 0x54, 0x72, 0x6b, // "MTrk"
+    (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+    ...events,
+    0x00, 0xff, 0x2f, 0x00
+  ];
+}
+
+/**
+ * Encodes note tracks as a Standard MIDI File
+ * @param {Array} tracks - { name, notes } entries; notes are { time, duration, pitch, velocity } with times in seconds, pitch as a MIDI note number and velocity from 1 to 127
+ * @param {Object} [options] - File options
+ * @param {string} [options.name] - Name of the piece, given to the tempo track
+ * @returns {Uint8Array} The MIDI file
+ */
+function encodeMidi(tracks, options = {}) {
+  const toTicks = seconds => Math.max(0, Math.round(seconds * TICKS_PER_SECOND));
+  const chunks = [];
+
+  // Tempo track
+  const tempo = [];
+  if (options.name) writeTextEvent(tempo, 0x03, options.name);
+  const microsecondsPerQuarter = Math.round(60000000 / TEMPO_BPM);
+  tempo.push(0x00, 0xff, 0x51, 0x03, (microsecondsPerQuarter >> 16) & 0xff, (microsecondsPerQuarter >> 8) & 0xff, microsecondsPerQuarter & 0xff);
+  tempo.push(0x00, 0xff, 0x58, 0x04, 4, 2, 24, 8); // 4/4 time
+  chunks.push(createTrackChunk(tempo));
+
+  tracks.forEach((track, index) => {
+    const channel = (index < DRUM_CHANNEL ? index : index + 1) % 16;
+
+    const notes = track.notes.map(note => ({
+      pitch: Math.max(0, Math.min(127, Math.round(note.pitch))),
+      velocity: Math.max(1, Math.min(127, Math.round(note.velocity))),
+      start: toTicks(note.time),
+      end: toTicks(note.time + note.duration)
+    })).sort((a, b) => a.start - b.start);
+
+    // A note ends where the next note of the same pitch starts, so repeats do not overlap.
+    // Note offs sort before note ons at the same tick, so repeated notes restart cleanly
+    const nextStarts = new Map();
+    const messages = [];
+    for (let i = notes.length - 1; i >= 0; i--) {
+      const { pitch, velocity, start, end } = notes[i];
+      const nextStart = nextStarts.has(pitch) ? nextStarts.get(pitch) : Infinity;
+      nextStarts.set(pitch, start);
+      messages.push({ tick: start, order: 1, bytes: [0x90 | channel, pitch, velocity] });
+      messages.push({ tick: Math.max(start + 1, Math.min(end, nextStart)), order: 0, bytes: [0x80 | channel, pitch, 0] });
+    }
+    messages.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const events = [];
+    if (track.name) writeTextEvent(events, 0x03, track.name);
+    let lastTick = 0;
+    messages.forEach(message => {
+      writeVariableLength(events, message.tick - lastTick);
+      events.push(...message.bytes);
+      lastTick = message.tick;
+    });
+    chunks.push(createTrackChunk(events));
+  });
+
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, // "MThd"
+    0, 0, 0, 6,
+    0, 1, // Format 1: simultaneous tracks
+    (chunks.length >> 8) & 0xff, chunks.length & 0xff,
+    (TICKS_PER_QUARTER >> 8) & 0xff, TICKS_PER_QUARTER & 0xff
+  ];
+  return Uint8Array.from([...header, ...chunks.flat()]);
+}
+
+export {
+  encodeMidi
+};
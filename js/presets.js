@@ -0,0 +1,157 @@
+/**
+ * Phonetic Visualizer - Presets
+ * Named views (word, visualizer, options and camera) with the parameters of
+ * their visualizer, kept in localStorage and shared as JSON files
+ */
+
+import { normalizeView } from './links.js';
+
+// localStorage key holding the saved presets
+const STORAGE_KEY = 'phoneticVisualizer.presets';
+
+// Marks exported files, so that importing an unrelated JSON file fails clearly
+const PRESET_FILE_FORMAT = 'phonetic-visualizer-presets';
+const PRESET_FILE_VERSION = 1;
+
+/**
+ * Keeps the parts of a preset that have the right types
+ * @param {Object} raw - Anything, e.g. an entry of an imported file
+ * @returns {Object|null} { name, view, parameters }, or null if it has no name
+ */
+function normalizePreset(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) {
+    return null;
+  }
+
+  // Parameters are checked against the visualizer when the preset is applied
+  const parameters = raw.parameters && typeof raw.parameters === 'object' && !Array.isArray(raw.parameters)
+    ? { ...raw.parameters }
+    : {};
+
+  return {
+    name: raw.name.trim(),
+    view: normalizeView(raw.view),
+    parameters
+  };
+}
+
+/**
+ * Gets the saved presets
+ * @returns {Array} Presets in the order they were first saved
+ */
+function getPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.map(normalizePreset).filter(Boolean) : [];
+  } catch (error) {
+    console.error('Error reading presets:', error);
+    return [];
+  }
+}
+
+/**
+ * Replaces the saved presets
+ * @param {Array} presets - The presets
+ * @returns {boolean} Whether they were saved (storage may be full or disabled)
+ */
+function storePresets(presets) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    return true;
+  } catch (error) {
+    console.error('Error saving presets:', error);
+    return false;
+  }
+}
+
+/**
+ * Adds presets to a list; a preset replaces the one with the same name
+ * @param {Array} presets - Existing presets
+ * @param {Array} additions - Presets to add
+ * @returns {Array} The new list
+ */
+function mergePresets(presets, additions) {
+  const merged = [...presets];
+  additions.forEach(preset => {
+    const index = merged.findIndex(existing => existing.name === preset.name);
+    if (index >= 0) {
+      merged[index] = preset;
+    } else {
+      merged.push(preset);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Saves a preset, replacing any preset with the same name
+ * @param {Object} preset - { name, view, parameters }
+ * @returns {Object|null} The preset as saved, or null if it has no name or could not be stored
+ */
+function savePreset(preset) {
+  const normalized = normalizePreset(preset);
+  if (!normalized) return null;
+  return storePresets(mergePresets(getPresets(), [normalized])) ? normalized : null;
+}
+
+/**
+ * Deletes a saved preset
+ * @param {string} name - Name of the preset
+ * @returns {boolean} Whether the presets were stored
+ */
+function deletePreset(name) {
+  return storePresets(getPresets().filter(preset => preset.name !== name));
+}
+
+/**
+ * Formats presets as the contents of a preset file
+ * @param {Array} presets - Presets to export
+ * @returns {string} JSON text
+ */
+function exportPresets(presets) {
+  return JSON.stringify({
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    presets
+  }, null, 2);
+}
+
+/**
+ * Reads a preset file and saves its presets, replacing saved presets with the same names
+ * @param {string} text - Contents of the file
+ * @returns {Object} { imported, skipped } counts of presets
+ * @throws {Error} If the file is not a preset file or the presets could not be stored
+ */
+function importPresets(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  // A bare array of presets is accepted too
+  const entries = Array.isArray(file) ? file : file && file.format === PRESET_FILE_FORMAT ? file.presets : null;
+  if (!Array.isArray(entries)) {
+    throw new Error('The file does not contain presets.');
+  }
+  if (!Array.isArray(file) && file.version > PRESET_FILE_VERSION) {
+    throw new Error(`Preset files of version ${file.version} are not supported.`);
+  }
+
+  const presets = entries.map(normalizePreset).filter(Boolean);
+  if (presets.length && !storePresets(mergePresets(getPresets(), presets))) {
+    throw new Error('The presets could not be saved.');
+  }
+  return { imported: presets.length, skipped: entries.length - presets.length };
+}
+
+export {
+  PRESET_FILE_FORMAT,
+  PRESET_FILE_VERSION,
+  getPresets,
+  savePreset,
+  deletePreset,
+  exportPresets,
+  importPresets
+};
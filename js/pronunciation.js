@@ -0,0 +1,307 @@
+/**
+ * Phonetic Visualizer - Pronunciation
+ * Converts words to ARPAbet phonemes using the bundled CMUdict-style
+ * dictionary (data/cmudict.txt) with a rule-based fallback for unknown words
+ */
+
+// Location of the bundled pronunciation dictionary
+const DICTIONARY_URL = new URL('../data/cmudict.txt', import.meta.url);
+
+// Parsed dictionary: lower-case word to array of ARPAbet phonemes
+const dictionary = new Map();
+
+// Loading status of the dictionary: idle, loading, loaded or failed
+let dictionaryStatus = 'idle';
+let dictionaryPromise = null;
+
+// Pronunciation of each letter's name (CMUdict letter entries)
+const LETTER_NAME_PHONEMES = Object.freeze({
+  a: ["EY1"], b: ["B", "IY1"], c: ["S", "IY1"], d: ["D", "IY1"], e: ["IY1"],
+  f: ["EH1", "F"], g: ["JH", "IY1"], h: ["EY1", "CH"], i: ["AY1"], j: ["JH", "EY1"],
+  k: ["K", "EY1"], l: ["EH1", "L"], m: ["EH1", "M"], n: ["EH1", "N"], o: ["OW1"],
+  p: ["P", "IY1"], q: ["K", "Y", "UW1"], r: ["AA1", "R"], s: ["EH1", "S"],
+  t: ["T", "IY1"], u: ["Y", "UW1"], v: ["V", "IY1"],
+  w: ["D", "AH1", "B", "AH0", "L", "Y", "UW0"], x: ["EH1", "K", "S"],
+  y: ["W", "AY1"], z: ["Z", "IY1"]
+});
+
+// ARPAbet to IPA (unstressed AH and ER get their reduced forms)
+const ARPABET_TO_IPA = Object.freeze({
+  AA: "ɑ", AE: "æ", AH: "ʌ", AH0: "ə", AO: "ɔ", AW: "aʊ", AY: "aɪ",
+  EH: "ɛ", ER: "ɝ", ER0: "ɚ", EY: "eɪ", IH: "ɪ", IY: "i", OW: "oʊ",
+  OY: "ɔɪ", UH: "ʊ", UW: "u", B: "b", CH: "tʃ", D: "d", DH: "ð", F: "f",
+  G: "ɡ", HH: "h", JH: "dʒ", K: "k", L: "l", M: "m", N: "n", NG: "ŋ",
+  P: "p", R: "ɹ", S: "s", SH: "ʃ", T: "t", TH: "θ", V: "v", W: "w",
+  Y: "j", Z: "z", ZH: "ʒ"
+});
+
+// Letter-to-sound rules for words missing from the dictionary, tried in
+// order at each position. `next` restricts a rule to graphemes followed by
+// one of the given letters; `final` to the end of the word.
+const FALLBACK_RULES = [
+  { graphemes: "tch", phonemes: ["CH"] },
+  { graphemes: "igh", phonemes: ["AY1"] },
+  { graphemes: "sch", phonemes: ["S", "K"] },
+  { graphemes: "ph", phonemes: ["F"] },
+  { graphemes: "sh", phonemes: ["SH"] },
+  { graphemes: "ch", phonemes: ["CH"] },
+  { graphemes: "th", phonemes: ["TH"] },
+  { graphemes: "wh", phonemes: ["W"] },
+  { graphemes: "ck", phonemes: ["K"] },
+  { graphemes: "ng", phonemes: ["NG"] },
+  { graphemes: "qu", phonemes: ["K", "W"] },
+  { graphemes: "kn", phonemes: ["N"] },
+  { graphemes: "wr", phonemes: ["R"] },
+  { graphemes: "gh", phonemes: [] },
+  { graphemes: "ee", phonemes: ["IY1"] },
+  { graphemes: "ea", phonemes: ["IY1"] },
+  { graphemes: "oo", phonemes: ["UW1"] },
+  { graphemes: "ou", phonemes: ["AW1"] },
+  { graphemes: "ow", phonemes: ["OW1"] },
+  { graphemes: "oi", phonemes: ["OY1"] },
+  { graphemes: "oy", phonemes: ["OY1"] },
+  { graphemes: "ai", phonemes: ["EY1"] },
+  { graphemes: "ay", phonemes: ["EY1"] },
+  { graphemes: "au", phonemes: ["AO1"] },
+  { graphemes: "aw", phonemes: ["AO1"] },
+  { graphemes: "ie", phonemes: ["IY1"] },
+  { graphemes: "ei", phonemes: ["EY1"] },
+  { graphemes: "er", phonemes: ["ER0"], final: true },
+  { graphemes: "c", phonemes: ["S"], next: "eiy" },
+  { graphemes: "g", phonemes: ["JH"], next: "eiy" },
+  { graphemes: "y", phonemes: ["IY0"], final: true },
+  { graphemes: "e", phonemes: [], final: true },
+  { graphemes: "a", phonemes: ["AE1"] },
+  { graphemes: "e", phonemes: ["EH1"] },
+  { graphemes: "i", phonemes: ["IH1"] },
+  { graphemes: "o", phonemes: ["AA1"] },
+  { graphemes: "u", phonemes: ["AH1"] },
+  { graphemes: "y", phonemes: ["Y"] },
+  { graphemes: "b", phonemes: ["B"] },
+  { graphemes: "c", phonemes: ["K"] },
+  { graphemes: "d", phonemes: ["D"] },
+  { graphemes: "f", phonemes: ["F"] },
+  { graphemes: "g", phonemes: ["G"] },
+  { graphemes: "h", phonemes: ["HH"] },
+  { graphemes: "j", phonemes: ["JH"] },
+  { graphemes: "k", phonemes: ["K"] },
+  { graphemes: "l", phonemes: ["L"] },
+  { graphemes: "m", phonemes: ["M"] },
+  { graphemes: "n", phonemes: ["N"] },
+  { graphemes: "p", phonemes: ["P"] },
+  { graphemes: "q", phonemes: ["K"] },
+  { graphemes: "r", phonemes: ["R"] },
+  { graphemes: "s", phonemes: ["S"] },
+  { graphemes: "t", phonemes: ["T"] },
+  { graphemes: "v", phonemes: ["V"] },
+  { graphemes: "w", phonemes: ["W"] },
+  { graphemes: "x", phonemes: ["K", "S"] },
+  { graphemes: "z", phonemes: ["Z"] }
+];
+
+// Long vowels produced by a final "silent e" (vowel + consonant + e)
+const LONG_VOWELS = Object.freeze({ a: "EY1", e: "IY1", i: "AY1", o: "OW1", u: "UW1" });
+
+/**
+ * Parses the text of a CMUdict-style file into the dictionary.
+ * Alternate pronunciations ("WORD(2)") and comment lines (";;;") are skipped.
+ * @param {string} text - Contents of the dictionary file
+ */
+function parseDictionary(text) {
+  text.split('\n').forEach(line => {
+    if (!line || line.startsWith(';;;')) return;
+    const [word, ...phonemes] = line.trim().split(/\s+/);
+    if (!word || !phonemes.length || word.endsWith(')')) return;
+    dictionary.set(word.toLowerCase(), phonemes);
+  });
+}
+
+/**
+ * Loads the bundled pronunciation dictionary. Safe to call repeatedly;
+ * the file is only fetched once. If loading fails, every word uses the
+ * rule-based fallback.
+ * @returns {Promise} Resolves once the dictionary is loaded or has failed to load
+ */
+function loadPronunciationDictionary() {
+  if (!dictionaryPromise) {
+    dictionaryStatus = 'loading';
+    dictionaryPromise = fetch(DICTIONARY_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+      })
+      .then(text => {
+        parseDictionary(text);
+        dictionaryStatus = 'loaded';
+        console.log(`Loaded pronunciation dictionary with ${dictionary.size} words`);
+      })
+      .catch(error => {
+        dictionaryStatus = 'failed';
+        console.error("Error loading pronunciation dictionary, using rule-based fallback:", error);
+      });
+  }
+  return dictionaryPromise;
+}
+
+/**
+ * Checks whether loading the dictionary has finished (successfully or not)
+ * @returns {boolean} True if no dictionary load is pending
+ */
+function isPronunciationDictionaryReady() {
+  return dictionaryStatus === 'loaded' || dictionaryStatus === 'failed';
+}
+
+/**
+ * Strips the stress digit from an ARPAbet phoneme
+ * @param {string} phoneme - ARPAbet phoneme, e.g. "AH0"
+ * @returns {string} Phoneme without stress, e.g. "AH"
+ */
+function stripStress(phoneme) {
+  return phoneme.replace(/[0-9]$/, '');
+}
+
+/**
+ * Formats an ARPAbet phoneme for display
+ * @param {string} phoneme - ARPAbet phoneme with optional stress digit
+ * @param {string} notation - "ipa" or "arpabet"
+ * @returns {string} The phoneme in the requested notation
+ */
+function formatPhoneme(phoneme, notation = 'ipa') {
+  const base = stripStress(phoneme);
+  if (notation === 'arpabet') return base;
+  if (phoneme.endsWith('0') && ARPABET_TO_IPA[`${base}0`]) return ARPABET_TO_IPA[`${base}0`];
+  return ARPABET_TO_IPA[base] || base.toLowerCase();
+}
+
+/**
+ * Converts a word to phonemes with the letter-to-sound rules
+ * @param {string} word - Lower-case word made of letters a-z
+ * @returns {Array} Array of { phoneme, letterIndex } in spoken order
+ */
+function applyFallbackRules(word) {
+  const result = [];
+  let i = 0;
+
+  // A final "silent e" lengthens the vowel before the last consonant ("made", "ride")
+  const silentE = /[aeiou][^aeiouy]e$/.test(word) && word.length > 3 ? word.length - 3 : -1;
+
+  while (i < word.length) {
+    if (i === silentE && LONG_VOWELS[word[i]]) {
+      result.push({ phoneme: LONG_VOWELS[word[i]], letterIndex: i });
+      i++;
+      continue;
+    }
+
+    const rule = FALLBACK_RULES.find(candidate => {
+      const end = i + candidate.graphemes.length;
+      if (word.slice(i, end) !== candidate.graphemes) return false;
+      if (candidate.final && end !== word.length) return false;
+      if (candidate.next && !(end < word.length && candidate.next.includes(word[end]))) return false;
+      return true;
+    });
+
+    if (!rule) {
+      i++;
+      continue;
+    }
+
+    // Doubled consonants are pronounced once ("ll", "ss")
+    const previous = result[result.length - 1];
+    rule.phonemes.forEach(phoneme => {
+      if (previous && previous.phoneme === phoneme && !/[0-9]$/.test(phoneme)) return;
+      result.push({ phoneme, letterIndex: i });
+    });
+    i += rule.graphemes.length;
+  }
+
+  return result;
+}
+
+/**
+ * Aligns dictionary phonemes to letters by matching them against the
+ * rule-based conversion (edit distance on phonemes without stress).
+ * @param {Array} phonemes - Dictionary phonemes for the word
+ * @param {Array} guessed - Rule-based { phoneme, letterIndex } for the same word
+ * @param {number} letterCount - Number of letters in the word
+ * @returns {Array} Array of { phoneme, letterIndex }
+ */
+function alignPhonemes(phonemes, guessed, letterCount) {
+  const n = phonemes.length;
+  const m = guessed.length;
+  if (!m) {
+    // Nothing to align against: spread the phonemes over the letters in order
+    return phonemes.map((phoneme, j) => ({ phoneme, letterIndex: Math.floor(j * letterCount / n) }));
+  }
+
+  // Edit distance table
+  const cost = Array.from({ length: n + 1 }, (row, j) => Array.from({ length: m + 1 }, (cell, k) => (j === 0 ? k : k === 0 ? j : 0)));
+  for (let j = 1; j <= n; j++) {
+    for (let k = 1; k <= m; k++) {
+      const same = stripStress(phonemes[j - 1]) === stripStress(guessed[k - 1].phoneme);
+      cost[j][k] = Math.min(
+        cost[j - 1][k - 1] + (same ? 0 : 1),
+        cost[j - 1][k] + 1,
+        cost[j][k - 1] + 1
+      );
+    }
+  }
+
+  // Walk back through the table, giving each dictionary phoneme the letter
+  // of the rule-based phoneme it lines up with
+  const letterIndices = new Array(n).fill(null);
+  let j = n;
+  let k = m;
+  while (j > 0) {
+    const same = k > 0 && stripStress(phonemes[j - 1]) === stripStress(guessed[k - 1].phoneme);
+    if (k > 0 && cost[j][k] === cost[j - 1][k - 1] + (same ? 0 : 1)) {
+      letterIndices[j - 1] = guessed[k - 1].letterIndex;
+      j--;
+      k--;
+    } else if (k > 0 && cost[j][k] === cost[j][k - 1] + 1) {
+      k--;
+    } else {
+      letterIndices[j - 1] = guessed[Math.min(k, m - 1)].letterIndex;
+      j--;
+    }
+  }
+
+  // Keep the letter order monotonic
+  let lastIndex = 0;
+  return phonemes.map((phoneme, index) => {
+    lastIndex = Math.max(lastIndex, letterIndices[index]);
+    return { phoneme, letterIndex: lastIndex };
+  });
+}
+
+/**
+ * Converts a word to phonemes, each linked to the letter that produced it
+ * @param {string} word - The word (letters only)
+ * @returns {Array} Array of { phoneme, letterIndex } with ARPAbet phonemes
+ */
+function pronounceWord(word) {
+  const lowerWord = word.toLowerCase();
+  const letters = lowerWord.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const guessed = applyFallbackRules(letters);
+  const known = dictionary.get(lowerWord);
+  return known ? alignPhonemes(known, guessed, lowerWord.length) : guessed;
+}
+
+/**
+ * Spells out an ARPAbet phoneme symbol and pronounces the name of each of its
+ * letters, e.g. "HH" becomes the phonemes of "aych aych"
+ * @param {string} phoneme - ARPAbet phoneme with optional stress digit
+ * @returns {Array} Array of ARPAbet phonemes
+ */
+function spellOutPhoneme(phoneme) {
+  return stripStress(phoneme).toLowerCase().split('').flatMap(letter => LETTER_NAME_PHONEMES[letter] || []);
+}
+
+export {
+  LETTER_NAME_PHONEMES,
+  ARPABET_TO_IPA,
+  loadPronunciationDictionary,
+  isPronunciationDictionaryReady,
+  formatPhoneme,
+  pronounceWord,
+  spellOutPhoneme
+};
@@ -0,0 +1,83 @@
+/**
+ * Phonetic Visualizer - Seeded Random Numbers
+ * Deterministic pseudo-random number generators, seeded from the word and an
+ * optional user seed, so that the same word always looks and sounds the same
+ */
+
+/**
+ * Hashes text into a 32-bit unsigned integer (FNV-1a with a final avalanche)
+ * @param {string} text - Text to hash
+ * @returns {number} The hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32). The generator is a
+ * drop-in replacement for Math.random with a few helpers attached.
+ * @param {...(string|number)} seedParts - Values combined into the seed, e.g. the word and the user seed
+ * @returns {Function} Function returning numbers in [0, 1), with range, int, pick and fork helpers
+ */
+function createRandom(...seedParts) {
+  const seed = seedParts.map(String).join('\u0000');
+  let state = hashString(seed);
+
+  function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // The combined seed, e.g. for storing in visualizer state and forking later
+  random.seed = seed;
+
+  /**
+   * Gets a number in [min, max)
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} The number
+   */
+  random.range = (min, max) => min + random() * (max - min);
+
+  /**
+   * Gets an integer in [0, max)
+   * @param {number} max - Upper bound
+   * @returns {number} The integer
+   */
+  random.int = max => Math.floor(random() * max);
+
+  /**
+   * Picks an element of an array
+   * @param {Array} array - Array to pick from
+   * @returns {*} The element
+   */
+  random.pick = array => array[Math.floor(random() * array.length)];
+
+  /**
+   * Creates an independent generator for one purpose (e.g. background stars),
+   * so that drawing more or fewer of something else does not shift its values
+   * @param {...(string|number)} labels - Values identifying the purpose
+   * @returns {Function} A new generator
+   */
+  random.fork = (...labels) => createRandom(seed, ...labels);
+
+  return random;
+}
+
+export {
+  hashString,
+  createRandom
+};
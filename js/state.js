@@ -8,14 +8,12 @@ const visualizationState = {
   spiral: {
     points: null,
     frame: 0,
-    colors: null,
-    animationId: null
+    colors: null
   },
   ripple: {
     layers: null,
     frame: 0,
     colors: null,
-    animationId: null,
     centerX: 0,
     centerY: 0,
     ringSpacing: 60,
@@ -25,7 +23,6 @@ const visualizationState = {
     branches: null,
     frame: 0,
     colors: null,
-    animationId: null,
     centerX: 0,
     centerY: 0,
     season: "spring" // spring, summer, fall, winter
@@ -35,7 +32,6 @@ const visualizationState = {
     connections: null,
     frame: 0,
     colors: null,
-    animationId: null,
     centerX: 0,
     centerY: 0,
     twinkleSpeed: 0.05
@@ -46,15 +42,13 @@ const visualizationState = {
     root: null,
     width: 0,
     height: 0,
-    animationStartTime: 0,
-    animationId: null
+    animationStartTime: 0
   },
   waveform: {
     frequencies: null,
     waveData: null,
     frame: 0,
     colors: null,
-    animationId: null,
     audioContext: null,
     audioNodes: null,
     isPlaying: false
@@ -79,78 +73,12 @@ function registerVisualizerState(visualizerName, stateTemplate) {
   }
 }
 
-/**
- * Cancels any running animations for a specific visualization
- * @param {string} visualizationType - Type of visualization (spiral, ripple, etc.)
- */
-function cancelAnimation(visualizationType) {
-  if (visualizationState[visualizationType] && 
-      visualizationState[visualizationType].animationId) {
-    cancelAnimationFrame(visualizationState[visualizationType].animationId);
-    visualizationState[visualizationType].animationId = null;
-  }
-}
-
 /**
  * Resets the state for a specific visualization
  * @param {string} visualizationType - Type of visualization (spiral, ripple, etc.)
  */
 function resetState(visualizationType) {
-  // Handle special case for waveform (audio cleanup)
-  if (visualizationType === 'waveform' && 
-      visualizationState.waveform && 
-      visualizationState.waveform.audioNodes) {
-    // Clean up audio nodes for waveform visualization
-    visualizationState.waveform.audioNodes.forEach(node => {
-      try {
-        // Stop any audio source nodes
-        if (node.stop) {
-          node.stop(0);
-        }
-        node.disconnect();
-      } catch (e) {
-        // Node might already be disconnected or stopped
-      }
-    });
-    
-    // Cancel any ongoing animation
-    cancelAnimation('waveform');
-    
-    // Preserve the audio context but reset everything else
-    const audioContext = visualizationState.waveform.audioContext;
-    
-    // Use template if available, otherwise use default waveform state
-    if (visualizerTemplates[visualizationType]) {
-      visualizationState[visualizationType] = { 
-        ...visualizerTemplates[visualizationType],
-        audioContext: audioContext, // Keep audio context
-        audioNodes: [],
-        soundBuffers: [],
-        isPlaying: false,
-        dataArray: null,
-        bufferLength: null,
-        analyzer: null
-      };
-    } else {
-      visualizationState.waveform = {
-        frequencies: null,
-        waveData: null,
-        frame: 0,
-        colors: null,
-        animationId: null,
-        audioContext: audioContext, // Keep audio context
-        audioNodes: [],
-        soundBuffers: [],
-        isPlaying: false,
-        dataArray: null,
-        bufferLength: null,
-        analyzer: null
-      };
-    }
-    return;
-  }
-  
-  // For other visualizers, use the template if available
+  // Use the template if available (visualizers release their own resources in lifecycle hooks)
   if (visualizerTemplates[visualizationType]) {
     visualizationState[visualizationType] = { ...visualizerTemplates[visualizationType] };
   } else {
@@ -160,8 +88,7 @@ function resetState(visualizationType) {
         visualizationState.spiral = {
           points: null,
           frame: 0,
-          colors: null,
-          animationId: null
+          colors: null
         };
         break;
       case 'ripple':
@@ -169,7 +96,6 @@ function resetState(visualizationType) {
           layers: null,
           frame: 0,
           colors: null,
-          animationId: null,
           centerX: 0,
           centerY: 0,
           ringSpacing: 60,
@@ -181,7 +107,6 @@ function resetState(visualizationType) {
           branches: null,
           frame: 0,
           colors: null,
-          animationId: null,
           centerX: 0,
           centerY: 0,
           season: "spring"
@@ -193,7 +118,6 @@ function resetState(visualizationType) {
           connections: null,
           frame: 0,
           colors: null,
-          animationId: null,
           centerX: 0,
           centerY: 0,
           twinkleSpeed: 0.05
@@ -231,7 +155,6 @@ export {
   visualizationState,
   visualizerTemplates,
   registerVisualizerState,
-  cancelAnimation,
   resetState,
   getState,
   updateState
@@ -0,0 +1,114 @@
+/**
+ * Phonetic Visualizer - Drawing Surfaces
+ * Sizes canvas backing stores by the device pixel ratio, so that text and
+ * strokes stay sharp on high-density displays, while visualizers keep
+ * drawing in logical (CSS) pixels
+ */
+
+// Logical size and pixel ratio of every canvas sized through setCanvasSize
+const canvasSizes = new WeakMap();
+
+// Largest backing store edge most browsers accept
+const MAX_CANVAS_EDGE = 16384;
+
+/**
+ * Gets the number of device pixels per CSS pixel
+ * @returns {number} The pixel ratio (1 where it is unknown)
+ */
+function getDevicePixelRatio() {
+  const ratio = typeof window !== 'undefined' ? window.devicePixelRatio : 1;
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : 1;
+}
+
+/**
+ * Sizes a canvas: the backing store gets width * pixelRatio by
+ * height * pixelRatio pixels (capped to what browsers accept) and the
+ * element keeps the logical size on the page
+ * @param {HTMLCanvasElement} canvas - Canvas to size
+ * @param {number} width - Logical width in CSS pixels
+ * @param {number} height - Logical height in CSS pixels
+ * @param {number} [pixelRatio] - Backing store pixels per logical pixel (defaults to the device pixel ratio)
+ * @returns {Object} { width, height, pixelRatio } as applied
+ */
+function setCanvasSize(canvas, width, height, pixelRatio = getDevicePixelRatio()) {
+  const logicalWidth = Math.max(0, Math.round(width));
+  const logicalHeight = Math.max(0, Math.round(height));
+  const ratio = Math.min(
+    pixelRatio,
+    MAX_CANVAS_EDGE / Math.max(1, logicalWidth),
+    MAX_CANVAS_EDGE / Math.max(1, logicalHeight)
+  );
+
+  const backingWidth = Math.round(logicalWidth * ratio);
+  const backingHeight = Math.round(logicalHeight * ratio);
+  // Assigning the size clears the canvas even when it does not change
+  if (canvas.width !== backingWidth) canvas.width = backingWidth;
+  if (canvas.height !== backingHeight) canvas.height = backingHeight;
+  if (canvas.style) {
+    canvas.style.width = `${logicalWidth}px`;
+    canvas.style.height = `${logicalHeight}px`;
+  }
+
+  const size = { width: logicalWidth, height: logicalHeight, pixelRatio: ratio };
+  canvasSizes.set(canvas, size);
+  return { ...size };
+}
+
+/**
+ * Gets the logical size of a canvas. Canvases never sized through
+ * setCanvasSize are taken to have one backing store pixel per logical pixel.
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @returns {Object} { width, height, pixelRatio }
+ */
+function getCanvasSize(canvas) {
+  const size = canvasSizes.get(canvas);
+  if (size && canvas.width === Math.round(size.width * size.pixelRatio) && canvas.height === Math.round(size.height * size.pixelRatio)) {
+    return { ...size };
+  }
+  return { width: canvas.width, height: canvas.height, pixelRatio: 1 };
+}
+
+/**
+ * Gets a context that draws in logical pixels: its transform is reset to
+ * the canvas' pixel ratio
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @returns {CanvasRenderingContext2D} The context
+ */
+function getScaledContext(canvas) {
+  const ctx = canvas.getContext('2d');
+  const { pixelRatio } = getCanvasSize(canvas);
+  ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  return ctx;
+}
+
+/**
+ * Calls back whenever the device pixel ratio changes, e.g. when the browser
+ * zooms or the window moves to a screen of another density
+ * @param {Function} callback - (pixelRatio) => void
+ * @returns {Function} Function stopping the watch
+ */
+function watchDevicePixelRatio(callback) {
+  if (typeof window === 'undefined' || !window.matchMedia) return () => {};
+  let query = null;
+  const onChange = () => {
+    watch();
+    callback(getDevicePixelRatio());
+  };
+  // A resolution query only matches one ratio, so it is replaced after every change
+  function watch() {
+    if (query) query.removeEventListener('change', onChange);
+    query = window.matchMedia(`(resolution: ${getDevicePixelRatio()}dppx)`);
+    query.addEventListener('change', onChange);
+  }
+  watch();
+  return () => query.removeEventListener('change', onChange);
+}
+
+export {
+  MAX_CANVAS_EDGE,
+  getDevicePixelRatio,
+  setCanvasSize,
+  getCanvasSize,
+  getScaledContext,
+  watchDevicePixelRatio
+};
@@ -0,0 +1,553 @@
+/**
+ * Phonetic Visualizer - SVG Drawing Context
+ * A stand-in for CanvasRenderingContext2D that records the calls the
+ * visualizers make (paths, arcs, text, gradients, shadows) and writes them out
+ * as an SVG document, so a redraw function can draw vectors unchanged
+ */
+
+// Values saved and restored with save()/restore(), with the canvas defaults
+const DEFAULT_DRAWING_STATE = {
+  fillStyle: '#000000',
+  strokeStyle: '#000000',
+  lineWidth: 1,
+  lineCap: 'butt',
+  lineJoin: 'miter',
+  miterLimit: 10,
+  lineDashOffset: 0,
+  globalAlpha: 1,
+  font: '10px sans-serif',
+  textAlign: 'start',
+  textBaseline: 'alphabetic',
+  shadowColor: 'rgba(0, 0, 0, 0)',
+  shadowBlur: 0,
+  shadowOffsetX: 0,
+  shadowOffsetY: 0
+};
+
+// Canvas text alignment and baselines as SVG text attributes
+const TEXT_ANCHORS = { start: 'start', left: 'start', center: 'middle', right: 'end', end: 'end' };
+const DOMINANT_BASELINES = {
+  top: 'text-before-edge',
+  hanging: 'hanging',
+  middle: 'central',
+  alphabetic: null,
+  ideographic: 'ideographic',
+  bottom: 'text-after-edge'
+};
+
+/**
+ * Formats a number for SVG attributes, with at most two decimals
+ * @param {number} value - The number
+ * @returns {string} The formatted number
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Escapes text for XML content and attribute values
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  })[char]);
+}
+
+/**
+ * Splits a CSS color into an opaque color and its opacity, because 8-digit
+ * hex and rgba() colors are not understood by every SVG editor
+ * @param {string} color - CSS color, e.g. "#ff000080" or "rgba(255, 0, 0, 0.5)"
+ * @returns {Object} { color, opacity }
+ */
+function parseColor(color) {
+  const value = String(color).trim();
+
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(value);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map(digit => digit + digit).join('');
+    const opacity = digits.length === 8 ? parseInt(digits.slice(6), 16) / 255 : 1;
+    return { color: `#${digits.slice(0, 6)}`, opacity };
+  }
+
+  const functional = /^(rgb|hsl)a?\(\s*([^)]*)\)$/i.exec(value);
+  if (functional) {
+    const parts = functional[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+    if (parts.length === 4) {
+      const alpha = parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+      return { color: `${functional[1]}(${parts.slice(0, 3).join(', ')})`, opacity: Number.isFinite(alpha) ? alpha : 1 };
+    }
+    return { color: `${functional[1]}(${parts.join(', ')})`, opacity: 1 };
+  }
+
+  if (value === 'transparent') return { color: '#000000', opacity: 0 };
+  return { color: value, opacity: 1 };
+}
+
+/**
+ * Reads a CSS font shorthand such as "bold 12px Arial"
+ * @param {string} font - The font
+ * @returns {Object} { style, weight, size, family }
+ */
+function parseFont(font) {
+  const match = /^\s*((?:(?:italic|oblique|normal|bold|bolder|lighter|small-caps|\d{3})\s+)*)([\d.]+)px(?:\/\S+)?\s+(.+)$/i.exec(font || '');
+  if (!match) return { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' };
+  const keywords = match[1].trim().split(/\s+/).filter(Boolean);
+  return {
+    style: keywords.find(word => word === 'italic' || word === 'oblique') || 'normal',
+    weight: keywords.find(word => /^(bold|bolder|lighter|\d{3})$/.test(word)) || 'normal',
+    size: parseFloat(match[2]),
+    family: match[3].trim()
+  };
+}
+
+/**
+ * Multiplies two affine matrices [a, b, c, d, e, f]
+ * @param {Array} m - Left matrix
+ * @param {Array} n - Right matrix
+ * @returns {Array} m × n
+ */
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+/**
+ * Creates a gradient that records its color stops, like CanvasGradient
+ * @param {string} type - "linear" or "radial"
+ * @param {Array} coordinates - Arguments of createLinearGradient or createRadialGradient
+ * @returns {Object} The gradient
+ */
+function createRecordedGradient(type, coordinates) {
+  const stops = [];
+  return {
+    type,
+    coordinates,
+    stops,
+    addColorStop(offset, color) {
+      stops.push({ offset, color });
+    }
+  };
+}
+
+/**
+ * Creates a drawing context that records Canvas 2D calls as SVG. It covers
+ * what the visualizers use: paths with lines, arcs, ellipses and curves,
+ * rectangles, text, transforms, gradients, dashes, alpha and shadows.
+ * Clearing the whole surface drops what was drawn; partial clears are ignored.
+ * @param {number} width - Width of the drawing in CSS pixels
+ * @param {number} height - Height of the drawing in CSS pixels
+ * @returns {Object} The context, with a toSvg method returning the document
+ */
+function createSvgContext(width, height) {
+  let drawingState = { ...DEFAULT_DRAWING_STATE };
+  let transform = [1, 0, 0, 1, 0, 0];
+  let lineDash = [];
+  const stack = [];
+
+  // Current path in surface coordinates (already transformed)
+  let path = [];
+  let currentPoint = null;
+  let subpathStart = null;
+
+  // Recorded elements and the gradients and filters they refer to
+  let elements = [];
+  let definitions = [];
+  const definitionIds = new Map();
+  let nextId = 0;
+
+  /**
+   * Maps a point through the current transform
+   * @param {number} x - X in user coordinates
+   * @param {number} y - Y in user coordinates
+   * @returns {Array} [x, y] in surface coordinates
+   */
+  function apply(x, y) {
+    const [a, b, c, d, e, f] = transform;
+    return [a * x + c * y + e, b * x + d * y + f];
+  }
+
+  // Line widths and dash lengths scale with the transform (exact for uniform scales)
+  function getTransformScale() {
+    return Math.sqrt(Math.abs(transform[0] * transform[3] - transform[1] * transform[2])) || 1;
+  }
+
+  function addSegment(command, ...points) {
+    path.push(command + points.map(([x, y]) => `${formatNumber(x)} ${formatNumber(y)}`).join(' '));
+    if (points.length) currentPoint = points[points.length - 1];
+  }
+
+  function moveToPoint(point) {
+    addSegment('M', point);
+    subpathStart = point;
+  }
+
+  function lineToPoint(point) {
+    if (currentPoint) {
+      addSegment('L', point);
+    } else {
+      moveToPoint(point);
+    }
+  }
+
+  /**
+   * Adds an elliptical arc as cubic curves of at most a quarter turn each
+   * (see the arc and ellipse methods for the arguments)
+   */
+  function addEllipticalArc(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise) {
+    const fullTurn = Math.PI * 2;
+    let sweep = endAngle - startAngle;
+    if (!counterclockwise && sweep >= fullTurn) {
+      sweep = fullTurn;
+    } else if (counterclockwise && -sweep >= fullTurn) {
+      sweep = -fullTurn;
+    } else if (!counterclockwise) {
+      sweep = ((sweep % fullTurn) + fullTurn) % fullTurn;
+    } else {
+      sweep = -((((-sweep) % fullTurn) + fullTurn) % fullTurn);
+    }
+
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const pointAt = angle => {
+      const px = radiusX * Math.cos(angle);
+      const py = radiusY * Math.sin(angle);
+      return [x + px * cos - py * sin, y + px * sin + py * cos];
+    };
+    const tangentAt = angle => {
+      const tx = -radiusX * Math.sin(angle);
+      const ty = radiusY * Math.cos(angle);
+      return [tx * cos - ty * sin, tx * sin + ty * cos];
+    };
+
+    const start = pointAt(startAngle);
+    lineToPoint(apply(...start));
+
+    const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+    const step = sweep / segments;
+    const handle = (4 / 3) * Math.tan(step / 4);
+    for (let i = 0; i < segments; i++) {
+      const from = startAngle + i * step;
+      const to = from + step;
+      const p0 = pointAt(from);
+      const p3 = pointAt(to);
+      const t0 = tangentAt(from);
+      const t3 = tangentAt(to);
+      addSegment('C',
+        apply(p0[0] + t0[0] * handle, p0[1] + t0[1] * handle),
+        apply(p3[0] - t3[0] * handle, p3[1] - t3[1] * handle),
+        apply(...p3)
+      );
+    }
+  }
+
+  /**
+   * Gets the SVG paint for a fill or stroke style, adding gradient definitions as needed
+   * @param {string|Object} style - CSS color or recorded gradient
+   * @param {string} kind - "fill" or "stroke"
+   * @returns {string} Attributes
+   */
+  function getPaint(style, kind) {
+    const alpha = drawingState.globalAlpha;
+    if (style && typeof style === 'object' && style.stops) {
+      const id = defineGradient(style);
+      return `${kind}="url(#${id})"${alpha < 1 ? ` ${kind}-opacity="${formatNumber(alpha)}"` : ''}`;
+    }
+    const { color, opacity } = parseColor(style);
+    const totalOpacity = opacity * alpha;
+    return `${kind}="${escapeXml(color)}"${totalOpacity < 1 ? ` ${kind}-opacity="${formatNumber(totalOpacity)}"` : ''}`;
+  }
+
+  /**
+   * Adds the definition of a gradient, placed by the current transform as
+   * canvas gradients are placed when they are painted
+   * @param {Object} gradient - Recorded gradient
+   * @returns {string} Id of the definition
+   */
+  function defineGradient(gradient) {
+    const matrix = transform.map(formatNumber).join(' ');
+    const cached = definitionIds.get(gradient);
+    if (cached && cached.matrix === matrix) return cached.id;
+
+    const id = `gradient${nextId++}`;
+    const stops = gradient.stops.map(({ offset, color }) => {
+      const parsed = parseColor(color);
+      return `<stop offset="${formatNumber(offset)}" stop-color="${escapeXml(parsed.color)}"${parsed.opacity < 1 ? ` stop-opacity="${formatNumber(parsed.opacity)}"` : ''}/>`;
+    }).join('');
+    const c = gradient.coordinates.map(formatNumber);
+    const placement = `gradientUnits="userSpaceOnUse" gradientTransform="matrix(${matrix})"`;
+    if (gradient.type === 'linear') {
+      definitions.push(`<linearGradient id="${id}" x1="${c[0]}" y1="${c[1]}" x2="${c[2]}" y2="${c[3]}" ${placement}>${stops}</linearGradient>`);
+    } else {
+      definitions.push(`<radialGradient id="${id}" fx="${c[0]}" fy="${c[1]}" fr="${c[2]}" cx="${c[3]}" cy="${c[4]}" r="${c[5]}" ${placement}>${stops}</radialGradient>`);
+    }
+    definitionIds.set(gradient, { id, matrix });
+    return id;
+  }
+
+  /**
+   * Gets the filter attribute for the current shadow, if any
+   * @returns {string} Attribute, or an empty string
+   */
+  function getShadow() {
+    const { shadowColor, shadowBlur, shadowOffsetX, shadowOffsetY } = drawingState;
+    const { color, opacity } = parseColor(shadowColor);
+    if (opacity <= 0 || (!shadowBlur && !shadowOffsetX && !shadowOffsetY)) return '';
+
+    const key = `shadow:${color}:${opacity}:${shadowBlur}:${shadowOffsetX}:${shadowOffsetY}`;
+    if (!definitionIds.has(key)) {
+      const id = `shadow${nextId++}`;
+      definitions.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow dx="${formatNumber(shadowOffsetX)}" dy="${formatNumber(shadowOffsetY)}" stdDeviation="${formatNumber(shadowBlur / 2)}" flood-color="${escapeXml(color)}" flood-opacity="${formatNumber(opacity)}"/></filter>`);
+      definitionIds.set(key, { id });
+    }
+    return ` filter="url(#${definitionIds.get(key).id})"`;
+  }
+
+  /**
+   * Gets the stroke attributes of the current state
+   * @returns {string} Attributes
+   */
+  function getStroke() {
+    const scale = getTransformScale();
+    let attributes = `${getPaint(drawingState.strokeStyle, 'stroke')} stroke-width="${formatNumber(drawingState.lineWidth * scale)}"`;
+    if (drawingState.lineCap !== 'butt') attributes += ` stroke-linecap="${drawingState.lineCap}"`;
+    if (drawingState.lineJoin !== 'miter') attributes += ` stroke-linejoin="${drawingState.lineJoin}"`;
+    if (drawingState.lineJoin === 'miter' && drawingState.miterLimit !== 10) attributes += ` stroke-miterlimit="${formatNumber(drawingState.miterLimit)}"`;
+    if (lineDash.length) {
+      attributes += ` stroke-dasharray="${lineDash.map(length => formatNumber(length * scale)).join(' ')}"`;
+      if (drawingState.lineDashOffset) attributes += ` stroke-dashoffset="${formatNumber(drawingState.lineDashOffset * scale)}"`;
+    }
+    return attributes;
+  }
+
+  /**
+   * Records text as a <text> element, placed by the current transform
+   */
+  function addText(text, x, y, paint) {
+    const font = parseFont(drawingState.font);
+    const anchor = TEXT_ANCHORS[drawingState.textAlign] || 'start';
+    const baseline = DOMINANT_BASELINES[drawingState.textBaseline];
+    // Moved text keeps plain coordinates; rotated or scaled text gets a transform
+    const [a, b, c, d] = transform;
+    let attributes;
+    if (a === 1 && b === 0 && c === 0 && d === 1) {
+      const [px, py] = apply(x, y);
+      attributes = `x="${formatNumber(px)}" y="${formatNumber(py)}"`;
+    } else {
+      attributes = `x="${formatNumber(x)}" y="${formatNumber(y)}" transform="matrix(${transform.map(formatNumber).join(' ')})"`;
+    }
+    attributes += ` font-family="${escapeXml(font.family)}" font-size="${formatNumber(font.size)}"`;
+    if (font.weight !== 'normal') attributes += ` font-weight="${font.weight}"`;
+    if (font.style !== 'normal') attributes += ` font-style="${font.style}"`;
+    if (anchor !== 'start') attributes += ` text-anchor="${anchor}"`;
+    if (baseline) attributes += ` dominant-baseline="${baseline}"`;
+    elements.push(`<text ${attributes} ${paint}${getShadow()} xml:space="preserve">${escapeXml(text)}</text>`);
+  }
+
+  /**
+   * Gets a rectangle in surface coordinates as path data
+   */
+  function getRectPath(x, y, w, h) {
+    const corners = [apply(x, y), apply(x + w, y), apply(x + w, y + h), apply(x, y + h)];
+    return `M${corners.map(([px, py]) => `${formatNumber(px)} ${formatNumber(py)}`).join(' L')} Z`;
+  }
+
+  /**
+   * Gets the fill attributes of a background color
+   * @param {string} color - CSS color
+   * @returns {string} Attributes
+   */
+  function getPaintForBackground(color) {
+    const parsed = parseColor(color);
+    return `fill="${escapeXml(parsed.color)}"${parsed.opacity < 1 ? ` fill-opacity="${formatNumber(parsed.opacity)}"` : ''}`;
+  }
+
+  const context = {
+    /**
+     * Sets the transform, like the canvas method
+     */
+    setTransform(a, b, c, d, e, f) {
+      transform = [a, b, c, d, e, f];
+    },
+
+    resetTransform() {
+      transform = [1, 0, 0, 1, 0, 0];
+    },
+
+    transform(a, b, c, d, e, f) {
+      transform = multiply(transform, [a, b, c, d, e, f]);
+    },
+
+    translate(x, y) {
+      transform = multiply(transform, [1, 0, 0, 1, x, y]);
+    },
+
+    scale(x, y) {
+      transform = multiply(transform, [x, 0, 0, y, 0, 0]);
+    },
+
+    rotate(angle) {
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      transform = multiply(transform, [cos, sin, -sin, cos, 0, 0]);
+    },
+
+    save() {
+      stack.push({ drawingState: { ...drawingState }, transform: [...transform], lineDash: [...lineDash] });
+    },
+
+    restore() {
+      const saved = stack.pop();
+      if (!saved) return;
+      drawingState = saved.drawingState;
+      transform = saved.transform;
+      lineDash = saved.lineDash;
+    },
+
+    setLineDash(segments) {
+      // Odd lists repeat, as on canvas
+      lineDash = segments.length % 2 ? [...segments, ...segments] : [...segments];
+    },
+
+    getLineDash() {
+      return [...lineDash];
+    },
+
+    beginPath() {
+      path = [];
+      currentPoint = null;
+      subpathStart = null;
+    },
+
+    closePath() {
+      if (!currentPoint) return;
+      path.push('Z');
+      currentPoint = subpathStart;
+    },
+
+    moveTo(x, y) {
+      moveToPoint(apply(x, y));
+    },
+
+    lineTo(x, y) {
+      lineToPoint(apply(x, y));
+    },
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+      if (!currentPoint) moveToPoint(apply(cpx, cpy));
+      addSegment('Q', apply(cpx, cpy), apply(x, y));
+    },
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+      if (!currentPoint) moveToPoint(apply(cp1x, cp1y));
+      addSegment('C', apply(cp1x, cp1y), apply(cp2x, cp2y), apply(x, y));
+    },
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+      addEllipticalArc(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+    },
+
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+      addEllipticalArc(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise);
+    },
+
+    rect(x, y, w, h) {
+      path.push(getRectPath(x, y, w, h));
+      currentPoint = subpathStart = apply(x, y);
+    },
+
+    fill(fillRule = 'nonzero') {
+      if (!path.length) return;
+      const rule = fillRule === 'evenodd' ? ' fill-rule="evenodd"' : '';
+      elements.push(`<path d="${path.join(' ')}" ${getPaint(drawingState.fillStyle, 'fill')}${rule}${getShadow()}/>`);
+    },
+
+    stroke() {
+      if (!path.length) return;
+      elements.push(`<path d="${path.join(' ')}" fill="none" ${getStroke()}${getShadow()}/>`);
+    },
+
+    fillRect(x, y, w, h) {
+      elements.push(`<path d="${getRectPath(x, y, w, h)}" ${getPaint(drawingState.fillStyle, 'fill')}${getShadow()}/>`);
+    },
+
+    strokeRect(x, y, w, h) {
+      elements.push(`<path d="${getRectPath(x, y, w, h)}" fill="none" ${getStroke()}${getShadow()}/>`);
+    },
+
+    clearRect(x, y, w, h) {
+      // Vectors cannot be erased, but clearing everything starts a new drawing
+      const [left, top] = apply(x, y);
+      const [right, bottom] = apply(x + w, y + h);
+      if (Math.min(left, right) <= 0 && Math.min(top, bottom) <= 0 &&
+          Math.max(left, right) >= width && Math.max(top, bottom) >= height) {
+        elements = [];
+        definitions = [];
+        definitionIds.clear();
+      }
+    },
+
+    fillText(text, x, y) {
+      addText(text, x, y, getPaint(drawingState.fillStyle, 'fill'));
+    },
+
+    strokeText(text, x, y) {
+      addText(text, x, y, `fill="none" ${getStroke()}`);
+    },
+
+    createLinearGradient(x0, y0, x1, y1) {
+      return createRecordedGradient('linear', [x0, y0, x1, y1]);
+    },
+
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+      return createRecordedGradient('radial', [x0, y0, r0, x1, y1, r1]);
+    },
+
+    /**
+     * Writes what was drawn as an SVG document
+     * @param {Object} [options] - { background } CSS color painted behind the drawing
+     * @returns {string} The SVG document
+     */
+    toSvg(options = {}) {
+      const size = `width="${formatNumber(width)}" height="${formatNumber(height)}" viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}"`;
+      const background = options.background
+        ? [`<rect width="100%" height="100%" ${getPaintForBackground(options.background)}/>`]
+        : [];
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" ${size}>`,
+        definitions.length ? `<defs>${definitions.join('')}</defs>` : '',
+        ...background,
+        ...elements,
+        '</svg>'
+      ].filter(Boolean).join('\n');
+    }
+  };
+
+  // Style properties read and written like the canvas' own
+  Object.keys(DEFAULT_DRAWING_STATE).forEach(key => {
+    Object.defineProperty(context, key, {
+      get: () => drawingState[key],
+      set: value => {
+        drawingState[key] = value;
+      },
+      enumerable: true
+    });
+  });
+
+  return context;
+}
+
+export {
+  createSvgContext,
+  parseColor,
+  parseFont
+};
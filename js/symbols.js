@@ -0,0 +1,126 @@
+/**
+ * Phonetic Visualizer - Symbol Names
+ * Spoken names for digits, punctuation, whitespace and emoji, so that
+ * characters outside an alphabet's letters keep expanding in deeper layers
+ */
+
+// Which kinds of symbols are spelled out, and whether characters with no
+// name at all are kept as-is or dropped from the next layer
+const DEFAULT_SYMBOL_OPTIONS = Object.freeze({
+  digits: true,
+  punctuation: true,
+  whitespace: false,
+  emoji: true,
+  keepUnknown: true
+});
+
+// Digit names used when an alphabet does not provide its own
+const DIGIT_NAMES = Object.freeze({
+  0: "zero", 1: "one", 2: "two", 3: "three", 4: "four",
+  5: "five", 6: "six", 7: "seven", 8: "eight", 9: "nine"
+});
+
+// Common punctuation and typographic symbols
+const PUNCTUATION_NAMES = Object.freeze({
+  "!": "exclamation", "?": "question", ".": "period", ",": "comma",
+  ":": "colon", ";": "semicolon", "-": "hyphen", "_": "underscore",
+  "'": "apostrophe", '"': "quote", "(": "leftparen", ")": "rightparen",
+  "[": "leftbracket", "]": "rightbracket", "{": "leftbrace", "}": "rightbrace",
+  "&": "ampersand", "@": "at", "#": "hash", "$": "dollar", "%": "percent",
+  "*": "asterisk", "+": "plus", "=": "equals", "/": "slash", "\\": "backslash",
+  "<": "lessthan", ">": "greaterthan", "|": "pipe", "~": "tilde", "^": "caret",
+  "`": "backtick", "…": "ellipsis", "–": "endash", "—": "emdash",
+  "‘": "apostrophe", "’": "apostrophe", "“": "quote", "”": "quote",
+  "¡": "invertedexclamation", "¿": "invertedquestion"
+});
+
+// Whitespace characters
+const WHITESPACE_NAMES = Object.freeze({
+  " ": "space", "\u00a0": "space", "\t": "tab", "\n": "newline"
+});
+
+// Short names for common emoji (shortcode style, letters only)
+const EMOJI_NAMES = Object.freeze({
+  "😀": "grinning", "😃": "smiley", "😄": "smile", "😁": "grin", "😆": "laughing",
+  "😅": "sweatsmile", "😂": "joy", "🤣": "rofl", "😊": "blush", "😇": "innocent",
+  "🙂": "slightsmile", "😉": "wink", "😍": "hearteyes", "😘": "kiss", "😎": "sunglasses",
+  "🤔": "thinking", "😐": "neutral", "😴": "sleeping", "😢": "cry", "😭": "sob",
+  "😡": "rage", "😱": "scream", "🤯": "mindblown", "🥳": "party", "👍": "thumbsup",
+  "👎": "thumbsdown", "👏": "clap", "🙌": "raisedhands", "🙏": "pray", "👋": "wave",
+  "💪": "muscle", "👀": "eyes", "❤": "heart", "💔": "brokenheart", "💯": "hundred",
+  "✨": "sparkles", "⭐": "star", "🌟": "glowingstar", "🔥": "fire", "💧": "droplet",
+  "🌊": "ocean", "🌈": "rainbow", "☀": "sun", "🌙": "moon", "⚡": "zap",
+  "❄": "snowflake", "🌸": "blossom", "🌹": "rose", "🌳": "tree", "🍀": "clover",
+  "🍎": "apple", "🍕": "pizza", "🎂": "cake", "☕": "coffee", "🎉": "tada",
+  "🎁": "gift", "🎵": "note", "🎶": "notes", "🎨": "art", "📚": "books",
+  "✏": "pencil", "💡": "bulb", "🔑": "key", "🔒": "lock", "🚀": "rocket",
+  "✈": "airplane", "🚗": "car", "🏠": "house", "🌍": "earth", "🐶": "dog",
+  "🐱": "cat", "🦄": "unicorn", "🐝": "bee", "🦋": "butterfly", "✅": "check",
+  "❌": "cross", "❓": "question", "❗": "exclamation", "💤": "zzz", "🤖": "robot",
+  "👽": "alien", "💀": "skull", "👻": "ghost", "👩": "woman", "👨": "man",
+  "🧑": "person", "👧": "girl", "👦": "boy", "💻": "laptop"
+});
+
+// Joins the emoji of a sequence such as "👩‍💻"
+const ZERO_WIDTH_JOINER = '\u200D';
+
+// Segmenter used to keep multi-code-point emoji together
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Splits text into user-perceived characters (grapheme clusters)
+ * @param {string} text - Text to split
+ * @returns {Array} Array of characters
+ */
+function splitGraphemes(text) {
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(text), segment => segment.segment);
+  }
+  return Array.from(text);
+}
+
+/**
+ * Looks up the spoken name of a digit, punctuation mark, whitespace character or emoji
+ * @param {string} char - Character to look up
+ * @param {Object} alphabet - Alphabet in use (its own digit names take precedence)
+ * @param {Object} options - Which kinds of symbols to name (see DEFAULT_SYMBOL_OPTIONS)
+ * @returns {string|null} The name, or null if the character has no enabled name
+ */
+function lookupSymbolName(char, alphabet, options = DEFAULT_SYMBOL_OPTIONS) {
+  if (options.digits && /^[0-9]$/.test(char)) {
+    return (alphabet && alphabet.digits || DIGIT_NAMES)[char];
+  }
+  if (options.punctuation && Object.prototype.hasOwnProperty.call(PUNCTUATION_NAMES, char)) {
+    return PUNCTUATION_NAMES[char];
+  }
+  if (options.whitespace && Object.prototype.hasOwnProperty.call(WHITESPACE_NAMES, char)) {
+    return WHITESPACE_NAMES[char];
+  }
+  if (options.emoji) {
+    // Ignore the emoji presentation selector and skin tones so "❤️" and "❤", "👍🏽" and "👍" share a name
+    const emoji = char.replace(/\uFE0F|\uD83C[\uDFFB-\uDFFF]/g, '');
+    if (Object.prototype.hasOwnProperty.call(EMOJI_NAMES, emoji)) {
+      return EMOJI_NAMES[emoji];
+    }
+    // A sequence without a name of its own is named after its parts, e.g. "👩‍💻" is "womanlaptop"
+    const names = emoji.split(ZERO_WIDTH_JOINER)
+      .filter(part => Object.prototype.hasOwnProperty.call(EMOJI_NAMES, part))
+      .map(part => EMOJI_NAMES[part]);
+    if (names.length) {
+      return names.join('');
+    }
+  }
+  return null;
+}
+
+export {
+  DEFAULT_SYMBOL_OPTIONS,
+  DIGIT_NAMES,
+  PUNCTUATION_NAMES,
+  WHITESPACE_NAMES,
+  EMOJI_NAMES,
+  splitGraphemes,
+  lookupSymbolName
+};
@@ -0,0 +1,277 @@
+/**
+ * Phonetic Visualizer - Layer Transforms
+ * Named steps that turn one phonetic layer into the next (letter names,
+ * NATO, Morse code, binary, ROT13, reversal, phonemes), chained into a pipeline
+ */
+
+import { getAlphabet, lookupLetterName } from './alphabets.js';
+import { DEFAULT_SYMBOL_OPTIONS, lookupSymbolName, splitGraphemes } from './symbols.js';
+import { formatPhoneme, pronounceWord, spellOutPhoneme, loadPronunciationDictionary, isPronunciationDictionaryReady } from './pronunciation.js';
+
+// Store all registered transforms
+const transforms = {};
+
+// Transform used when none is selected
+const DEFAULT_TRANSFORM = 'letters';
+
+// Pipeline used when none is configured: letter names at every layer
+const DEFAULT_PIPELINE = Object.freeze([DEFAULT_TRANSFORM]);
+
+// International Morse code
+const MORSE_CODE = Object.freeze({
+  a: ".-", b: "-...", c: "-.-.", d: "-..", e: ".", f: "..-.", g: "--.",
+  h: "....", i: "..", j: ".---", k: "-.-", l: ".-..", m: "--", n: "-.",
+  o: "---", p: ".--.", q: "--.-", r: ".-.", s: "...", t: "-", u: "..-",
+  v: "...-", w: ".--", x: "-..-", y: "-.--", z: "--..",
+  0: "-----", 1: ".----", 2: "..---", 3: "...--", 4: "....-",
+  5: ".....", 6: "-....", 7: "--...", 8: "---..", 9: "----.",
+  ".": ".-.-.-", ",": "--..--", "?": "..--..", "'": ".----.", "!": "-.-.--",
+  "/": "-..-.", "(": "-.--.", ")": "-.--.-", "&": ".-...", ":": "---...",
+  ";": "-.-.-.", "=": "-...-", "+": ".-.-.", "-": "-....-", "_": "..--.-",
+  '"': ".-..-.", "$": "...-..-", "@": ".--.-."
+});
+
+/**
+ * Registers a layer transform with the system. A transform either expands
+ * each character on its own (`expandChar`) or rewrites the whole layer
+ * (`expandLayer`).
+ * @param {string} name - Unique identifier for the transform
+ * @param {Object} options - Transform definition
+ * @param {string} options.displayName - Label shown in the pipeline editor
+ * @param {Function} [options.expandChar] - (char, context, node) => array of characters
+ * @param {Function} [options.expandLayer] - (layer, context) => array of { char, parentIndex, ...extra }
+ * @param {string} [options.separator] - Text placed between the characters it produces when shown as text
+ * @param {string} [options.groupSeparator] - Text placed between the expansions of different characters
+ * @param {Function} [options.isReady] - Returns false while resources the transform needs are loading
+ * @param {Function} [options.prepare] - Loads those resources, returning a promise
+ */
+function registerTransform(name, options) {
+  transforms[name] = Object.freeze({
+    name,
+    displayName: options.displayName || name,
+    expandChar: options.expandChar || null,
+    expandLayer: options.expandLayer || null,
+    separator: options.separator || '',
+    groupSeparator: options.groupSeparator || '',
+    isReady: options.isReady || (() => true),
+    prepare: options.prepare || (() => Promise.resolve())
+  });
+}
+
+/**
+ * Gets a registered transform by name, falling back to the default transform
+ * @param {string} name - Name of the transform to get
+ * @returns {Object} The transform object
+ */
+function getTransform(name) {
+  return transforms[name] || transforms[DEFAULT_TRANSFORM];
+}
+
+/**
+ * Gets all registered transforms
+ * @returns {Object} Object containing all registered transforms
+ */
+function getAllTransforms() {
+  return transforms;
+}
+
+/**
+ * Gets the transform that produces a layer. Layers beyond the end of the
+ * pipeline repeat its last step.
+ * @param {Array} pipeline - Ordered list of transform names
+ * @param {number} layerIndex - Index of the produced layer (1 for the first expansion)
+ * @returns {Object} The transform object
+ */
+function getPipelineStep(pipeline, layerIndex) {
+  const steps = pipeline && pipeline.length ? pipeline : DEFAULT_PIPELINE;
+  return getTransform(steps[Math.min(layerIndex, steps.length) - 1]);
+}
+
+/**
+ * Loads whatever the steps of a pipeline need (e.g. the pronunciation dictionary)
+ * @param {Array} pipeline - Ordered list of transform names
+ * @returns {Promise|null} Promise resolving once every step is ready, or null if they already are
+ */
+function preparePipeline(pipeline) {
+  const pending = (pipeline || DEFAULT_PIPELINE).map(getTransform).filter(transform => !transform.isReady());
+  if (!pending.length) return null;
+  return Promise.all(pending.map(transform => transform.prepare()));
+}
+
+/**
+ * Applies a transform to a lineage layer
+ * @param {Object} transform - Transform object from the registry
+ * @param {Array} layer - Lineage layer of { char, parentIndex, rootIndex }
+ * @param {Object} context - Expansion context
+ * @param {Object} context.alphabet - Alphabet object selected in the controls bar
+ * @param {Object} context.symbols - Symbol expansion options (see DEFAULT_SYMBOL_OPTIONS)
+ * @returns {Array} The next lineage layer
+ */
+function applyTransform(transform, layer, context) {
+  if (transform.expandLayer) {
+    return transform.expandLayer(layer, context).map(node => ({
+      ...node,
+      rootIndex: layer[node.parentIndex].rootIndex
+    }));
+  }
+
+  // Characters made of several glyphs (e.g. the phoneme "tʃ") expand glyph by glyph
+  return layer.flatMap((node, parentIndex) => {
+    return splitGraphemes(node.char).flatMap(char => transform.expandChar(char, context, node))
+      .map(char => ({ char, parentIndex, rootIndex: node.rootIndex }));
+  });
+}
+
+/**
+ * Returns a character unchanged or drops it, depending on the keepUnknown option
+ * @param {string} char - Character with no expansion
+ * @param {Object} symbols - Symbol expansion options
+ * @returns {Array} Array holding the character, or an empty array
+ */
+function keepOrDrop(char, symbols) {
+  return symbols.keepUnknown ? [char] : [];
+}
+
+/**
+ * Spells out a single character with an alphabet's letter names, falling back
+ * to the names of digits, punctuation, whitespace and emoji
+ * @param {string} char - Character to spell out
+ * @param {Object} alphabet - Alphabet object from the registry
+ * @param {Object} symbols - Symbol expansion options (see DEFAULT_SYMBOL_OPTIONS)
+ * @returns {Array} Array of characters from the phonetic spelling (empty if the character is dropped)
+ */
+function spellOutChar(char, alphabet, symbols = DEFAULT_SYMBOL_OPTIONS) {
+  const name = lookupLetterName(alphabet.map, char) || lookupSymbolName(char, alphabet, symbols);
+  if (name) return splitGraphemes(name);
+  return keepOrDrop(char, symbols);
+}
+
+/**
+ * Creates a transform that expands layers into phonemes. Runs of letters that
+ * come from the same parent (or the word itself) are pronounced as one word,
+ * each phoneme linked to the letter that produced it; other characters are
+ * pronounced through their English symbol names. Phonemes expand into the
+ * pronunciation of the letters of their ARPAbet symbol, so "HH" becomes the
+ * sounds of "aych aych". Phoneme nodes also carry the ARPAbet `phoneme`.
+ * @param {string} notation - "ipa" or "arpabet"
+ * @returns {Function} expandLayer function for registerTransform
+ */
+function createPhonemeExpansion(notation) {
+  return function(layer, context) {
+    const { symbols } = context;
+    const nextLayer = [];
+    const pushPhoneme = (phoneme, parentIndex) => {
+      nextLayer.push({ char: formatPhoneme(phoneme, notation), phoneme, parentIndex });
+    };
+    const isLetter = node => !node.phoneme && /^[\p{L}']+$/u.test(node.char);
+
+    let index = 0;
+    while (index < layer.length) {
+      const node = layer[index];
+
+      if (node.phoneme) {
+        spellOutPhoneme(node.phoneme).forEach(phoneme => pushPhoneme(phoneme, index));
+        index++;
+        continue;
+      }
+
+      // Pronounce runs of letters (and apostrophes, as in "don't") as one word
+      let end = index;
+      while (end < layer.length && isLetter(layer[end]) && layer[end].parentIndex === node.parentIndex) end++;
+      if (end > index) {
+        const run = layer.slice(index, end).map(letter => letter.char).join('');
+        const start = index;
+        pronounceWord(run).forEach(({ phoneme, letterIndex }) => pushPhoneme(phoneme, Math.min(start + letterIndex, end - 1)));
+        index = end;
+        continue;
+      }
+
+      const name = lookupSymbolName(node.char, null, symbols);
+      if (name) {
+        const parentIndex = index;
+        pronounceWord(name).forEach(({ phoneme }) => pushPhoneme(phoneme, parentIndex));
+      } else if (symbols.keepUnknown) {
+        nextLayer.push({ char: node.char, parentIndex: index });
+      }
+      index++;
+    }
+    return nextLayer;
+  };
+}
+
+// Letter names of the alphabet selected in the controls bar
+registerTransform('letters', {
+  displayName: 'Letter names',
+  expandChar: (char, context) => spellOutChar(char, context.alphabet, context.symbols)
+});
+
+// NATO/ICAO spelling alphabet, whatever alphabet is selected
+registerTransform('nato', {
+  displayName: 'NATO',
+  expandChar: (char, context) => spellOutChar(char, getAlphabet('nato'), context.symbols)
+});
+
+// Morse code: each character becomes its dots and dashes
+registerTransform('morse', {
+  displayName: 'Morse code',
+  groupSeparator: ' ',
+  expandChar: (char, context) => {
+    const lowerChar = char.toLowerCase();
+    const baseChar = lowerChar.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const code = MORSE_CODE[lowerChar] || MORSE_CODE[baseChar];
+    if (code) return code.split('');
+    return keepOrDrop(char, context.symbols);
+  }
+});
+
+// 8-bit binary: each character becomes the bits of its UTF-8 bytes (ASCII for plain text)
+registerTransform('binary', {
+  displayName: 'Binary (8-bit)',
+  groupSeparator: ' ',
+  expandChar: char => Array.from(new TextEncoder().encode(char))
+    .flatMap(byte => byte.toString(2).padStart(8, '0').split(''))
+});
+
+// ROT13: Latin letters are rotated by 13 places, everything else is kept
+registerTransform('rot13', {
+  displayName: 'ROT13',
+  expandChar: char => [char.replace(/[a-z]/gi, letter => {
+    const base = letter <= 'Z' ? 65 : 97;
+    return String.fromCharCode((letter.charCodeAt(0) - base + 13) % 26 + base);
+  })]
+});
+
+// Reversal: the layer is written backwards, each character keeping its parent
+registerTransform('reverse', {
+  displayName: 'Reverse',
+  expandLayer: layer => layer.map((node, index) => ({ ...node, parentIndex: index })).reverse()
+});
+
+// Phonemes from the bundled pronunciation dictionary
+registerTransform('phonemes-ipa', {
+  displayName: 'Phonemes (IPA)',
+  expandLayer: createPhonemeExpansion('ipa'),
+  isReady: isPronunciationDictionaryReady,
+  prepare: loadPronunciationDictionary
+});
+
+registerTransform('phonemes-arpabet', {
+  displayName: 'Phonemes (ARPAbet)',
+  separator: ' ',
+  expandLayer: createPhonemeExpansion('arpabet'),
+  isReady: isPronunciationDictionaryReady,
+  prepare: loadPronunciationDictionary
+});
+
+export {
+  DEFAULT_TRANSFORM,
+  DEFAULT_PIPELINE,
+  MORSE_CODE,
+  registerTransform,
+  getTransform,
+  getAllTransforms,
+  getPipelineStep,
+  preparePipeline,
+  applyTransform,
+  spellOutChar
+};
@@ -4,47 +4,48 @@
  */
 
 import { createdCanvases } from './visualizer-base.js';
+import { DEFAULT_ALPHABET, getAlphabet } from './alphabets.js';
+import { DEFAULT_SYMBOL_OPTIONS, splitGraphemes } from './symbols.js';
+import { DEFAULT_PIPELINE, getPipelineStep, applyTransform, spellOutChar } from './transforms.js';
 
-// Phonetic mapping for English alphabet
-const phoneticMap = {
-  a: "ay", b: "bee", c: "see", d: "dee", e: "ee", f: "ef",
-  g: "jee", h: "aych", i: "eye", j: "jay", k: "kay", l: "el",
-  m: "em", n: "en", o: "oh", p: "pee", q: "cue", r: "ar",
-  s: "ess", t: "tee", u: "you", v: "vee", w: "doubleyou",
-  x: "ex", y: "why", z: "zee"
-};
+// Phonetic mapping for English alphabet (kept for backward compatibility)
+const phoneticMap = getAlphabet('english').map;
+
+// Range of the recursion depth control
+const MIN_DEPTH = 1;
+const MAX_DEPTH = 6;
+const DEFAULT_DEPTH = 3;
+
+// Glyph counts (all layers together) above which rendering gets slow, and
+// above which the depth is reduced
+const GLYPH_WARNING_THRESHOLD = 5000;
+const GLYPH_LIMIT = 20000;
 
 /**
  * Converts an array of characters to their phonetic spellings
  * @param {Array} chars - Array of characters to convert
+ * @param {string} alphabet - Name of the registered alphabet to spell with
+ * @param {Object} symbols - Symbol expansion options (see DEFAULT_SYMBOL_OPTIONS)
  * @returns {Array} Array of characters from the phonetic spelling
  */
-function spellOutArray(chars) {
-  return chars.flatMap(c => {
-    const mapped = phoneticMap[c.toLowerCase?.()] || c;
-    return typeof mapped === 'string' ? mapped.split('') : c.split('');
-  });
+function spellOutArray(chars, alphabet = DEFAULT_ALPHABET, symbols = DEFAULT_SYMBOL_OPTIONS) {
+  const alphabetObj = getAlphabet(alphabet);
+  return chars.flatMap(c => spellOutChar(c, alphabetObj, symbols));
 }
 
-// Store the current typewriter animation timeout ID
-let typewriterTimeoutId = null;
-
 /**
- * Animates a typewriter effect for the given text
- * @param {string} text - Text to animate
- * @param {number} duration - Duration of the animation in milliseconds
+ * Prepares the typewriter for the given text: clears it and scales the font
+ * so the whole text fits. The returned function shows the part of the text
+ * typed at a given progress, so the typewriter can follow a timeline that is
+ * paused, sped up or scrubbed.
+ * @param {string} text - Text to type
+ * @returns {Function} (progress) => void, progress from 0 (nothing typed) to 1 (all typed)
  */
-function animateTypewriter(text, duration) {
-  // Cancel any ongoing typewriter animation
-  if (typewriterTimeoutId !== null) {
-    clearTimeout(typewriterTimeoutId);
-    typewriterTimeoutId = null;
-  }
-  
+function createTypewriter(text) {
   const typewriterElement = document.getElementById("typewriterText");
   typewriterElement.textContent = "";
   
-  if (!text) return;
+  if (!text) return () => {};
   
   // Dynamic text scaling based on text length
   const container = document.getElementById("typewriterContainer");
@@ -72,23 +73,16 @@ function animateTypewriter(text, duration) {
   // Apply the calculated font size
   typewriterElement.style.fontSize = (defaultFontSize * scaleFactor) + "em";
   
-  const totalChars = text.length;
-  const charTime = duration / totalChars;
-  let currentChar = 0;
-  
-  function typeNextChar() {
-    if (currentChar < totalChars) {
-      typewriterElement.textContent += text[currentChar];
-      currentChar++;
-      typewriterTimeoutId = setTimeout(typeNextChar, charTime);
-    } else {
-      // Animation complete, clear the timeout ID
-      typewriterTimeoutId = null;
-    }
-  }
+  // Type whole characters, so emoji are never cut in half
+  const chars = splitGraphemes(text);
+  let typedChars = 0;
   
-  // Start the animation
-  typeNextChar();
+  return function showProgress(progress) {
+    const count = Math.max(0, Math.min(chars.length, Math.ceil(progress * chars.length)));
+    if (count === typedChars) return;
+    typedChars = count;
+    typewriterElement.textContent = chars.slice(0, count).join('');
+  };
 }
 
 /**
@@ -115,90 +109,300 @@ function clearVisuals() {
   // Clear typewriter text
   document.getElementById("typewriterText").textContent = "";
   
-  // Cancel any ongoing typewriter animation
-  if (typewriterTimeoutId !== null) {
-    clearTimeout(typewriterTimeoutId);
-    typewriterTimeoutId = null;
-  }
-  
   // Hide all visualization containers
   document.querySelectorAll(".visualization-container").forEach(container => {
     container.style.display = "none";
   });
-  
-  // Stop waveform audio if it's playing
-  // Using dynamic import to avoid circular dependencies
-  import('./visualizers/waveform.js').then(module => {
-    if (module.cleanupWaveformResources) {
-      module.cleanupWaveformResources();
-    } else if (module.stopWaveformAudio) {
-      // Fallback to the old method if cleanupWaveformResources is not available
-      module.stopWaveformAudio();
-    }
-  }).catch(err => {
-    console.error("Error cleaning up waveform resources:", err);
-  });
 }
 
 /**
- * Gets the current transform for a canvas element
- * @param {string} canvasId - ID of the canvas element
- * @returns {Object} Object containing scale, offsetX, and offsetY
+ * Generates the phonetic lineage of a word.
+ * Each layer is an array of nodes recording the character, the index of the
+ * character in the previous layer that was spelled out to produce it
+ * (`parentIndex`, null for the word itself) and the index of the letter of
+ * the original word it descends from (`rootIndex`).
+ * @param {string} word - The input word
+ * @param {number} maxLayers - Maximum number of layers to generate
+ * @param {Object} options - Expansion options
+ * @param {string} options.alphabet - Name of the registered alphabet to spell with
+ * @param {Object} options.symbols - Symbol expansion options (see DEFAULT_SYMBOL_OPTIONS)
+ * @param {Array} options.pipeline - Transform applied at each layer (see transforms.js); the last one repeats
+ * @returns {Array} Array of layers, where each layer is an array of { char, parentIndex, rootIndex }
+ */
+function generatePhoneticLineage(word, maxLayers = 3, options = {}) {
+  const context = getExpansionContext(options);
+  const lineage = [splitGraphemes(word).map((char, i) => ({ char, parentIndex: null, rootIndex: i }))];
+  for (let i = 1; i <= maxLayers; i++) {
+    const nextLayer = applyTransform(getPipelineStep(context.pipeline, i), lineage[i - 1], context);
+    if (!nextLayer.length) break;
+    lineage.push(nextLayer);
+  }
+  return lineage;
+}
+
+/**
+ * Resolves expansion options into the context passed to the transforms
+ * @param {Object} options - Expansion options (see generatePhoneticLineage)
+ * @returns {Object} { alphabet, symbols, pipeline } with the alphabet object looked up
+ */
+function getExpansionContext(options = {}) {
+  const { alphabet = DEFAULT_ALPHABET, symbols = DEFAULT_SYMBOL_OPTIONS, pipeline = DEFAULT_PIPELINE } = options;
+  return { alphabet: getAlphabet(alphabet), symbols, pipeline };
+}
+
+/**
+ * Estimates the number of characters in each layer without building every
+ * layer. Layers are built while they stay small; after that only the number
+ * of copies of each distinct character is tracked, expanding each character
+ * on its own.
+ * @param {string} word - The input word
+ * @param {number} maxLayers - Maximum number of layers
+ * @param {Object} options - Expansion options (see generatePhoneticLineage)
+ * @param {number} budget - Number of characters up to which layers are built exactly
+ * @returns {Array} Number of characters in each layer, starting with the word
  */
-function getCanvasTransform(canvasId) {
-  const canvas = document.getElementById(canvasId);
-  if (!canvas) {
-    console.warn(`Canvas element not found for ID: ${canvasId}, returning default transform`);
-    return { scale: 1, offsetX: 0, offsetY: 0 };
+function estimateLayerSizes(word, maxLayers = 3, options = {}, budget = GLYPH_LIMIT) {
+  const context = getExpansionContext(options);
+  let layer = splitGraphemes(word).map((char, i) => ({ char, parentIndex: null, rootIndex: i }));
+  const sizes = [layer.length];
+  let i = 1;
+  
+  // Exact layers
+  for (; i <= maxLayers && layer.length <= budget; i++) {
+    const nextLayer = applyTransform(getPipelineStep(context.pipeline, i), layer, context);
+    if (!nextLayer.length) return sizes;
+    sizes.push(nextLayer.length);
+    layer = nextLayer;
   }
   
-  // Parse values with fallbacks for each property
-  const scale = canvas.dataset.scale ? parseFloat(canvas.dataset.scale) : 1;
-  const offsetX = canvas.dataset.offsetX ? parseFloat(canvas.dataset.offsetX) : 0;
-  const offsetY = canvas.dataset.offsetY ? parseFloat(canvas.dataset.offsetY) : 0;
+  // Distinct characters of the current layer with their number of copies
+  const addCount = (map, node, count) => {
+    const key = `${node.char}\u0000${node.phoneme || ''}`;
+    const entry = map.get(key);
+    if (entry) entry.count += count;
+    else map.set(key, { node: { ...node, parentIndex: null, rootIndex: 0 }, count });
+  };
+  let counts = new Map();
+  layer.forEach(node => addCount(counts, node, 1));
+  
+  for (; i <= maxLayers; i++) {
+    const transform = getPipelineStep(context.pipeline, i);
+    const nextCounts = new Map();
+    counts.forEach(({ node, count }) => {
+      applyTransform(transform, [node], context).forEach(child => addCount(nextCounts, child, count));
+    });
+    
+    const size = Array.from(nextCounts.values()).reduce((sum, entry) => sum + entry.count, 0);
+    if (!size) break;
+    sizes.push(size);
+    counts = nextCounts;
+  }
+  return sizes;
+}
+
+/**
+ * Clamps a requested recursion depth to the supported range and lowers it
+ * until the total number of glyphs stays within the limit
+ * @param {string|Array} words - The input word, or the words of a sentence
+ * @param {number} depth - Requested number of layers below the word
+ * @param {Object} options - Expansion options (see generatePhoneticLineage)
+ * @param {number} limit - Maximum number of glyphs over all layers
+ * @returns {Object} { depth, requestedDepth, glyphCount, requestedGlyphCount, capped }
+ */
+function limitDepth(words, depth, options = {}, limit = GLYPH_LIMIT) {
+  const requestedDepth = Math.max(MIN_DEPTH, Math.min(MAX_DEPTH, Math.round(depth) || DEFAULT_DEPTH));
+  
+  // Layer sizes of all the words added together
+  const sizes = [];
+  [].concat(words).forEach(word => {
+    estimateLayerSizes(word, requestedDepth, options, limit).forEach((size, i) => {
+      sizes[i] = (sizes[i] || 0) + size;
+    });
+  });
+  
+  // Running totals: glyphCounts[d] is the number of glyphs when rendering d layers below the word
+  const glyphCounts = [];
+  sizes.reduce((total, size) => {
+    glyphCounts.push(total + size);
+    return total + size;
+  }, 0);
+  const totalAt = d => glyphCounts[Math.min(d, glyphCounts.length - 1)];
+  
+  let allowedDepth = requestedDepth;
+  while (allowedDepth > MIN_DEPTH && totalAt(allowedDepth) > limit) {
+    allowedDepth--;
+  }
   
-  // Handle NaN values
   return {
-    scale: isNaN(scale) ? 1 : scale,
-    offsetX: isNaN(offsetX) ? 0 : offsetX,
-    offsetY: isNaN(offsetY) ? 0 : offsetY
+    depth: allowedDepth,
+    requestedDepth,
+    glyphCount: totalAt(allowedDepth),
+    requestedGlyphCount: totalAt(requestedDepth),
+    capped: allowedDepth < requestedDepth
   };
 }
 
+/**
+ * Splits sentence input into words at whitespace. Punctuation stays with its
+ * word ("hello," keeps the comma).
+ * @param {string} text - The input text
+ * @returns {Array} Array of words
+ */
+function tokenizeWords(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Combines the lineages of several words into one lineage, as if the words
+ * were written without spaces. Parent and root indices are shifted to point
+ * into the combined layers and every node records the `wordIndex` it comes from.
+ * @param {Array} lineages - One lineage per word
+ * @returns {Array} The combined lineage
+ */
+function mergeLineages(lineages) {
+  const depth = Math.max(0, ...lineages.map(lineage => lineage.length));
+  const merged = Array.from({ length: depth }, () => []);
+  const rootOffsets = [];
+  let rootOffset = 0;
+  lineages.forEach((lineage, wordIndex) => {
+    rootOffsets[wordIndex] = rootOffset;
+    rootOffset += lineage[0].length;
+  });
+  
+  lineages.forEach((lineage, wordIndex) => {
+    lineage.forEach((layer, layerIndex) => {
+      const parentOffset = layerIndex > 0 ? merged[layerIndex - 1].length - lineage[layerIndex - 1].length : 0;
+      layer.forEach(node => merged[layerIndex].push({
+        ...node,
+        parentIndex: node.parentIndex === null ? null : node.parentIndex + parentOffset,
+        rootIndex: node.rootIndex + rootOffsets[wordIndex],
+        wordIndex
+      }));
+    });
+  });
+  return merged;
+}
+
+/**
+ * Extracts the plain character layers from a phonetic lineage
+ * @param {Array} lineage - Lineage produced by generatePhoneticLineage
+ * @returns {Array} Array of layers, where each layer is an array of characters
+ */
+function getLayersFromLineage(lineage) {
+  return lineage.map(layer => layer.map(node => node.char));
+}
+
+/**
+ * Groups the characters of a lineage layer by the parent that produced them
+ * @param {Array} lineage - Lineage produced by generatePhoneticLineage
+ * @param {number} layerIndex - Index of the layer to group (must be 1 or more)
+ * @returns {Array} For each character of the previous layer, the indices of its children
+ */
+function groupChildrenByParent(lineage, layerIndex) {
+  const groups = lineage[layerIndex - 1].map(() => []);
+  lineage[layerIndex].forEach((node, index) => {
+    groups[node.parentIndex].push(index);
+  });
+  return groups;
+}
+
 /**
  * Generates phonetic layers from a word
  * @param {string} word - The input word
  * @param {number} maxLayers - Maximum number of layers to generate
+ * @param {Object} options - Expansion options (see generatePhoneticLineage)
  * @returns {Array} Array of layers, where each layer is an array of characters
  */
-function generatePhoneticLayers(word, maxLayers = 3) {
-  const layers = [word.split('')];
-  for (let i = 1; i <= maxLayers; i++) {
-    const nextLayer = spellOutArray(layers[i - 1]);
-    if (!nextLayer.length) break;
-    layers.push(nextLayer);
-  }
-  return layers;
+function generatePhoneticLayers(word, maxLayers = 3, options = {}) {
+  return getLayersFromLineage(generatePhoneticLineage(word, maxLayers, options));
+}
+
+/**
+ * Gets the text placed between the characters of a layer when it is shown as
+ * one string (e.g. a space between ARPAbet phonemes)
+ * @param {Object} options - Expansion options (see generatePhoneticLineage)
+ * @param {number} layerIndex - Index of the layer
+ * @returns {string} The separator
+ */
+function getLayerSeparator(options = {}, layerIndex = 1) {
+  if (layerIndex < 1) return '';
+  return getPipelineStep(options.pipeline, layerIndex).separator;
+}
+
+/**
+ * Gets the text of a lineage layer, separating the expansions of different
+ * characters where the transform that produced the layer asks for it
+ * (e.g. spaces between Morse letters)
+ * @param {Array} lineage - Lineage produced by generatePhoneticLineage
+ * @param {number} layerIndex - Index of the layer
+ * @param {Object} options - Expansion options (see generatePhoneticLineage)
+ * @returns {string} The layer as text
+ */
+function getLineageLayerText(lineage, layerIndex, options = {}) {
+  const layer = lineage[layerIndex];
+  if (!layer) return "";
+  if (layerIndex < 1) return layer.map(node => node.char).join('');
+  
+  const { separator, groupSeparator } = getPipelineStep(options.pipeline, layerIndex);
+  return layer.map((node, index) => {
+    if (index === 0) return node.char;
+    const between = node.parentIndex !== layer[index - 1].parentIndex && groupSeparator ? groupSeparator : separator;
+    return between + node.char;
+  }).join('');
 }
 
 /**
  * Gets the final text from all phonetic layers
  * @param {Array} layers - Array of phonetic layers
+ * @param {string} separator - Text placed between characters (e.g. a space between ARPAbet phonemes)
  * @returns {string} Concatenated text from the final layer
  */
-function getFinalLayerText(layers) {
+function getFinalLayerText(layers, separator = '') {
   if (!layers || !layers.length) return "";
   const finalLayer = layers[layers.length - 1];
-  return finalLayer.join('');
+  return finalLayer.join(separator);
+}
+
+/**
+ * Offers a file for download
+ * @param {Blob|string} contents - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} [type] - MIME type of string contents
+ */
+function downloadFile(contents, filename, type = 'text/plain') {
+  const blob = contents instanceof Blob ? contents : new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Some browsers read the URL after click() returns, so it is released a little later
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // Export utilities for use in other modules
 export {
   phoneticMap,
+  MIN_DEPTH,
+  MAX_DEPTH,
+  DEFAULT_DEPTH,
+  GLYPH_WARNING_THRESHOLD,
+  GLYPH_LIMIT,
+  estimateLayerSizes,
+  limitDepth,
   spellOutArray,
-  animateTypewriter,
+  createTypewriter,
   clearVisuals,
-  getCanvasTransform,
   generatePhoneticLayers,
-  getFinalLayerText
+  generatePhoneticLineage,
+  getLayersFromLineage,
+  groupChildrenByParent,
+  tokenizeWords,
+  mergeLineages,
+  getLayerSeparator,
+  getLineageLayerText,
+  getFinalLayerText,
+  downloadFile
 };
@@ -3,8 +3,14 @@
  * Provides a generic architecture for creating and managing visualizers
  */
 
-import { animateTypewriter, generatePhoneticLayers, getFinalLayerText, getCanvasTransform } from './utils.js';
-import { getState, updateState, cancelAnimation, resetState, registerVisualizerState } from './state.js';
+import { createTypewriter, generatePhoneticLineage, getLayersFromLineage, getLineageLayerText, limitDepth, tokenizeWords, mergeLineages, DEFAULT_DEPTH, GLYPH_LIMIT } from './utils.js';
+import { getState, updateState, resetState, registerVisualizerState } from './state.js';
+import { DEFAULT_ALPHABET } from './alphabets.js';
+import { DEFAULT_SYMBOL_OPTIONS } from './symbols.js';
+import { DEFAULT_PIPELINE } from './transforms.js';
+import { createRandom } from './random.js';
+import { getCamera } from './camera.js';
+import { getDevicePixelRatio, setCanvasSize, getCanvasSize, getScaledContext } from './surface.js';
 
 // Store all registered visualizers
 const visualizers = {};
@@ -15,6 +21,474 @@ const visualizerTemplates = {};
 // Store created canvas elements for cleanup
 const createdCanvases = new Set();
 
+// Name of the visualizer currently shown
+let activeVisualizerName = null;
+
+// Duration of one frame at 60 frames per second, for animations counted in frames
+const FRAME_DURATION = 1000 / 60;
+
+// Longest time step passed to update callbacks, so a throttled tab does not jump ahead
+const MAX_DELTA_TIME = 100;
+
+// Milliseconds update callbacks may take per frame before the rest wait for the next frame
+const DEFAULT_FRAME_BUDGET = 12;
+
+/**
+ * Creates the animation scheduler: a single requestAnimationFrame loop that
+ * runs the update callbacks of the visualizers with a shared clock. The loop
+ * only runs while callbacks are registered and stops while paused.
+ * @returns {Object} Scheduler with add, cancel, pause, resume, isPaused, now and setFrameBudget methods
+ */
+function createScheduler() {
+  const tasks = [];
+  let clock = 0; // Milliseconds of animation time, not counting pauses
+  let lastTimestamp = null;
+  let frameId = null;
+  let paused = false;
+  let frameBudget = DEFAULT_FRAME_BUDGET;
+  let nextTaskIndex = 0; // Task that runs first in the next frame, after the budget ran out
+  
+  /**
+   * Removes a task from the scheduler
+   * @param {Object} task - Task to remove
+   */
+  function removeTask(task) {
+    const index = tasks.indexOf(task);
+    if (index === -1) return;
+    tasks.splice(index, 1);
+    if (index < nextTaskIndex) nextTaskIndex--;
+  }
+  
+  /**
+   * Runs a task's update callback with the time since it last ran
+   * @param {Object} task - Task to run
+   */
+  function runTask(task) {
+    const dt = clock - task.lastClock;
+    task.lastClock = clock;
+    let keepRunning;
+    try {
+      keepRunning = task.update(dt, clock - task.startClock);
+    } catch (error) {
+      console.error(`Error in animation update for ${task.owner}:`, error);
+      keepRunning = false;
+    }
+    if (keepRunning === false) {
+      removeTask(task);
+    }
+  }
+  
+  /**
+   * Requests the next frame if anything is left to animate
+   */
+  function requestFrame() {
+    if (frameId !== null || paused) return;
+    if (tasks.length) {
+      frameId = requestAnimationFrame(tick);
+    } else {
+      lastTimestamp = null;
+    }
+  }
+  
+  /**
+   * Advances the clock and runs the update callbacks, as many as fit in the frame budget
+   * @param {number} timestamp - Frame timestamp from requestAnimationFrame
+   */
+  function tick(timestamp) {
+    frameId = null;
+    clock += lastTimestamp === null ? 0 : Math.min(MAX_DELTA_TIME, timestamp - lastTimestamp);
+    lastTimestamp = timestamp;
+    
+    const frameStart = performance.now();
+    const pending = tasks.slice(nextTaskIndex).concat(tasks.slice(0, nextTaskIndex));
+    nextTaskIndex = 0;
+    for (let i = 0; i < pending.length; i++) {
+      if (i > 0 && performance.now() - frameStart > frameBudget) {
+        // The rest run first next frame; their delta time covers the skipped frame
+        nextTaskIndex = Math.max(0, tasks.indexOf(pending[i]));
+        break;
+      }
+      if (tasks.includes(pending[i])) {
+        runTask(pending[i]);
+      }
+    }
+    
+    requestFrame();
+  }
+  
+  return {
+    /**
+     * Registers an update callback. It runs once right away (with a delta
+     * time of 0) and then every frame until it returns false or is removed.
+     * @param {string} owner - Name of the visualizer the callback belongs to
+     * @param {Function} update - (dt, elapsed) => boolean|undefined, times in milliseconds
+     * @returns {Function} Function removing the callback
+     */
+    add(owner, update) {
+      const task = { owner, update, startClock: clock, lastClock: clock };
+      tasks.push(task);
+      runTask(task);
+      requestFrame();
+      return () => removeTask(task);
+    },
+    
+    /**
+     * Removes every update callback of a visualizer
+     * @param {string} owner - Name of the visualizer
+     */
+    cancel(owner) {
+      tasks.filter(task => task.owner === owner).forEach(removeTask);
+    },
+    
+    /**
+     * Freezes the clock; update callbacks stop running until resume is called
+     */
+    pause() {
+      paused = true;
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+        frameId = null;
+      }
+      lastTimestamp = null;
+    },
+    
+    /**
+     * Restarts the clock where it was paused
+     */
+    resume() {
+      paused = false;
+      requestFrame();
+    },
+    
+    /**
+     * Tells whether the clock is paused
+     * @returns {boolean} True while paused
+     */
+    isPaused() {
+      return paused;
+    },
+    
+    /**
+     * Gets the shared clock
+     * @returns {number} Milliseconds of animation time, not counting pauses
+     */
+    now() {
+      return clock;
+    },
+    
+    /**
+     * Sets how long update callbacks may take per frame
+     * @param {number} milliseconds - Frame budget in milliseconds
+     */
+    setFrameBudget(milliseconds) {
+      frameBudget = milliseconds;
+    }
+  };
+}
+
+// The scheduler driving every visualizer's animation
+const scheduler = createScheduler();
+
+// Slowest and fastest playback speeds of the transport bar
+const MIN_PLAYBACK_SPEED = 0.25;
+const MAX_PLAYBACK_SPEED = 4;
+
+// Playback speed shared by every visualizer's timeline
+let playbackSpeed = 1;
+
+// Callbacks notified when the active visualizer's timeline changes
+const timelineListeners = new Set();
+
+/**
+ * Creates the playback timeline of a visualizer. Update callbacks (tracks)
+ * registered with it receive the playback position rather than the wall
+ * clock, so the animation can be paused, scrubbed and sped up.
+ * @param {string} owner - Name of the visualizer
+ * @param {Function} paint - Redraws the visualizer after the tracks have run
+ * @returns {Object} Timeline with add, play, pause, seek, reset and getStatus methods
+ */
+function createTimeline(owner, paint) {
+  const tracks = [];
+  let position = 0;
+  let playing = true;
+  let removeTask = null;
+  
+  /**
+   * Gets the length of the timeline: the longest track duration
+   * @returns {number} Duration in milliseconds
+   */
+  function getDuration() {
+    return tracks.reduce((longest, track) => Math.max(longest, track.duration), 0);
+  }
+  
+  /**
+   * Tells whether every track has finished and the position reached the end
+   * @returns {boolean} True once there is nothing left to play
+   */
+  function isComplete() {
+    return position >= getDuration() && tracks.every(track => track.finished);
+  }
+  
+  /**
+   * Gets the playback status shown by the transport bar
+   * @returns {Object} { position, duration, playing, complete, speed }
+   */
+  function getStatus() {
+    const complete = isComplete();
+    return { position, duration: getDuration(), playing: playing && !complete, complete, speed: playbackSpeed };
+  }
+  
+  /**
+   * Tells the transport bar about a change, if this is the visualizer shown
+   */
+  function notify() {
+    if (activeVisualizerName !== owner) return;
+    const status = getStatus();
+    timelineListeners.forEach(listener => listener(status));
+  }
+  
+  /**
+   * Runs a track's update callback at the current position
+   * @param {Object} track - Track to run
+   * @param {number} dt - Change of position since the track last ran, in milliseconds
+   * @param {boolean} seeking - True when the position jumped (scrubbing) rather than played
+   */
+  function runTrack(track, dt, seeking) {
+    try {
+      track.finished = track.update(dt, position, seeking) === false;
+    } catch (error) {
+      console.error(`Error in animation update for ${owner}:`, error);
+      track.finished = true;
+    }
+  }
+  
+  /**
+   * Runs every unfinished track (every track when seeking) and redraws
+   * @param {number} dt - Change of position in milliseconds
+   * @param {boolean} seeking - True when the position jumped
+   */
+  function runTracks(dt, seeking) {
+    tracks.forEach(track => {
+      if (!track.finished || seeking) runTrack(track, dt, seeking);
+    });
+    paint();
+    notify();
+  }
+  
+  /**
+   * Stops advancing the position
+   */
+  function stop() {
+    if (removeTask) {
+      removeTask();
+      removeTask = null;
+    }
+  }
+  
+  /**
+   * Starts advancing the position on the scheduler, unless paused or complete
+   */
+  function start() {
+    if (removeTask || !playing || isComplete()) return;
+    removeTask = scheduler.add(owner, dt => {
+      if (dt > 0) {
+        const delta = dt * playbackSpeed;
+        position += delta;
+        runTracks(delta, false);
+      }
+      if (isComplete()) {
+        removeTask = null;
+        notify();
+        return false;
+      }
+    });
+  }
+  
+  return {
+    /**
+     * Registers a track. It runs once right away at the current position.
+     * @param {Function} update - (dt, elapsed, seeking) => boolean|undefined; return false once finished
+     * @param {number} [duration=0] - Length of the track in milliseconds (0 for endless animations)
+     * @returns {Function} Function removing the track
+     */
+    add(update, duration = 0) {
+      const track = { update, duration, finished: false };
+      tracks.push(track);
+      runTrack(track, 0, false);
+      paint();
+      notify();
+      start();
+      return () => {
+        const index = tracks.indexOf(track);
+        if (index !== -1) tracks.splice(index, 1);
+      };
+    },
+    
+    /**
+     * Resumes playback, starting over if the timeline is complete
+     */
+    play() {
+      if (isComplete()) {
+        this.seek(0);
+      }
+      playing = true;
+      start();
+      notify();
+    },
+    
+    /**
+     * Pauses playback at the current position
+     */
+    pause() {
+      playing = false;
+      stop();
+      notify();
+    },
+    
+    /**
+     * Moves to a position and redraws there
+     * @param {number} newPosition - Position in milliseconds (clamped to the timeline)
+     */
+    seek(newPosition) {
+      const target = Math.max(0, Math.min(getDuration(), newPosition));
+      const dt = target - position;
+      position = target;
+      runTracks(dt, true);
+      start();
+    },
+    
+    /**
+     * Removes every track and rewinds, ready for a new render
+     */
+    reset() {
+      stop();
+      tracks.length = 0;
+      position = 0;
+      playing = true;
+    },
+    
+    getStatus
+  };
+}
+
+/**
+ * Sets the playback speed of every visualizer
+ * @param {number} speed - Speed factor (0.25-4)
+ */
+function setPlaybackSpeed(speed) {
+  playbackSpeed = Math.max(MIN_PLAYBACK_SPEED, Math.min(MAX_PLAYBACK_SPEED, speed || 1));
+  const active = getActiveVisualizer();
+  if (active) {
+    timelineListeners.forEach(listener => listener(active.timeline.getStatus()));
+  }
+}
+
+/**
+ * Gets the playback speed of every visualizer
+ * @returns {number} Speed factor
+ */
+function getPlaybackSpeed() {
+  return playbackSpeed;
+}
+
+/**
+ * Registers a callback notified whenever the active visualizer's timeline
+ * moves, pauses, resumes or is replaced
+ * @param {Function} listener - (status) => void, see the timeline's getStatus
+ * @returns {Function} Function removing the callback
+ */
+function onTimelineChange(listener) {
+  timelineListeners.add(listener);
+  return () => timelineListeners.delete(listener);
+}
+
+/**
+ * Creates a registry of event listeners, timers and cleanup callbacks that
+ * are torn down together, so a visualizer never leaves handlers behind
+ * @returns {Object} Registry with listen, setTimeout, setInterval, onCleanup and clear methods
+ */
+function createResourceRegistry() {
+  const cleanups = new Set();
+  
+  /**
+   * Adds a cleanup callback and returns a function that runs it early
+   * @param {Function} cleanup - Callback releasing one resource
+   * @returns {Function} Function releasing the resource now
+   */
+  function track(cleanup) {
+    cleanups.add(cleanup);
+    return () => {
+      if (cleanups.delete(cleanup)) cleanup();
+    };
+  }
+  
+  return {
+    /**
+     * Adds an event listener that is removed when the registry is cleared
+     * @param {EventTarget} target - Element, window or document to listen on
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object|boolean} [options] - addEventListener options
+     * @returns {Function} Function removing the listener now
+     */
+    listen(target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      return track(() => target.removeEventListener(type, handler, options));
+    },
+    
+    /**
+     * Starts a timeout that is cancelled when the registry is cleared
+     * @param {Function} callback - Function to call
+     * @param {number} delay - Delay in milliseconds
+     * @returns {Function} Function cancelling the timeout now
+     */
+    setTimeout(callback, delay) {
+      let release = null;
+      const timeoutId = setTimeout(() => {
+        cleanups.delete(release);
+        callback();
+      }, delay);
+      release = () => clearTimeout(timeoutId);
+      return track(release);
+    },
+    
+    /**
+     * Starts an interval that is cancelled when the registry is cleared
+     * @param {Function} callback - Function to call
+     * @param {number} delay - Interval in milliseconds
+     * @returns {Function} Function cancelling the interval now
+     */
+    setInterval(callback, delay) {
+      const intervalId = setInterval(callback, delay);
+      return track(() => clearInterval(intervalId));
+    },
+    
+    /**
+     * Adds a callback run when the registry is cleared (e.g. stopping audio nodes)
+     * @param {Function} cleanup - Callback releasing a resource
+     * @returns {Function} Function running the callback now
+     */
+    onCleanup(cleanup) {
+      return track(cleanup);
+    },
+    
+    /**
+     * Releases every tracked resource
+     */
+    clear() {
+      const pending = [...cleanups];
+      cleanups.clear();
+      pending.forEach(cleanup => {
+        try {
+          cleanup();
+        } catch (error) {
+          console.error('Error releasing visualizer resource:', error);
+        }
+      });
+    }
+  };
+}
+
 /**
  * Creates or gets a canvas container element
  * @param {string} containerId - ID for the container element
@@ -30,10 +504,11 @@ function createOrGetContainer(containerId) {
     container.className = 'visualization-container';
     container.style.display = 'none';
     
-    // Append to the same parent as other visualization containers
-    const existingContainer = document.querySelector('.visualization-container');
-    if (existingContainer && existingContainer.parentNode) {
-      existingContainer.parentNode.appendChild(container);
+    // Place after the other visualization containers (and before the transport bar)
+    const existingContainers = document.querySelectorAll('.visualization-container');
+    const lastContainer = existingContainers[existingContainers.length - 1];
+    if (lastContainer && lastContainer.parentNode) {
+      lastContainer.after(container);
     } else {
       // Fallback to appending after the typewriter container
       const typewriterContainer = document.getElementById('typewriterContainer');
@@ -70,10 +545,133 @@ function createOrGetCanvas(canvasId, container) {
   return canvas;
 }
 
+/**
+ * Names a key for aria-keyshortcuts and tooltips
+ * @param {string} key - KeyboardEvent.key value, e.g. ' ' or 'm'
+ * @returns {string} The key's name, e.g. "Space" or "M"
+ */
+function getKeyName(key) {
+  return key === ' ' ? 'Space' : key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Creates the toolbar of a visualizer's controls over its canvas. The
+ * controls are described by the visualizer (see the `controls` option of
+ * registerVisualizer) and follow its state.
+ * @param {HTMLElement} container - The visualizer's container
+ * @param {string} label - Accessible name of the toolbar
+ * @param {Array} controls - Control descriptions
+ * @param {Function} onControl - (control, value) => void, called when a control is used; toggles pass their new pressed state and ranges their value
+ * @returns {Object} Toolbar with update(state) and handleKey(event) methods
+ */
+function createToolbar(container, label, controls, onControl) {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'visualizer-toolbar';
+  toolbar.setAttribute('role', 'toolbar');
+  toolbar.setAttribute('aria-label', label);
+  
+  // Labels, texts and values may be functions of the state
+  const resolve = (value, state) => typeof value === 'function' ? value(state) : value;
+  
+  const entries = controls.map(control => {
+    let element;
+    if (control.type === 'range') {
+      element = document.createElement('input');
+      element.type = 'range';
+      element.min = control.min ?? 0;
+      element.max = control.max ?? 1;
+      element.step = control.step ?? 0.01;
+      element.addEventListener('input', () => onControl(control, Number(element.value)));
+    } else {
+      element = document.createElement('button');
+      element.type = 'button';
+      element.addEventListener('click', () => {
+        onControl(control, control.type === 'toggle' ? element.getAttribute('aria-pressed') !== 'true' : undefined);
+      });
+    }
+    element.className = 'toolbar-control';
+    if (control.shortcut) element.setAttribute('aria-keyshortcuts', getKeyName(control.shortcut));
+    toolbar.appendChild(element);
+    return { control, element, shown: {} };
+  });
+  container.appendChild(toolbar);
+  
+  /**
+   * Sets an attribute or property of a control, if it changed
+   * @param {Object} entry - The control's entry
+   * @param {string} key - Attribute name, or 'text', 'value' or 'disabled'
+   * @param {*} value - The value
+   */
+  function show(entry, key, value) {
+    if (entry.shown[key] === value) return;
+    entry.shown[key] = value;
+    if (key === 'text') entry.element.textContent = value;
+    else if (key === 'value' || key === 'disabled') entry.element[key] = value;
+    else entry.element.setAttribute(key, value);
+  }
+  
+  return {
+    /**
+     * Shows the state in the controls: labels, pressed toggles and range values
+     * @param {Object} state - The visualizer's state
+     */
+    update(state) {
+      if (!state) return;
+      entries.forEach(entry => {
+        const { control } = entry;
+        const controlLabel = resolve(control.label, state);
+        show(entry, 'aria-label', controlLabel);
+        show(entry, 'title', control.shortcut ? `${controlLabel} (${getKeyName(control.shortcut)})` : controlLabel);
+        show(entry, 'disabled', !!resolve(control.disabled, state));
+        if (control.type === 'range') {
+          show(entry, 'value', String(resolve(control.value, state)));
+        } else {
+          show(entry, 'text', resolve(control.text, state) ?? controlLabel);
+          if (control.type === 'toggle') show(entry, 'aria-pressed', String(!!resolve(control.pressed, state)));
+        }
+      });
+    },
+    
+    /**
+     * Uses the control whose shortcut was pressed. Typing in fields and
+     * pressing Space or Enter on a control keep their usual meaning.
+     * @param {KeyboardEvent} event - Keydown event from within the container
+     */
+    handleKey(event) {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      const target = event.target;
+      const tag = target.tagName;
+      if (tag === 'SELECT' || tag === 'TEXTAREA' || (tag === 'INPUT' && target.type !== 'range')) return;
+      if ((tag === 'BUTTON' || tag === 'INPUT') && (event.key === ' ' || event.key === 'Enter')) return;
+      
+      const entry = entries.find(({ control }) => control.shortcut && getKeyName(control.shortcut) === getKeyName(event.key));
+      if (!entry || entry.element.disabled) return;
+      event.preventDefault();
+      onControl(entry.control, entry.control.type === 'toggle' ? entry.element.getAttribute('aria-pressed') !== 'true' : undefined);
+    }
+  };
+}
+
+/**
+ * Calls one of a visualizer's lifecycle hooks, logging instead of throwing
+ * @param {Object} visualizer - The visualizer object
+ * @param {string} hookName - Name of the hook (for the log)
+ * @param {Function} [hook] - The hook, if the visualizer provides one
+ * @param {...*} args - Further arguments passed after the visualizer
+ */
+function callLifecycleHook(visualizer, hookName, hook, ...args) {
+  if (!hook) return;
+  try {
+    hook(visualizer, ...args);
+  } catch (error) {
+    console.error(`Error in ${hookName} hook for ${visualizer.name}:`, error);
+  }
+}
+
 /**
  * Creates a visualizer with standardized functionality
  * @param {Object} config - Configuration for the visualizer
- * @returns {Object} Visualizer object with render and redraw methods
+ * @returns {Object} Visualizer object with render, redraw and lifecycle methods
  */
 function createVisualizer(config) {
   const {
@@ -84,6 +682,16 @@ function createVisualizer(config) {
     containerId = `${name}Container`,
     renderFunction,
     redrawFunction,
+    onActivate,
+    onDeactivate,
+    destroy: destroyHook,
+    onParametersChange,
+    getBounds,
+    relayout: relayoutHook,
+    renderAudio: renderAudioHook,
+    getNotes: getNotesHook,
+    controls = [],
+    parameters = [],
     stateTemplate,
     animationConfig = {}
   } = config;
@@ -92,12 +700,171 @@ function createVisualizer(config) {
   const container = createOrGetContainer(containerId);
   const canvas = createOrGetCanvas(canvasId, container);
   
-  return {
+  // Listeners and timers of the current render, released before the next render
+  const renderResources = createResourceRegistry();
+  
+  // Controls over the canvas, if the visualizer has any
+  const toolbar = controls.length ? createToolbar(container, `${displayName || name} controls`, controls, (control, value) => {
+    try {
+      control.onChange(visualizer, value);
+    } catch (error) {
+      console.error(`Error in ${name} control:`, error);
+    }
+    toolbar.update(getState(name));
+  }) : null;
+  
+  /**
+   * Describes where the visualizer draws: the logical size of the canvas in
+   * CSS pixels, its pixel ratio, and the camera to apply
+   * @param {HTMLCanvasElement} canvas - The canvas
+   * @param {Object} [camera] - Camera to use instead of the canvas' own
+   * @returns {Object} { width, height, pixelRatio, camera }
+   */
+  function getSurface(canvas, camera = getCamera(canvasId)) {
+    return { ...getCanvasSize(canvas), camera };
+  }
+  
+  /**
+   * Draws the current state without logging, for animation frames
+   */
+  function paint() {
+    const state = getState(name);
+    const canvas = document.getElementById(canvasId);
+    if (!state || !canvas) return;
+    try {
+      redrawFunction(state, canvas, getScaledContext(canvas), getSurface(canvas));
+    } catch (error) {
+      console.error(`Error in redraw function for ${name}:`, error);
+    }
+    if (toolbar) toolbar.update(state);
+  }
+  
+  /**
+   * Resizes the canvas to its container. A visualizer with a relayout hook
+   * moves its layout to the new size; the state keeps the animation position
+   * and the camera keeps its view.
+   * @returns {boolean} Whether the canvas was resized
+   */
+  function fitCanvasToContainer() {
+    const canvas = document.getElementById(canvasId);
+    const container = document.getElementById(containerId);
+    if (!canvas || !container) return false;
+    
+    // Hidden containers measure 0; keep the layout until they are shown again
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    if (!width || !height) return false;
+    
+    const previous = getCanvasSize(canvas);
+    if (previous.width === width && previous.height === height && previous.pixelRatio === getDevicePixelRatio()) {
+      return false;
+    }
+    setCanvasSize(canvas, width, height);
+    
+    const state = getState(name);
+    if (relayoutHook && state && previous.width && previous.height && (previous.width !== width || previous.height !== height)) {
+      console.log(`Relayout of ${name} from ${previous.width}x${previous.height} to ${width}x${height}`);
+      try {
+        const changes = relayoutHook(state, getSurface(canvas), previous);
+        if (changes) updateState(name, changes);
+      } catch (error) {
+        console.error(`Error in relayout hook for ${name}:`, error);
+      }
+    }
+    return true;
+  }
+  
+  /**
+   * Picks the values of the visualizer's parameters from a state
+   * @param {Object} state - The state
+   * @returns {Object} The parameter values
+   */
+  function pickParameters(state) {
+    const values = {};
+    parameters.forEach(key => {
+      if (state && state[key] !== undefined) values[key] = state[key];
+    });
+    return values;
+  }
+  
+  // Playback position of the current render
+  const timeline = createTimeline(name, paint);
+  
+  /**
+   * Registers an update callback of the current render with the timeline.
+   * The visualizer is redrawn after every update.
+   * @param {Function} update - (dt, elapsed, seeking) => boolean|undefined; return false once the animation is complete
+   * @param {Object} [trackOptions] - Track options
+   * @param {number} [trackOptions.duration] - Length of the animation in milliseconds, for the scrubber (omit for endless animations)
+   * @returns {Function} Function removing the callback
+   */
+  function animate(update, trackOptions = {}) {
+    return renderResources.onCleanup(timeline.add(update, trackOptions.duration || 0));
+  }
+  
+  const visualizer = {
     name,
     displayName,
     icon, // Store icon property
     canvasId,
     containerId,
+    isActive: false,
+    
+    // Listeners and timers kept while the visualizer is shown (e.g. added by onActivate)
+    resources: createResourceRegistry(),
+    
+    // Playback position of the current render, controlled by the transport bar
+    timeline,
+    
+    /**
+     * Marks the visualizer as shown and calls its onActivate hook
+     */
+    activate: function() {
+      if (this.isActive) return;
+      console.log(`Activating ${name} visualizer`);
+      this.isActive = true;
+      
+      // Follow the size of the container (window resizes, layout changes) while shown
+      const container = document.getElementById(containerId);
+      if (container && typeof ResizeObserver !== 'undefined') {
+        const observer = new ResizeObserver(() => {
+          if (fitCanvasToContainer()) paint();
+        });
+        observer.observe(container);
+        this.resources.onCleanup(() => observer.disconnect());
+      }
+      
+      // Keyboard shortcuts of the toolbar, from the canvas or the toolbar
+      if (toolbar && container) {
+        this.resources.listen(container, 'keydown', toolbar.handleKey);
+      }
+      
+      callLifecycleHook(visualizer, 'onActivate', onActivate);
+    },
+    
+    /**
+     * Stops the visualizer's animation, calls its onDeactivate hook and
+     * releases every listener and timer it registered
+     */
+    deactivate: function() {
+      if (!this.isActive) return;
+      console.log(`Deactivating ${name} visualizer`);
+      timeline.reset();
+      callLifecycleHook(visualizer, 'onDeactivate', onDeactivate);
+      renderResources.clear();
+      this.resources.clear();
+      this.isActive = false;
+    },
+    
+    /**
+     * Deactivates the visualizer, calls its destroy hook (e.g. to close an
+     * AudioContext) and resets its state
+     */
+    destroy: function() {
+      this.deactivate();
+      callLifecycleHook(visualizer, 'destroy', destroyHook);
+      resetState(name);
+    },
     
     /**
      * Gets the canvas element for this visualizer
@@ -115,11 +882,89 @@ function createVisualizer(config) {
       return document.getElementById(containerId);
     },
     
+    /**
+     * Gets the zoom/pan camera of this visualizer's canvas
+     * @returns {Object|null} The camera (see camera.js)
+     */
+    getCamera: function() {
+      return getCamera(canvasId);
+    },
+    
+    /**
+     * Gets the values of the visualizer's parameters, e.g. for a preset
+     * @returns {Object} The values, keyed by parameter name
+     */
+    getParameters: function() {
+      return pickParameters(getState(name));
+    },
+    
+    /**
+     * Sets parameters and redraws. Unknown names and values of another type
+     * than the state template's are ignored. Parameters are kept through later
+     * renders.
+     * @param {Object} values - Values keyed by parameter name
+     */
+    setParameters: function(values) {
+      const changes = {};
+      Object.entries(values || {}).forEach(([key, value]) => {
+        const templateValue = stateTemplate ? stateTemplate[key] : undefined;
+        if (!parameters.includes(key) || typeof value !== typeof templateValue) return;
+        if (typeof value === 'number' && !Number.isFinite(value)) return;
+        changes[key] = value;
+      });
+      if (!Object.keys(changes).length) return;
+      
+      console.log(`Setting parameters of ${name}:`, changes);
+      updateState(name, changes);
+      callLifecycleHook(visualizer, 'onParametersChange', onParametersChange, changes);
+      if (this.isActive) this.redraw();
+    },
+    
+    /**
+     * Gets the area the current picture covers, for "fit to content"
+     * @returns {Object|null} { minX, minY, maxX, maxY } in world coordinates, or null if unknown
+     */
+    getBounds: function() {
+      const state = getState(name);
+      const canvas = document.getElementById(canvasId);
+      if (!getBounds || !state || !canvas) return null;
+      try {
+        return getBounds(state, getSurface(canvas));
+      } catch (error) {
+        console.error(`Error in getBounds for ${name}:`, error);
+        return null;
+      }
+    },
+    
     /**
      * Renders the visualizer for the given word
      * @param {string} word - The word to visualize
+     * @param {Object} options - Render options
+     * @param {string} options.alphabet - Name of the alphabet used to expand the layers
+     * @param {Object} options.symbols - Which digits, punctuation, whitespace and emoji are spelled out
+     * @param {Array} options.pipeline - Names of the transforms producing each layer (see transforms.js)
+     * @param {number} options.depth - Number of layers below the word (1-6, defaults to animationConfig.layerDepth)
+     * @param {boolean} options.sentence - Split the input into words and expand each word separately
+     * @param {string} options.seed - Optional user seed mixed with the word to vary the randomness
+     * The specific render function receives these options along with the
+     * `lineage` of the layers (see generatePhoneticLineage in utils.js),
+     * `words`, one { word, lineage, layers } entry per word (a single entry
+     * outside sentence mode) for visualizers that lay words out side by side,
+     * `random`, a generator seeded from the word and seed (see random.js)
+     * to use instead of Math.random, `surface`, the logical
+     * { width, height, pixelRatio, camera } of the canvas (use its width and
+     * height rather than canvas.width and canvas.height, which count device
+     * pixels; ctx already draws in CSS pixels), and `resources`, a registry for the
+     * listeners and timers of this render (see createResourceRegistry),
+     * released before the next render and when the visualizer is deactivated,
+     * and `animate(update, { duration })`, which registers an
+     * update(dt, elapsed, seeking) callback with the visualizer's timeline
+     * (see createTimeline) instead of a requestAnimationFrame loop; `elapsed`
+     * is the playback position and the visualizer is redrawn after each update.
+     * `layers` and `lineage` combine the words (see mergeLineages in utils.js).
+     * @returns {Object|undefined} Depth actually rendered and glyph counts (see limitDepth in utils.js)
      */
-    render: function(word) {
+    render: function(word, options = {}) {
       console.log(`Rendering ${name} visualizer for word: ${word}`);
       
       if (!word) {
@@ -150,39 +995,92 @@ function createVisualizer(config) {
       // Force a reflow to ensure the container is visible before getting dimensions
       void container.offsetWidth;
       
-      // Set canvas dimensions based on container size
-      canvas.width = container.clientWidth;
-      canvas.height = container.clientHeight;
+      // Set canvas dimensions based on container size, with a backing store
+      // sized by the device pixel ratio; visualizers draw in CSS pixels
+      setCanvasSize(canvas, container.clientWidth, container.clientHeight);
+      
+      const ctx = getScaledContext(canvas);
+      const surface = getSurface(canvas);
+      ctx.clearRect(0, 0, surface.width, surface.height);
+      
+      // Options shared by the layer expansion and the specific render function
+      const renderOptions = {
+        alphabet: options.alphabet || DEFAULT_ALPHABET,
+        symbols: { ...DEFAULT_SYMBOL_OPTIONS, ...options.symbols },
+        pipeline: options.pipeline && options.pipeline.length ? [...options.pipeline] : [...DEFAULT_PIPELINE],
+        seed: options.seed || ''
+      };
+      
+      // In sentence mode every word gets its own layers
+      const wordTexts = options.sentence ? tokenizeWords(word) : [word];
+      if (!wordTexts.length) {
+        console.error(`No words found in input for ${name} visualizer`);
+        return;
+      }
       
-      const ctx = canvas.getContext("2d");
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      // Reduce the depth if the layers would hold more glyphs than this visualizer can draw
+      const depthInfo = limitDepth(
+        wordTexts,
+        options.depth || animationConfig.layerDepth || DEFAULT_DEPTH,
+        renderOptions,
+        animationConfig.maxGlyphs || GLYPH_LIMIT
+      );
+      if (depthInfo.capped) {
+        console.warn(`Depth ${depthInfo.requestedDepth} would produce ${depthInfo.requestedGlyphCount} glyphs for ${name}, rendering depth ${depthInfo.depth}`);
+      }
+      renderOptions.depth = depthInfo.depth;
       
-      // Generate phonetic layers
-      const layers = generatePhoneticLayers(word, animationConfig.layerDepth || 3);
+      // Generate phonetic layers along with the parent of every character
+      const words = wordTexts.map(wordText => {
+        const wordLineage = generatePhoneticLineage(wordText, depthInfo.depth, renderOptions);
+        return { word: wordText, lineage: wordLineage, layers: getLayersFromLineage(wordLineage) };
+      });
+      const lineage = words.length === 1 ? words[0].lineage : mergeLineages(words.map(entry => entry.lineage));
+      const layers = getLayersFromLineage(lineage);
       
-      // Get the final layer for typewriter animation
-      const finalText = getFinalLayerText(layers);
+      // Get the final layer of every word for the typewriter animation
+      const finalText = words
+        .map(entry => getLineageLayerText(entry.lineage, entry.lineage.length - 1, renderOptions))
+        .join(' ');
       
       // Calculate animation duration
       const animationDuration = animationConfig.duration || 3000;
       
-      // Start typewriter animation
-      animateTypewriter(finalText, animationDuration);
+      // Prepare the typewriter; it types along the timeline below
+      const showTypewriterProgress = createTypewriter(finalText);
       
-      // Cancel any existing animation
-      cancelAnimation(name);
+      // Rendering shows this visualizer, deactivating any other one
+      activateVisualizer(name);
       
-      // Reset state to template
+      // Cancel any existing animation and release the previous render's listeners and timers
+      timeline.reset();
+      renderResources.clear();
+      
+      // Reset state to template, keeping the parameters (e.g. from a preset)
+      const keptParameters = pickParameters(getState(name));
       resetState(name);
+      updateState(name, keptParameters);
+      
+      // The same word and seed always produce the same picture and sound
+      const random = createRandom(word, renderOptions.seed);
       
       // Call the specific render function
       console.log(`Calling specific render function for ${name}`);
       try {
-        renderFunction(word, canvas, ctx, layers);
+        renderFunction(word, canvas, ctx, layers, { ...renderOptions, lineage, words, random, surface, resources: renderResources, animate });
         console.log(`Render function completed for ${name}`);
       } catch (error) {
         console.error(`Error in render function for ${name}:`, error);
       }
+      
+      // Type the final layer in step with the playback position, so scrubbing rewinds it too
+      animate((dt, elapsed) => {
+        const progress = Math.min(1, elapsed / animationDuration);
+        showTypewriterProgress(progress);
+        return progress < 1;
+      }, { duration: animationDuration });
+      
+      return depthInfo;
     },
     
     /**
@@ -203,35 +1101,139 @@ function createVisualizer(config) {
         return;
       }
       
-      // Make sure the canvas has proper dimensions
-      const container = document.getElementById(containerId);
-      if (container && (canvas.width !== container.clientWidth || canvas.height !== container.clientHeight)) {
-        canvas.width = container.clientWidth;
-        canvas.height = container.clientHeight;
-      }
+      // Make sure the canvas has proper dimensions and pixel ratio
+      fitCanvasToContainer();
       
-      const ctx = canvas.getContext("2d");
+      const ctx = getScaledContext(canvas);
       
       // Call the specific redraw function
       console.log(`Calling specific redraw function for ${name}`);
       try {
-        redrawFunction(state, canvas, ctx);
+        redrawFunction(state, canvas, ctx, getSurface(canvas));
         console.log(`Redraw function completed for ${name}`);
       } catch (error) {
         console.error(`Error in redraw function for ${name}:`, error);
       }
+      if (toolbar) toolbar.update(state);
+    },
+    
+    /**
+     * Draws the current picture into a new canvas of the same logical size,
+     * e.g. for exporting it
+     * @param {Object} [options] - Snapshot options
+     * @param {number} [options.supersampling] - Factor multiplying the pixel ratio (1-8), for sharper exports
+     * @param {number} [options.pixelRatio] - Pixel ratio before supersampling (defaults to the device pixel ratio)
+     * @param {Object} [options.camera] - Camera to draw with (defaults to the canvas' camera)
+     * @param {boolean} [options.transparent] - Leave out the background (redraw functions see surface.transparent)
+     * @returns {HTMLCanvasElement|null} The new canvas, or null if there is nothing to draw
+     */
+    renderSnapshot: function(options = {}) {
+      const state = getState(name);
+      const canvas = document.getElementById(canvasId);
+      if (!state || !canvas) {
+        console.error(`Nothing to snapshot for ${name} visualizer`);
+        return null;
+      }
+      
+      const { width, height } = getCanvasSize(canvas);
+      const supersampling = Math.max(1, Math.min(8, options.supersampling || 1));
+      const snapshot = document.createElement("canvas");
+      setCanvasSize(snapshot, width, height, (options.pixelRatio || getDevicePixelRatio()) * supersampling);
+      
+      try {
+        const surface = { ...getSurface(snapshot, options.camera || getCamera(canvasId)), transparent: !!options.transparent };
+        redrawFunction(state, snapshot, getScaledContext(snapshot), surface);
+      } catch (error) {
+        console.error(`Error drawing snapshot of ${name}:`, error);
+        return null;
+      }
+      return snapshot;
+    },
+    
+    /**
+     * Renders the sound of the current render offline, e.g. for exporting it
+     * @returns {Promise} Promise resolving to an AudioBuffer; rejected if the visualizer makes no sound or has nothing to play yet
+     */
+    renderAudio: function() {
+      const state = getState(name);
+      if (!renderAudioHook) {
+        return Promise.reject(new Error(`${displayName} has no sound to export.`));
+      }
+      if (!state) {
+        return Promise.reject(new Error('There is no sound to export yet.'));
+      }
+      return Promise.resolve().then(() => renderAudioHook(state));
+    },
+    
+    /**
+     * Gets the notes of the current render's sound, e.g. for a MIDI export
+     * @returns {Array|null} { name, notes } tracks (see the getNotes option of registerVisualizer), or null if the visualizer has no notes
+     */
+    getNotes: function() {
+      const state = getState(name);
+      if (!getNotesHook || !state) return null;
+      try {
+        return getNotesHook(state);
+      } catch (error) {
+        console.error(`Error in getNotes for ${name}:`, error);
+        return null;
+      }
+    },
+    
+    /**
+     * Draws the current picture with another drawing context, e.g. one
+     * recording SVG (see svg-context.js), at the canvas' logical size
+     * @param {Object} ctx - Context with the Canvas 2D calls the redraw function makes
+     * @param {Object} [options] - Drawing options
+     * @param {Object} [options.camera] - Camera to draw with (defaults to the canvas' camera)
+     * @param {boolean} [options.transparent] - Leave out the background (redraw functions see surface.transparent)
+     * @returns {boolean} Whether the picture was drawn
+     */
+    renderToContext: function(ctx, options = {}) {
+      const state = getState(name);
+      const canvas = document.getElementById(canvasId);
+      if (!state || !canvas) {
+        console.error(`Nothing to draw for ${name} visualizer`);
+        return false;
+      }
+      
+      const surface = { ...getSurface(canvas, options.camera || getCamera(canvasId)), pixelRatio: 1, transparent: !!options.transparent };
+      try {
+        redrawFunction(state, canvas, ctx, surface);
+        return true;
+      } catch (error) {
+        console.error(`Error drawing ${name} with another context:`, error);
+        return false;
+      }
     }
   };
+  
+  return visualizer;
 }
 
 /**
  * Registers a visualizer with the system
  * @param {string} name - Unique identifier for the visualizer
  * @param {Object} options - Configuration options for the visualizer
+ * @param {Function} [options.onActivate] - (visualizer) => void, called when the visualizer is shown
+ * @param {Function} [options.onDeactivate] - (visualizer) => void, called when another visualizer replaces it
+ * @param {Function} [options.destroy] - (visualizer) => void, called when the visualizer is unregistered
+ * @param {Function} [options.onParametersChange] - (visualizer, changes) => void, called with the values setParameters has set, e.g. to rebuild what the render made from them
+ * @param {Function} [options.getBounds] - (state, surface) => { minX, minY, maxX, maxY } in world coordinates, used by "fit to content"
+ * @param {Function} [options.relayout] - (state, surface, previousSize) => state changes, called when the canvas is resized after a render so positions computed from its size can follow
+ * @param {Function} [options.renderAudio] - (state) => Promise resolving to an AudioBuffer of the render's sound, for the audio export
+ * @param {Function} [options.getNotes] - (state) => { name, notes } tracks of the render's sound, notes being { time, duration, pitch, velocity } (seconds, MIDI note number, 1-127), for the MIDI export
+ * @param {Array} [options.controls] - Controls shown in a toolbar over the canvas: { type ('button', 'toggle' or 'range'), label, text, pressed, value, disabled, min, max, step, shortcut, onChange(visualizer, value) }; label, text, pressed, value and disabled may be functions of the state, and shortcut is a KeyboardEvent.key value
+ * @param {Array} [options.parameters] - Names of state values the user can set (kept through renders and saved in presets); their defaults come from the state template
  */
 function registerVisualizer(name, options) {
   console.log(`Registering visualizer: ${name}`, options);
   
+  // Registering a name again replaces the old visualizer
+  if (visualizers[name]) {
+    unregisterVisualizer(name);
+  }
+  
   // Create the visualizer
   visualizers[name] = createVisualizer({
     name,
@@ -247,6 +1249,54 @@ function registerVisualizer(name, options) {
   console.log(`Registered visualizers:`, Object.keys(visualizers));
 }
 
+/**
+ * Destroys a visualizer and removes it from the system
+ * @param {string} name - Name of the visualizer to remove
+ */
+function unregisterVisualizer(name) {
+  const visualizer = visualizers[name];
+  if (!visualizer) return;
+  
+  visualizer.destroy();
+  delete visualizers[name];
+  if (activeVisualizerName === name) {
+    activeVisualizerName = null;
+  }
+  console.log(`Unregistered visualizer: ${name}`);
+}
+
+/**
+ * Shows a visualizer: the previously active visualizer is deactivated
+ * (stopping its animation, audio, listeners and timers) before the new one
+ * is activated
+ * @param {string} name - Name of the visualizer to activate
+ * @returns {Object|null} The activated visualizer or null if not found
+ */
+function activateVisualizer(name) {
+  const visualizer = visualizers[name] || null;
+  if (activeVisualizerName === name) return visualizer;
+  
+  const previous = visualizers[activeVisualizerName];
+  if (previous) {
+    previous.deactivate();
+  }
+  activeVisualizerName = null;
+  
+  if (visualizer) {
+    visualizer.activate();
+    activeVisualizerName = name;
+  }
+  return visualizer;
+}
+
+/**
+ * Gets the visualizer currently shown
+ * @returns {Object|null} The active visualizer or null if none is shown
+ */
+function getActiveVisualizer() {
+  return visualizers[activeVisualizerName] || null;
+}
+
 /**
  * Gets a registered visualizer by name
  * @param {string} name - Name of the visualizer to get
@@ -317,8 +1367,19 @@ function getVisualizerTemplate(name) {
 
 // Export the visualizer system
 export {
+  FRAME_DURATION,
+  MIN_PLAYBACK_SPEED,
+  MAX_PLAYBACK_SPEED,
+  scheduler,
+  setPlaybackSpeed,
+  getPlaybackSpeed,
+  onTimelineChange,
   createVisualizer,
+  createResourceRegistry,
   registerVisualizer,
+  unregisterVisualizer,
+  activateVisualizer,
+  getActiveVisualizer,
   getVisualizer,
   getAllVisualizers,
   getAllCanvasIds,
@@ -3,9 +3,10 @@
  * Renders a constellation-style visualization using Canvas
  */
 
-import { getCanvasTransform } from '../utils.js';
-import { getState, updateState, cancelAnimation } from '../state.js';
-import { registerVisualizer, getVisualizer } from '../visualizer-base.js';
+import { getCamera, getPointBounds } from '../camera.js';
+import { createRandom } from '../random.js';
+import { updateState } from '../state.js';
+import { registerVisualizer, getVisualizer, FRAME_DURATION } from '../visualizer-base.js';
 
 /**
  * Specific render function for constellation visualization
@@ -13,26 +14,20 @@ import { registerVisualizer, getVisualizer } from '../visualizer-base.js';
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Array} layers - The phonetic layers
+ * @param {Object} options - Render options, including the layer lineage, the seeded random generator, the resource registry and the scheduler's animate function
  */
-function renderConstellationSpecific(word, canvas, ctx, layers) {
+function renderConstellationSpecific(word, canvas, ctx, layers, options = {}) {
+  const { lineage } = options;
+  const random = options.random.fork('stars');
   
-  const centerX = canvas.width / 2;
-  const centerY = canvas.height / 2;
+  const centerX = options.surface.width / 2;
+  const centerY = options.surface.height / 2;
   const colors = ["#ff6b6b", "#4ecdc4", "#ffe66d", "#ff8c00", "#00cec9", "#ff33cc"];
   
   // Generate stars (points) for each character
   const stars = [];
   const connections = [];
   
-  // Create a mapping to track which constellation each character belongs to
-  const constellationMap = {};
-  let constellationCounter = 0;
-  
-  // First, assign constellation IDs to the first layer (original word)
-  layers[0].forEach((char, charIndex) => {
-    constellationMap[`0-${charIndex}`] = constellationCounter++;
-  });
-  
   // Create a star for each character in each layer
   const layerStars = layers.map(() => []);
   
@@ -56,12 +51,12 @@ function renderConstellationSpecific(word, canvas, ctx, layers) {
     do {
       if (layerIndex === 0) {
         // First layer: more central positions but still random
-        x = centerX + (Math.random() - 0.5) * (canvas.width - padding * 2) * 0.6;
-        y = centerY + (Math.random() - 0.5) * (canvas.height - padding * 2) * 0.6;
+        x = centerX + (random() - 0.5) * (options.surface.width - padding * 2) * 0.6;
+        y = centerY + (random() - 0.5) * (options.surface.height - padding * 2) * 0.6;
       } else {
         // Other layers: more spread out
-        x = padding + Math.random() * (canvas.width - padding * 2);
-        y = padding + Math.random() * (canvas.height - padding * 2);
+        x = padding + random() * (options.surface.width - padding * 2);
+        y = padding + random() * (options.surface.height - padding * 2);
       }
       
       attempts++;
@@ -87,24 +82,9 @@ function renderConstellationSpecific(word, canvas, ctx, layers) {
       // Generate non-overlapping positions
       const { x, y } = findNonOverlappingPosition(layerIndex, stars, padding);
       
-      // Determine which constellation this character belongs to
-      let constellationId;
-      
-      if (layerIndex === 0) {
-        // First layer characters define their own constellations
-        constellationId = constellationMap[`0-${charIndex}`];
-      } else {
-        // For deeper layers, we need to determine which character in the previous layer
-        // this character derives from
-        const prevLayerLength = layers[layerIndex - 1].length;
-        const prevLayerCharIndex = Math.floor(charIndex / (layer.length / prevLayerLength));
-        
-        // Get the constellation ID from the parent character
-        constellationId = constellationMap[`${layerIndex-1}-${prevLayerCharIndex}`];
-        
-        // Store this character's constellation ID for potential next layer
-        constellationMap[`${layerIndex}-${charIndex}`] = constellationId;
-      }
+      // Each letter of the original word defines a constellation, and every
+      // character spelled out from it belongs to that constellation
+      const constellationId = lineage[layerIndex][charIndex].rootIndex;
       
       // Create star object
       const star = {
@@ -114,9 +94,9 @@ function renderConstellationSpecific(word, canvas, ctx, layers) {
         layerIndex,
         charIndex,
         size: Math.max(2, 4 + (3 - layerIndex) * 2.5), // Larger stars for first layer, ensure minimum size
-        brightness: 0.6 + Math.random() * 0.4, // Random initial brightness
-        twinkleSpeed: 0.0005 + Math.random() * 0.001, // Slow but visible twinkle speed
-        twinkleOffset: Math.random() * Math.PI * 2, // Random twinkle phase
+        brightness: 0.6 + random() * 0.4, // Random initial brightness
+        twinkleSpeed: 0.0005 + random() * 0.001, // Slow but visible twinkle speed
+        twinkleOffset: random() * Math.PI * 2, // Random twinkle phase
         constellation: constellationId, // Track which constellation this star belongs to
         isOriginal: layerIndex === 0 // Flag to identify original letters
       };
@@ -155,36 +135,14 @@ function renderConstellationSpecific(word, canvas, ctx, layers) {
       }
     });
     
-    // If not the first layer, create connections to the previous layer
-    if (layerIndex > 0 && layerIndex < layers.length) {
-      const prevLayerStars = stars.filter(s => s.layerIndex === layerIndex - 1);
-      
+    // If not the first layer, connect each star to the star of the character it was spelled out from
+    if (layerIndex > 0) {
       layerStarsArray.forEach(star => {
-        // Find the closest star in the previous layer that belongs to the same constellation
-        let closestStar = null;
-        let minDistance = Infinity;
-        
-        // Filter previous layer stars to only include those from the same constellation
-        const sameConstellationPrevStars = prevLayerStars.filter(
-          prevStar => prevStar.constellation === star.constellation
-        );
-        
-        sameConstellationPrevStars.forEach(prevStar => {
-          const distance = Math.sqrt(
-            Math.pow(star.x - prevStar.x, 2) + 
-            Math.pow(star.y - prevStar.y, 2)
-          );
-          
-          if (distance < minDistance) {
-            minDistance = distance;
-            closestStar = prevStar;
-          }
-        });
-        
-        if (closestStar) {
+        const parentStar = layerStars[layerIndex - 1][lineage[layerIndex][star.charIndex].parentIndex];
+        if (parentStar) {
           connections.push({
             from: star,
-            to: closestStar,
+            to: parentStar,
             layerIndex: star.layerIndex,
             isInterLayer: true,
             constellation: star.constellation
@@ -201,20 +159,18 @@ function renderConstellationSpecific(word, canvas, ctx, layers) {
     colors,
     centerX,
     centerY,
+    seed: options.random.seed,
     twinkleSpeed: 0.05,
     frame: 0,
-    animationStartTime: Date.now(),
+    elapsedTime: 0,
     hoveredConstellation: null // Track which constellation is being hovered
   });
   
-  // Cancel any existing animation
-  cancelAnimation('constellation');
-  
-  // Add mouse move event listener for hover effect
-  canvas.addEventListener('mousemove', handleMouseMove);
+  // Add mouse move event listener for hover effect (removed before the next render)
+  options.resources.listen(canvas, 'mousemove', handleMouseMove);
   
   // Add mouse leave event listener to reset hover state
-  canvas.addEventListener('mouseleave', () => {
+  options.resources.listen(canvas, 'mouseleave', () => {
     updateState('constellation', { hoveredConstellation: null });
   });
   
@@ -229,21 +185,8 @@ function renderConstellationSpecific(word, canvas, ctx, layers) {
     const rawMouseX = event.clientX - rect.left;
     const rawMouseY = event.clientY - rect.top;
     
-    // Get current transform
-    const transform = getCanvasTransform(canvas.id);
-    const scale = transform.scale || 1;
-    const offsetX = transform.offsetX || 0;
-    const offsetY = transform.offsetY || 0;
-    
-    // Convert mouse position to the untransformed coordinate space (world space)
-    // The correct inverse transform based on how the canvas transform is applied:
-    // 1. First translate by offsetX, offsetY
-    // 2. Then scale by scale
-    // So the inverse is:
-    // 1. Divide by scale
-    // 2. Subtract offsetX/scale (because offsetX is in screen space, not world space)
-    const canvasX = (rawMouseX / scale) - (offsetX / scale);
-    const canvasY = (rawMouseY / scale) - (offsetY / scale);
+    // Convert mouse position to world coordinates, undoing the camera's zoom/pan
+    const { x: canvasX, y: canvasY } = getCamera(canvas).screenToWorld(rawMouseX, rawMouseY);
     
     // Check if mouse is over any star
     let hoveredStar = null;
@@ -270,26 +213,13 @@ function renderConstellationSpecific(word, canvas, ctx, layers) {
     }
   }
   
-  // Start animation
-  function animate() {
-    // Calculate time-based animation
-    const state = getState('constellation');
-    const elapsedTime = Date.now() - state.animationStartTime;
-    
+  // Twinkle continuously along the playback position
+  options.animate((dt, elapsedTime) => {
     updateState('constellation', { 
-      frame: state.frame + 1,
+      frame: elapsedTime / FRAME_DURATION,
       elapsedTime
     });
-    
-    // Draw using the redraw function
-    redrawConstellationSpecific(getState('constellation'), canvas, ctx);
-    
-    // Continue animation
-    const animationId = requestAnimationFrame(animate);
-    updateState('constellation', { animationId });
-  }
-  
-  animate();
+  });
 }
 
 /**
@@ -297,38 +227,33 @@ function renderConstellationSpecific(word, canvas, ctx, layers) {
  * @param {Object} state - The current state
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} surface - Logical size (CSS pixels), pixel ratio and camera of the canvas
  */
-function redrawConstellationSpecific(state, canvas, ctx) {
+function redrawConstellationSpecific(state, canvas, ctx, surface) {
   if (!state || !state.stars) return;
   
   // Ensure canvas is properly sized
-  if (canvas.width === 0 || canvas.height === 0) {
+  if (surface.width === 0 || surface.height === 0) {
     console.error("Canvas has zero dimensions, cannot render constellation");
     return;
   }
   
-  // Get transform for zoom/pan
-  const transform = getCanvasTransform(canvas.id);
-  const scale = transform.scale || 1;
-  const offsetX = transform.offsetX || 0;
-  const offsetY = transform.offsetY || 0;
-  
-  // Clear canvas with transform reset
-  ctx.setTransform(1, 0, 0, 1, 0, 0);
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  // Clear canvas (the base hands over the context scaled to CSS pixels)
+  ctx.clearRect(0, 0, surface.width, surface.height);
   
-  // Draw background gradient
-  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-  gradient.addColorStop(0, "#0f0c29");
-  gradient.addColorStop(0.5, "#302b63");
-  gradient.addColorStop(1, "#24243e");
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  // Draw background gradient (left out of transparent exports)
+  if (!surface.transparent) {
+    const gradient = ctx.createLinearGradient(0, 0, 0, surface.height);
+    gradient.addColorStop(0, "#0f0c29");
+    gradient.addColorStop(0.5, "#302b63");
+    gradient.addColorStop(1, "#24243e");
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, surface.width, surface.height);
+  }
   
-  // Apply transform for zoom/pan
+  // Apply the camera's zoom/pan
   ctx.save();
-  ctx.translate(offsetX, offsetY);
-  ctx.scale(scale, scale);
+  surface.camera.apply(ctx);
   
   const stars = state.stars;
   const connections = state.connections;
@@ -496,15 +421,16 @@ function redrawConstellationSpecific(state, canvas, ctx) {
   if (!state.backgroundStars) {
     const numBackgroundStars = 150;
     const backgroundStars = [];
+    const random = createRandom(state.seed, 'background');
     
     for (let i = 0; i < numBackgroundStars; i++) {
       backgroundStars.push({
-        x: Math.random() * canvas.width,
-        y: Math.random() * canvas.height,
-        size: Math.random() * 1.5,
-        brightness: 0.3 + Math.random() * 0.4, // Random brightness
-        twinkleSpeed: 0.0000005 + Math.random() * 0.0000008, // Extremely slow twinkle
-        twinkleOffset: Math.random() * Math.PI * 2 // Random phase
+        x: random() * surface.width,
+        y: random() * surface.height,
+        size: random() * 1.5,
+        brightness: 0.3 + random() * 0.4, // Random brightness
+        twinkleSpeed: 0.0000005 + random() * 0.0000008, // Extremely slow twinkle
+        twinkleOffset: random() * Math.PI * 2 // Random phase
       });
     }
     
@@ -531,12 +457,51 @@ function redrawConstellationSpecific(state, canvas, ctx) {
   ctx.restore();
 }
 
+/**
+ * Gets the area covered by the stars and their glow
+ * @param {Object} state - The current state
+ * @returns {Object|null} Bounds in world coordinates
+ */
+function getConstellationBounds(state) {
+  if (!state.stars) return null;
+  return getPointBounds(state.stars, 30);
+}
+
+/**
+ * Spreads the stars over a resized canvas
+ * @param {Object} state - The current state
+ * @param {Object} surface - New logical size of the canvas
+ * @param {Object} previousSize - Logical size the stars were placed for
+ * @returns {Object|null} State changes
+ */
+function relayoutConstellation(state, surface, previousSize) {
+  if (!state.stars) return null;
+  const scaleX = surface.width / previousSize.width;
+  const scaleY = surface.height / previousSize.height;
+  
+  // Connections point at their star objects, so they are rebuilt alongside
+  const movedStars = new Map(state.stars.map(star => [star, { ...star, x: star.x * scaleX, y: star.y * scaleY }]));
+  return {
+    stars: [...movedStars.values()],
+    connections: state.connections && state.connections.map(connection => ({
+      ...connection,
+      from: movedStars.get(connection.from),
+      to: movedStars.get(connection.to)
+    })),
+    centerX: surface.width / 2,
+    centerY: surface.height / 2,
+    backgroundStars: null // Scattered again over the new size on the next redraw
+  };
+}
+
 // Register the constellation visualizer with the system
 registerVisualizer('constellation', {
   displayName: 'Constellation',
   icon: '✨', // Added icon
   renderFunction: renderConstellationSpecific,
   redrawFunction: redrawConstellationSpecific,
+  getBounds: getConstellationBounds,
+  relayout: relayoutConstellation,
   stateTemplate: {
     stars: null,
     connections: null,
@@ -545,15 +510,15 @@ registerVisualizer('constellation', {
     centerY: 0,
     twinkleSpeed: 0.05,
     frame: 0,
-    animationStartTime: 0,
     elapsedTime: 0,
     hoveredConstellation: null,
     backgroundStars: null,
-    animationId: null
+    seed: null
   },
   animationConfig: {
     duration: 6000,
-    layerDepth: 3
+    layerDepth: 3,
+    maxGlyphs: 2500 // Star placement compares every star with every other
   }
 });
 
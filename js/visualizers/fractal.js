@@ -3,9 +3,11 @@
  * Renders a fractal garden visualization using Canvas
  */
 
-import { getCanvasTransform } from '../utils.js';
+import { groupChildrenByParent } from '../utils.js';
+import { getPointBounds } from '../camera.js';
+import { createRandom } from '../random.js';
 import { getState, updateState } from '../state.js';
-import { registerVisualizer, getVisualizer } from '../visualizer-base.js';
+import { registerVisualizer, getVisualizer, FRAME_DURATION } from '../visualizer-base.js';
 
 /**
  * Specific render function for fractal garden visualization
@@ -13,8 +15,9 @@ import { registerVisualizer, getVisualizer } from '../visualizer-base.js';
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Array} layers - The phonetic layers
+ * @param {Object} options - Render options, including the season, the layer lineage, the words of a sentence, the seeded random generator and the scheduler's animate function
  */
-function renderFractalSpecific(word, canvas, ctx, layers) {
+function renderFractalSpecific(word, canvas, ctx, layers, options = {}) {
   if (!word) return;
   
   // Calculate total number of branches for animation duration
@@ -48,58 +51,53 @@ function renderFractalSpecific(word, canvas, ctx, layers) {
     }
   };
   
-  // Get current season or default to spring
-  const season = getState('fractal').season || "spring";
+  // Season chosen in the controls bar, spring by default
+  const season = seasonColors[options.season] ? options.season : "spring";
   const colors = seasonColors[season];
   
-  // Generate fractal branches
-  const branches = generateFractalBranches(layers);
+  // Generate fractal branches: a forest with one tree per word, spread across the canvas
+  const words = options.words || [{ word, layers, lineage: options.lineage }];
+  const treeSpacing = Math.max(300, options.surface.width * 0.8 / words.length);
+  const branches = words.flatMap((entry, i) =>
+    generateFractalBranches(entry.layers, entry.lineage, (i - (words.length - 1) / 2) * treeSpacing, options.random.fork('branches', i))
+  );
   
   // Generate ground elements based on layers
-  const groundElements = generateGroundElements(layers);
+  const groundElements = generateGroundElements(layers, options.random.fork('ground'), season);
   
   // Calculate ground element positions once and store them
-  const groundElementsPositions = calculateGroundElementPositions(groundElements, canvas.width);
+  const groundElementsPositions = calculateGroundElementPositions(groundElements, options.surface.width, options.random.fork('ground-positions'));
   
   // Store state for zoom/pan and animation
   updateState('fractal', {
     branches: branches,
     colors: colors,
     frame: 0,
-    centerX: canvas.width / 2,
-    centerY: canvas.height,
+    centerX: options.surface.width / 2,
+    centerY: options.surface.height,
     season: season,
     groundElements: groundElements,
     groundElementsPositions: groundElementsPositions,
     totalBranches: totalBranches
   });
   
-  // Start animation
-  function animate() {
-    // Get current state
-    const state = getState('fractal');
-    
-    // Update frame in state
-    updateState('fractal', { frame: state.frame + 1 });
-    
-    // Draw using the redraw function
-    redrawFractalSpecific(state, canvas, ctx);
-    
-    if (state.frame < totalBranches) {
-      const animationId = requestAnimationFrame(animate);
-      updateState('fractal', { animationId });
-    }
-  }
-  
-  animate();
+  // Grow one branch per frame (at 60 frames per second) until every branch is drawn
+  options.animate((dt, elapsed) => {
+    const frame = Math.min(totalBranches, elapsed / FRAME_DURATION);
+    updateState('fractal', { frame });
+    return frame < totalBranches;
+  }, { duration: totalBranches * FRAME_DURATION });
 }
 
 /**
  * Generates branches for the fractal garden visualization
  * @param {Array} layers - Array of phonetic layers
+ * @param {Array} lineage - Lineage of the layers, used to attach each character to the branch it was spelled out from
+ * @param {number} trunkX - Horizontal position of the trunk relative to the center of the ground
+ * @param {Function} random - Seeded random generator (see random.js)
  * @returns {Array} Array of branch objects
  */
-function generateFractalBranches(layers) {
+function generateFractalBranches(layers, lineage, trunkX = 0, random = createRandom(layers[0].join(''))) {
   const branches = [];
   const trunkHeight = 200; // Height of the main trunk
   const trunkWidth = 20; // Width of the main trunk
@@ -108,7 +106,7 @@ function generateFractalBranches(layers) {
   
   // Create the main trunk representing the word
   const trunk = {
-    startX: 0,
+    startX: trunkX,
     startY: 0,
     length: trunkHeight,
     width: trunkWidth,
@@ -117,7 +115,8 @@ function generateFractalBranches(layers) {
     level: -1, // Special level for trunk
     parent: null,
     children: [],
-    isTrunk: true
+    isTrunk: true,
+    seed: random.int(4294967296) // Seeds the bark texture drawn every frame
   };
   branches.push(trunk);
   
@@ -132,14 +131,15 @@ function generateFractalBranches(layers) {
     const branchLength = trunkHeight * Math.pow(branchLengthFactor, layerIndex + 1);
     const branchWidth = trunkWidth * Math.pow(branchWidthFactor, layerIndex + 1);
     
-    // Distribute characters evenly among parent branches
-    const charsPerParent = Math.ceil(layer.length / parentBranches.length);
+    // The word's letters all grow from the trunk; deeper characters grow from
+    // the branch of the character they were spelled out from
+    const childrenByParent = layerIndex === 0
+      ? [layer.map((char, i) => i)]
+      : groupChildrenByParent(lineage, layerIndex);
     
     parentBranches.forEach((parent, parentIndex) => {
       // Get characters for this parent
-      const startIdx = parentIndex * charsPerParent;
-      const endIdx = Math.min(startIdx + charsPerParent, layer.length);
-      const chars = layer.slice(startIdx, endIdx);
+      const chars = childrenByParent[parentIndex].map(i => layer[i]);
       
       if (chars.length === 0) return;
       
@@ -226,14 +226,15 @@ function generateFractalBranches(layers) {
         const branch = {
           startX: 0, // Will be calculated during drawing
           startY: 0, // Will be calculated during drawing
-          length: branchLength * (0.9 + Math.random() * 0.2), // Add some randomness
-          width: branchWidth * (0.9 + Math.random() * 0.2),
+          length: branchLength * (0.9 + random() * 0.2), // Add some randomness
+          width: branchWidth * (0.9 + random() * 0.2),
           angle: angle + angleVariation,
           char: char,
           level: layerIndex,
           parent: parent,
           children: [],
-          isBranch: true
+          isBranch: true,
+          seed: random.int(4294967296) // Seeds the curve drawn every frame
         };
         
         parent.children.push(branch);
@@ -256,37 +257,33 @@ function generateFractalBranches(layers) {
  * @param {Object} state - The current state
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} surface - Logical size (CSS pixels), pixel ratio and camera of the canvas
  */
-function redrawFractalSpecific(state, canvas, ctx) {
+function redrawFractalSpecific(state, canvas, ctx, surface) {
   if (!state.branches) return;
   
   // Ensure canvas is properly sized
-  if (canvas.width === 0 || canvas.height === 0) {
+  if (surface.width === 0 || surface.height === 0) {
     console.error("Canvas has zero dimensions, cannot render fractal");
     return;
   }
   
-  // Get transform for zoom/pan
-  const transform = getCanvasTransform(canvas.id);
-  const scale = transform.scale || 1;
-  const offsetX = transform.offsetX || 0;
-  const offsetY = transform.offsetY || 0;
+  // Clear canvas (the base hands over the context scaled to CSS pixels)
+  ctx.clearRect(0, 0, surface.width, surface.height);
   
-  // Clear canvas with transform reset
-  ctx.setTransform(1, 0, 0, 1, 0, 0);
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  
-  // Set background color based on season
-  ctx.fillStyle = state.colors.background;
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  // Set background color based on season (left out of transparent exports)
+  if (!surface.transparent) {
+    ctx.fillStyle = state.colors.background;
+    ctx.fillRect(0, 0, surface.width, surface.height);
+  }
   
-  // Apply transform - position the tree at the bottom center of the canvas
+  // Apply the camera's zoom/pan, then position the tree at the bottom center of the canvas
   ctx.save();
-  ctx.translate(canvas.width / 2 + offsetX, canvas.height - 50 + offsetY);
-  ctx.scale(scale, scale);
+  surface.camera.apply(ctx);
+  ctx.translate(surface.width / 2, surface.height - 50);
   
   // Draw decorative ground
-  drawGround(ctx, canvas.width, state.colors);
+  drawGround(ctx, surface.width, state.colors);
   
   // Sort branches by level to draw trunk first, then branches by level
   const sortedBranches = [...state.branches].sort((a, b) => {
@@ -321,10 +318,10 @@ function redrawFractalSpecific(state, canvas, ctx) {
     // Draw branch with gradient for more natural look
     if (branch.isTrunk) {
       // Draw trunk with wood texture
-      drawTrunk(ctx, branch.startX, branch.startY, endX, endY, branch.width, state.colors.trunk);
+      drawTrunk(ctx, branch.startX, branch.startY, endX, endY, branch.width, state.colors.trunk, createRandom(branch.seed));
     } else {
       // Draw branch
-      drawBranch(ctx, branch.startX, branch.startY, endX, endY, branch.width, state.colors.trunk);
+      drawBranch(ctx, branch.startX, branch.startY, endX, endY, branch.width, state.colors.trunk, createRandom(branch.seed));
     }
     
     // Draw leaves or flowers at the end of branches with no children
@@ -377,17 +374,17 @@ function redrawFractalSpecific(state, canvas, ctx) {
 /**
  * Generates ground elements based on phonetic layers
  * @param {Array} layers - Array of phonetic layers
+ * @param {Function} random - Seeded random generator (see random.js)
+ * @param {string} season - Season whose colors the flowers take (spring, summer, fall, winter)
  * @returns {Object} Object containing ground elements for each layer
  */
-function generateGroundElements(layers) {
+function generateGroundElements(layers, random = createRandom(layers[0].join(''), 'ground'), season = "spring") {
   const groundElements = {
     grass: [],
     flowers: [],
     stones: []
   };
   
-  // Get current season or default to spring
-  const season = getState('fractal').season || "spring";
   const seasonColors = {
     spring: {
       background: "#e6f7ff",
@@ -423,7 +420,7 @@ function generateGroundElements(layers) {
         char: char,
         index: index,
         size: char.charCodeAt(0) % 5 + 20, // Smallest size for grass
-        color: colors.leaves[Math.floor(Math.random() * colors.leaves.length)] // Pre-assign color
+        color: colors.leaves[Math.floor(random() * colors.leaves.length)] // Pre-assign color
       });
     });
   }
@@ -439,10 +436,10 @@ function generateGroundElements(layers) {
         char: char,
         index: index,
         size: char.charCodeAt(0) % 5 + 25, // Smaller size for flowers
-        style: Math.floor(Math.random() * 3), // 0: daisy, 1: tulip, 2: simple
+        style: Math.floor(random() * 3), // 0: daisy, 1: tulip, 2: simple
         petalCount: petalCount, // Store petal count in state
-        petalColor: colors.flowers[Math.floor(Math.random() * colors.flowers.length)], // Pre-assign petal color
-        centerColor: colors.flowers[Math.floor(Math.random() * colors.flowers.length)] // Pre-assign center color
+        petalColor: colors.flowers[Math.floor(random() * colors.flowers.length)], // Pre-assign petal color
+        centerColor: colors.flowers[Math.floor(random() * colors.flowers.length)] // Pre-assign center color
       });
     });
   }
@@ -451,16 +448,16 @@ function generateGroundElements(layers) {
   if (layers[0]) {
     layers[0].forEach((char, index) => {
       // Generate a random gray color for the stone
-      const grayValue = 100 + Math.floor(Math.random() * 100);
+      const grayValue = 100 + Math.floor(random() * 100);
       const stoneColor = `rgb(${grayValue}, ${grayValue}, ${grayValue})`;
       
       groundElements.stones.push({
         char: char,
         index: index,
         size: char.charCodeAt(0) % 10 + 65, // Much larger size for stones
-        shape: Math.floor(Math.random() * 4), // 0-3: more variety
+        shape: Math.floor(random() * 4), // 0-3: more variety
         color: stoneColor, // Pre-assign stone color
-        zIndex: Math.floor(Math.random() * 3) // Random z-index (0-2) for depth
+        zIndex: Math.floor(random() * 3) // Random z-index (0-2) for depth
       });
     });
   }
@@ -472,9 +469,10 @@ function generateGroundElements(layers) {
  * Calculates and stores positions for all ground elements
  * @param {Object} groundElements - Object containing ground elements
  * @param {number} canvasWidth - Width of the canvas
+ * @param {Function} random - Seeded random generator (see random.js)
  * @returns {Array} Array of positioned ground elements
  */
-function calculateGroundElementPositions(groundElements, canvasWidth) {
+function calculateGroundElementPositions(groundElements, canvasWidth, random = createRandom('ground-positions')) {
   if (!groundElements) return [];
   
   const allGroundElements = [];
@@ -489,16 +487,16 @@ function calculateGroundElementPositions(groundElements, canvasWidth) {
     groundElements.stones.forEach((stone, index) => {
       const x = -totalWidth/2 + centerOffset + (index + 1) * stoneSpacing;
       // Add some randomness to x position for more natural look
-      const randomX = x + (Math.random() - 0.5) * stoneSpacing * 0.5;
+      const randomX = x + (random() - 0.5) * stoneSpacing * 0.5;
       
       allGroundElements.push({
         type: 'stone',
         element: stone,
         x: randomX,
         y: 0,
-        zIndex: stone.zIndex || Math.floor(Math.random() * 3), // Use stored zIndex or generate random one
-        randomOffset: (Math.random() - 0.5) * stone.size * 0.2, // Store random offset for stone drawing
-        randomSize: stone.size * (0.8 + Math.random() * 0.4) // Store random size for stone drawing
+        zIndex: stone.zIndex || Math.floor(random() * 3), // Use stored zIndex or generate random one
+        randomOffset: (random() - 0.5) * stone.size * 0.2, // Store random offset for stone drawing
+        randomSize: stone.size * (0.8 + random() * 0.4) // Store random size for stone drawing
       });
     });
   }
@@ -509,14 +507,14 @@ function calculateGroundElementPositions(groundElements, canvasWidth) {
     groundElements.flowers.forEach((flower, index) => {
       const x = -totalWidth/2 + centerOffset + (index + 1) * flowerSpacing;
       // Add some randomness to x position for more natural look
-      const randomX = x + (Math.random() - 0.5) * flowerSpacing * 0.4;
+      const randomX = x + (random() - 0.5) * flowerSpacing * 0.4;
       
       allGroundElements.push({
         type: 'flower',
         element: flower,
         x: randomX,
         y: 0,
-        zIndex: Math.floor(Math.random() * 3) // Random z-index (0-2)
+        zIndex: Math.floor(random() * 3) // Random z-index (0-2)
       });
     });
   }
@@ -527,20 +525,20 @@ function calculateGroundElementPositions(groundElements, canvasWidth) {
     groundElements.grass.forEach((grass, index) => {
       const x = -totalWidth/2 + centerOffset + (index + 1) * grassSpacing;
       // Add some randomness to x position for more natural look
-      const randomX = x + (Math.random() - 0.5) * grassSpacing * 0.3;
+      const randomX = x + (random() - 0.5) * grassSpacing * 0.3;
       
       // Pre-calculate grass blade positions and properties
       const blades = [];
-      const bladeCount = 3 + Math.floor(Math.random() * 3); // 3-5 blades
+      const bladeCount = 3 + Math.floor(random() * 3); // 3-5 blades
       const clusterWidth = 8;
       
       for (let i = 0; i < bladeCount; i++) {
-        const bladeX = (Math.random() * clusterWidth - clusterWidth/2);
-        const bladeHeight = grass.size + Math.random() * 5;
-        const bladeWidth = 1 + Math.random();
-        const controlX = (Math.random() * 4 - 2);
+        const bladeX = (random() * clusterWidth - clusterWidth/2);
+        const bladeHeight = grass.size + random() * 5;
+        const bladeWidth = 1 + random();
+        const controlX = (random() * 4 - 2);
         const controlY = -bladeHeight * 0.6;
-        const endX = (Math.random() * 3 - 1.5);
+        const endX = (random() * 3 - 1.5);
         
         blades.push({
           bladeX,
@@ -557,7 +555,7 @@ function calculateGroundElementPositions(groundElements, canvasWidth) {
         element: grass,
         x: randomX,
         y: 0,
-        zIndex: Math.floor(Math.random() * 3), // Random z-index (0-2)
+        zIndex: Math.floor(random() * 3), // Random z-index (0-2)
         blades: blades // Store pre-calculated blade properties
       });
     });
@@ -606,8 +604,11 @@ function drawGround(ctx, canvasWidth, colors) {
  * Draws grass blades at a specific position
  */
 function drawGrassBlades(ctx, x, y, height, colors, grass, preCalculatedBlades) {
+  // Values not pre-calculated are derived from the position so they stay the same every frame
+  const random = createRandom('grass', x, y, height);
+  
   // Use the pre-assigned color from the grass element if available
-  const grassColor = grass && grass.color ? grass.color : colors.leaves[Math.floor(Math.random() * colors.leaves.length)];
+  const grassColor = grass && grass.color ? grass.color : colors.leaves[Math.floor(random() * colors.leaves.length)];
   ctx.fillStyle = grassColor;
   
   // Use pre-calculated blades if available, otherwise generate new ones
@@ -628,23 +629,23 @@ function drawGrassBlades(ctx, x, y, height, colors, grass, preCalculatedBlades)
     }
   } else {
     // Draw a cluster of grass blades with new random values
-    const bladeCount = 3 + Math.floor(Math.random() * 3); // 3-5 blades
+    const bladeCount = 3 + Math.floor(random() * 3); // 3-5 blades
     const clusterWidth = 8;
     
     for (let i = 0; i < bladeCount; i++) {
-      const bladeX = x + (Math.random() * clusterWidth - clusterWidth/2);
-      const bladeHeight = height + Math.random() * 5;
-      const bladeWidth = 1 + Math.random();
+      const bladeX = x + (random() * clusterWidth - clusterWidth/2);
+      const bladeHeight = height + random() * 5;
+      const bladeWidth = 1 + random();
       
       // Draw a blade of grass (curved line)
       ctx.beginPath();
       ctx.moveTo(bladeX, y);
       
       // Add a slight curve to the grass blade
-      const controlX = bladeX + (Math.random() * 4 - 2);
+      const controlX = bladeX + (random() * 4 - 2);
       const controlY = y - bladeHeight * 0.6;
       
-      ctx.quadraticCurveTo(controlX, controlY, bladeX + (Math.random() * 3 - 1.5), y - bladeHeight);
+      ctx.quadraticCurveTo(controlX, controlY, bladeX + (random() * 3 - 1.5), y - bladeHeight);
       ctx.lineWidth = bladeWidth;
       ctx.strokeStyle = grassColor;
       ctx.stroke();
@@ -656,9 +657,12 @@ function drawGrassBlades(ctx, x, y, height, colors, grass, preCalculatedBlades)
  * Draws a flower on the ground at a specific position
  */
 function drawGroundFlower(ctx, x, y, size, colors, flowerStyle, flower) {
+  // Values not pre-assigned are derived from the position so they stay the same every frame
+  const random = createRandom('flower', x, y, size);
+  
   // Use pre-assigned colors from the flower element if available, otherwise choose random colors
-  const petalColor = flower && flower.petalColor ? flower.petalColor : colors.flowers[Math.floor(Math.random() * colors.flowers.length)];
-  const centerColor = flower && flower.centerColor ? flower.centerColor : colors.flowers[Math.floor(Math.random() * colors.flowers.length)];
+  const petalColor = flower && flower.petalColor ? flower.petalColor : colors.flowers[Math.floor(random() * colors.flowers.length)];
+  const centerColor = flower && flower.centerColor ? flower.centerColor : colors.flowers[Math.floor(random() * colors.flowers.length)];
   
   // Draw stem
   const stemHeight = size * 1.5;
@@ -675,13 +679,13 @@ function drawGroundFlower(ctx, x, y, size, colors, flowerStyle, flower) {
   
   // Use provided flower style or choose randomly (0: daisy, 1: tulip, 2: simple)
   if (flowerStyle === undefined) {
-    flowerStyle = Math.floor(Math.random() * 3);
+    flowerStyle = Math.floor(random() * 3);
   }
   
   if (flowerStyle === 0) {
     // Daisy style
     // Use pre-assigned petal count from the flower element if available
-    const petalCount = flower && flower.petalCount ? flower.petalCount : 5 + Math.floor(Math.random() * 3);
+    const petalCount = flower && flower.petalCount ? flower.petalCount : 5 + Math.floor(random() * 3);
     const petalLength = size * 0.7;
     
     // Draw petals
@@ -739,7 +743,7 @@ function drawGroundFlower(ctx, x, y, size, colors, flowerStyle, flower) {
   else {
     // Simple flower
     // Use pre-assigned petal count from the flower element if available
-    const petalCount = flower && flower.petalCount ? flower.petalCount : 4 + Math.floor(Math.random() * 3);
+    const petalCount = flower && flower.petalCount ? flower.petalCount : 4 + Math.floor(random() * 3);
     
     // Draw petals
     for (let i = 0; i < petalCount; i++) {
@@ -770,8 +774,11 @@ function drawGroundFlower(ctx, x, y, size, colors, flowerStyle, flower) {
  * Draws a natural-looking stone at a specific position
  */
 function drawStone(ctx, x, y, size, colors, stoneShape, stone, randomOffset, randomSize) {
+  // Values not pre-calculated are derived from the position so they stay the same every frame
+  const random = createRandom('stone', x, y, size);
+  
   // Use pre-assigned color from the stone element if available, otherwise choose a random gray color
-  const stoneColor = stone && stone.color ? stone.color : `rgb(${100 + Math.floor(Math.random() * 100)}, ${100 + Math.floor(Math.random() * 100)}, ${100 + Math.floor(Math.random() * 100)})`;
+  const stoneColor = stone && stone.color ? stone.color : `rgb(${100 + Math.floor(random() * 100)}, ${100 + Math.floor(random() * 100)}, ${100 + Math.floor(random() * 100)})`;
   
   // Draw the stone
   ctx.save();
@@ -779,15 +786,15 @@ function drawStone(ctx, x, y, size, colors, stoneShape, stone, randomOffset, ran
   
   // Use provided stone shape or choose randomly (0-3 for more variety)
   if (stoneShape === undefined) {
-    stoneShape = Math.floor(Math.random() * 4);
+    stoneShape = Math.floor(random() * 4);
   }
   
   // Use provided random values or generate new ones
   if (randomOffset === undefined) {
-    randomOffset = (Math.random() - 0.5) * size * 0.2;
+    randomOffset = (random() - 0.5) * size * 0.2;
   }
   if (randomSize === undefined) {
-    randomSize = size * (0.8 + Math.random() * 0.4);
+    randomSize = size * (0.8 + random() * 0.4);
   }
   
   // Store these values in the stone object to ensure consistency
@@ -825,7 +832,7 @@ function drawStone(ctx, x, y, size, colors, stoneShape, stone, randomOffset, ran
     // Add a second smaller rock on top for variety - use cached value for consistency
     const hasSecondRock = stone && stone._hasSecondRock !== undefined ? 
                           stone._hasSecondRock : 
-                          Math.random() > 0.5;
+                          random() > 0.5;
     
     // Store this decision
     if (stone && stone._hasSecondRock === undefined) {
@@ -872,7 +879,7 @@ function drawStone(ctx, x, y, size, colors, stoneShape, stone, randomOffset, ran
     // Use cached cluster size or generate a new one
     const clusterSize = stone && stone._clusterSize !== undefined ? 
                         stone._clusterSize : 
-                        3 + Math.floor(Math.random() * 3); // 3-5 small rocks
+                        3 + Math.floor(random() * 3); // 3-5 small rocks
     
     // Store cluster size for consistency
     if (stone && stone._clusterSize === undefined) {
@@ -902,11 +909,11 @@ function drawStone(ctx, x, y, size, colors, stoneShape, stone, randomOffset, ran
       
       // Pre-calculate and store all rock properties
       for (let i = 0; i < clusterSize; i++) {
-        const rockX = randomOffset + (Math.random() - 0.5) * randomSize * 0.8;
-        const rockY = -randomSize * 0.3 * Math.random();
-        const rockSize = randomSize * 0.2 + Math.random() * randomSize * 0.2;
-        const rockAngle = Math.random() * Math.PI;
-        const colorVariation = Math.floor(Math.random() * 20) - 10; // Smaller range
+        const rockX = randomOffset + (random() - 0.5) * randomSize * 0.8;
+        const rockY = -randomSize * 0.3 * random();
+        const rockSize = randomSize * 0.2 + random() * randomSize * 0.2;
+        const rockAngle = random() * Math.PI;
+        const colorVariation = Math.floor(random() * 20) - 10; // Smaller range
         
         let rockColor;
         try {
@@ -951,8 +958,9 @@ function drawStone(ctx, x, y, size, colors, stoneShape, stone, randomOffset, ran
 
 /**
  * Draws a trunk with wood texture
+ * @param {Function} random - Seeded random generator for the bark texture, recreated every frame
  */
-function drawTrunk(ctx, startX, startY, endX, endY, width, color) {
+function drawTrunk(ctx, startX, startY, endX, endY, width, color, random = createRandom('trunk')) {
   // For the trunk, we want a tapered shape that's wider at the bottom
   const trunkLength = Math.sqrt(Math.pow(endX - startX, 2) + Math.pow(endY - startY, 2));
   const angle = Math.atan2(endY - startY, endX - startX);
@@ -996,7 +1004,7 @@ function drawTrunk(ctx, startX, startY, endX, endY, width, color) {
     const lineLength = lineWidth * 0.8;
     
     // Add some randomness to the texture lines
-    const offset = (Math.random() - 0.5) * width * 0.3;
+    const offset = (random() - 0.5) * width * 0.3;
     
     ctx.beginPath();
     ctx.moveTo(x - Math.cos(perpAngle) * lineLength/2 + offset, 
@@ -1009,8 +1017,9 @@ function drawTrunk(ctx, startX, startY, endX, endY, width, color) {
 
 /**
  * Draws a branch with natural curve
+ * @param {Function} random - Seeded random generator for the curve, recreated every frame
  */
-function drawBranch(ctx, startX, startY, endX, endY, width, color) {
+function drawBranch(ctx, startX, startY, endX, endY, width, color, random = createRandom('branch')) {
   // Create gradient for branch
   const gradient = ctx.createLinearGradient(startX, startY, endX, endY);
   gradient.addColorStop(0, color);
@@ -1032,8 +1041,8 @@ function drawBranch(ctx, startX, startY, endX, endY, width, color) {
   let controlY = startY + dy * 0.5 - width; // Curve upward
   
   // Add some randomness
-  controlX += (Math.random() - 0.5) * width * 0.5;
-  controlY += (Math.random() - 0.5) * width * 0.5;
+  controlX += (random() - 0.5) * width * 0.5;
+  controlY += (random() - 0.5) * width * 0.5;
   
   // Draw branch with curve
   ctx.beginPath();
@@ -1133,21 +1142,65 @@ function shadeColor(color, amt) {
 }
 
 /**
- * Changes the season for the fractal garden
- * @param {string} season - Season to change to (spring, summer, fall, winter)
+ * Gets the area covered by the branches, their leaves and flowers, and the
+ * ground below the trunk
+ * @param {Object} state - The current state
+ * @param {Object} surface - Logical size of the canvas
+ * @returns {Object|null} Bounds in world coordinates
  */
-function changeSeason(season) {
-  if (!["spring", "summer", "fall", "winter"].includes(season)) {
-    season = "spring";
+function getFractalBounds(state, surface) {
+  if (!state.branches) return null;
+  const originX = surface.width / 2;
+  const originY = surface.height - 50;
+  
+  // Branches start where their parent ends (see redrawFractalSpecific)
+  const ends = new Map();
+  function getEnd(branch) {
+    if (!ends.has(branch)) {
+      const start = branch.parent ? getEnd(branch.parent) : { x: branch.startX, y: branch.startY };
+      ends.set(branch, {
+        x: start.x + Math.cos(branch.angle) * branch.length,
+        y: start.y + Math.sin(branch.angle) * branch.length
+      });
+    }
+    return ends.get(branch);
   }
   
-  updateState('fractal', { season });
+  const points = state.branches.map(branch => {
+    const end = getEnd(branch);
+    return { x: originX + end.x, y: originY + end.y };
+  });
+  points.push({ x: originX, y: originY });
+  return getPointBounds(points, 30);
+}
+
+/**
+ * Spreads the forest and its ground over a resized canvas. Trunks keep their
+ * branches, which start where their parent ends, so only the trunks move.
+ * @param {Object} state - The current state
+ * @param {Object} surface - New logical size of the canvas
+ * @param {Object} previousSize - Logical size the forest was laid out for
+ * @returns {Object|null} State changes
+ */
+function relayoutFractal(state, surface, previousSize) {
+  if (!state.branches) return null;
+  
+  // Trunks are spaced like in renderFractalSpecific
+  const trunks = state.branches.filter(branch => branch.isTrunk);
+  const spacingFor = width => Math.max(300, width * 0.8 / Math.max(1, trunks.length));
+  const spacingScale = spacingFor(surface.width) / spacingFor(previousSize.width);
+  trunks.forEach(trunk => {
+    trunk.startX *= spacingScale;
+  });
   
-  // Get the visualizer and trigger a redraw
-  const visualizer = getVisualizer('fractal');
-  if (visualizer) {
-    visualizer.redraw();
-  }
+  // Ground elements are spread over half the canvas width
+  const widthScale = surface.width / previousSize.width;
+  return {
+    centerX: surface.width / 2,
+    centerY: surface.height,
+    groundElementsPositions: state.groundElementsPositions &&
+      state.groundElementsPositions.map(position => ({ ...position, x: position.x * widthScale }))
+  };
 }
 
 // Register the fractal visualizer with the system
@@ -1156,6 +1209,8 @@ registerVisualizer('fractal', {
   icon: '🌸', // Updated icon to Cherry Blossom
   renderFunction: renderFractalSpecific,
   redrawFunction: redrawFractalSpecific,
+  getBounds: getFractalBounds,
+  relayout: relayoutFractal,
   stateTemplate: {
     branches: null,
     colors: null,
@@ -1165,8 +1220,7 @@ registerVisualizer('fractal', {
     season: "spring",
     groundElements: null,
     groundElementsPositions: null,
-    totalBranches: 0,
-    animationId: null
+    totalBranches: 0
   },
   animationConfig: {
     duration: 3000,
@@ -1175,7 +1229,7 @@ registerVisualizer('fractal', {
 });
 
 // Export the specific functions for potential reuse and backward compatibility
-export { renderFractalSpecific, redrawFractalSpecific, changeSeason };
+export { renderFractalSpecific, redrawFractalSpecific };
 
 // For backward compatibility
 export function renderFractal(word) {
@@ -3,9 +3,8 @@
  * Displays phonetic components with a futuristic, geometric aesthetic.
  */
 
-import { getCanvasTransform } from '../utils.js';
 import { getState, updateState } from '../state.js';
-import { registerVisualizer, getVisualizer } from '../visualizer-base.js';
+import { registerVisualizer, FRAME_DURATION } from '../visualizer-base.js';
 
 // --- Configuration for the futuristic visualizer ---
 const CONFIG = {
@@ -32,10 +31,11 @@ const CONFIG = {
  * @param {HTMLCanvasElement} canvas - The canvas element.
  * @param {CanvasRenderingContext2D} ctx - The canvas context.
  * @param {Array} layers - The phonetic layers.
+ * @param {Object} options - Render options, including the scheduler's animate function.
  */
-function renderFuturisticSpecific(word, canvas, ctx, layers) {
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
+function renderFuturisticSpecific(word, canvas, ctx, layers, options = {}) {
+    const centerX = options.surface.width / 2;
+    const centerY = options.surface.height / 2;
 
     // Initial state for the visualizer
     updateState('futuristic', {
@@ -45,11 +45,10 @@ function renderFuturisticSpecific(word, canvas, ctx, layers) {
         centerY: centerY,
         pulseOffset: 0,
         rotation: 0,
-        animationId: null,
     });
 
-    // Start the animation loop
-    animateFuturistic();
+    // Pulse and rotate continuously along the playback position
+    options.animate(updateFuturistic);
 }
 
 /**
@@ -57,27 +56,24 @@ function renderFuturisticSpecific(word, canvas, ctx, layers) {
  * @param {Object} state - The current state of the visualizer.
  * @param {HTMLCanvasElement} canvas - The canvas element.
  * @param {CanvasRenderingContext2D} ctx - The canvas context.
+ * @param {Object} surface - Logical size (CSS pixels), pixel ratio and camera of the canvas.
  */
-function redrawFuturisticSpecific(state, canvas, ctx) {
-    if (canvas.width === 0 || canvas.height === 0) {
+function redrawFuturisticSpecific(state, canvas, ctx, surface) {
+    if (surface.width === 0 || surface.height === 0) {
         console.error("Futuristic: Canvas has zero dimensions, cannot render.");
         return;
     }
 
-    const transform = getCanvasTransform('futuristic-canvas'); // Use visualizer name for transform
-    const scale = transform.scale || 1;
-    const offsetX = transform.offsetX || 0;
-    const offsetY = transform.offsetY || 0;
-
-    // Clear canvas with background color
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.fillStyle = CONFIG.backgroundColor;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Clear canvas with background color (left out of transparent exports)
+    ctx.clearRect(0, 0, surface.width, surface.height);
+    if (!surface.transparent) {
+        ctx.fillStyle = CONFIG.backgroundColor;
+        ctx.fillRect(0, 0, surface.width, surface.height);
+    }
 
-    // Apply zoom/pan transform
+    // Apply the camera's zoom/pan
     ctx.save();
-    ctx.translate(offsetX * scale, offsetY * scale); // Pan first
-    ctx.scale(scale, scale);                         // Then scale
+    surface.camera.apply(ctx);
 
     const { layers, centerX, centerY, pulseOffset, rotation } = state;
 
@@ -136,37 +132,51 @@ function redrawFuturisticSpecific(state, canvas, ctx) {
 }
 
 /**
- * Animation loop for the futuristic visualizer.
+ * Update callback for the futuristic visualizer; the base redraws after it.
+ * Speeds in CONFIG are per frame at 60 frames per second.
+ * @param {number} dt - Milliseconds since the last update.
+ * @param {number} elapsed - Playback position in milliseconds.
  */
-function animateFuturistic() {
+function updateFuturistic(dt, elapsed) {
     const state = getState('futuristic');
-    if (!state) return; // Stop if state is cleared
+    if (!state) return false; // Stop if state is cleared
 
-    const newPulseOffset = Math.sin(state.frame * CONFIG.pulseSpeed) * CONFIG.maxPulseOffset;
-    const newRotation = state.rotation + CONFIG.rotationSpeed;
+    const frame = elapsed / FRAME_DURATION;
 
     updateState('futuristic', {
-        frame: state.frame + 1,
-        pulseOffset: newPulseOffset,
-        rotation: newRotation,
+        frame,
+        pulseOffset: Math.sin(frame * CONFIG.pulseSpeed) * CONFIG.maxPulseOffset,
+        rotation: frame * CONFIG.rotationSpeed,
     });
+}
 
-    // Get the canvas and context (assuming they are accessible or passed if needed)
-    // For dynamic canvas, visualizer-base should handle providing these.
-    // We rely on the redraw function being called by the base system after state update.
-    const visualizer = getVisualizer('futuristic'); // visualizer-base.js function
-    if (visualizer) {
-         // The base visualizer's redraw will call our redrawFuturisticSpecific
-        visualizer.redraw();
-    }
-
+/**
+ * Gets the area covered by the outermost shape at its largest pulse, plus its glow.
+ * @param {Object} state - The current state of the visualizer.
+ * @returns {Object|null} Bounds in world coordinates.
+ */
+function getFuturisticBounds(state) {
+    if (!state.layers || !state.layers.length) return null;
+    const radius = CONFIG.shapeRadius + (state.layers.length - 1) * CONFIG.radiusIncrement + CONFIG.maxPulseOffset + 15;
+    return {
+        minX: state.centerX - radius,
+        minY: state.centerY - radius,
+        maxX: state.centerX + radius,
+        maxY: state.centerY + radius
+    };
+}
 
-    // Continue animation
-    // The base system might handle the requestAnimationFrame loop if integrated that way.
-    // For now, let's assume this visualizer manages its own loop if not stopped.
-    // The animationId should be stored to allow cancellation.
-    const animationId = requestAnimationFrame(animateFuturistic);
-    updateState('futuristic', { animationId });
+/**
+ * Keeps the glyphs centered on a resized canvas.
+ * @param {Object} state - The current state of the visualizer.
+ * @param {Object} surface - New logical size of the canvas.
+ * @returns {Object} State changes.
+ */
+function relayoutFuturistic(state, surface) {
+    return {
+        centerX: surface.width / 2,
+        centerY: surface.height / 2
+    };
 }
 
 // Register the visualizer with the system
@@ -176,6 +186,8 @@ registerVisualizer('futuristic', {
     // canvasId and containerId will be auto-generated if omitted
     renderFunction: renderFuturisticSpecific,
     redrawFunction: redrawFuturisticSpecific,
+    getBounds: getFuturisticBounds,
+    relayout: relayoutFuturistic,
     stateTemplate: {
         frame: 0,
         layers: [],
@@ -183,7 +195,6 @@ registerVisualizer('futuristic', {
         centerY: 0,
         pulseOffset: 0,
         rotation: 0,
-        animationId: null, // To store the requestAnimationFrame ID for cancellation
     },
     animationConfig: { // Example, might not be used by this specific implementation directly
         duration: 5000, // Total animation duration (example)
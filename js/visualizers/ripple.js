@@ -3,9 +3,8 @@
  * Renders various ripple-style visualizations using Canvas
  */
 
-import { getCanvasTransform } from '../utils.js';
 import { getState, updateState } from '../state.js';
-import { registerVisualizer, getVisualizer } from '../visualizer-base.js';
+import { registerVisualizer, getVisualizer, FRAME_DURATION } from '../visualizer-base.js';
 
 /**
  * Specific render function for ripple1 visualization (Radial Expansion)
@@ -13,11 +12,12 @@ import { registerVisualizer, getVisualizer } from '../visualizer-base.js';
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Array} layers - The phonetic layers
+ * @param {Object} options - Render options, including the scheduler's animate function
  */
-function renderRipple1Specific(word, canvas, ctx, layers) {
-  const centerX = canvas.width / 2;
-  const centerY = canvas.height / 2;
-  const ringSpacing = 60;
+function renderRipple1Specific(word, canvas, ctx, layers, options = {}) {
+  const centerX = options.surface.width / 2;
+  const centerY = options.surface.height / 2;
+  const ringSpacing = getState('ripple1').ringSpacing; // Parameter, 60 by default
   const colors = d3.schemeCategory10;
   
   // Store state for animation and zoom/pan
@@ -30,24 +30,12 @@ function renderRipple1Specific(word, canvas, ctx, layers) {
     frame: 0
   });
   
-  // Start animation
-  function animate() {
-    // Get current state
-    const state = getState('ripple1');
-    
-    // Update frame in state
-    updateState('ripple1', { frame: state.frame + 1 });
-    
-    // Draw using the redraw function
-    redrawRipple1Specific(state, canvas, ctx);
-    
-    if (state.frame < 200) {
-      const animationId = requestAnimationFrame(animate);
-      updateState('ripple1', { animationId });
-    }
-  }
-  
-  animate();
+  // Expand the rings over 200 frames (at 60 frames per second)
+  options.animate((dt, elapsed) => {
+    const frame = Math.min(200, elapsed / FRAME_DURATION);
+    updateState('ripple1', { frame });
+    return frame < 200;
+  }, { duration: 200 * FRAME_DURATION });
 }
 
 /**
@@ -55,31 +43,25 @@ function renderRipple1Specific(word, canvas, ctx, layers) {
  * @param {Object} state - The current state
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} surface - Logical size (CSS pixels), pixel ratio and camera of the canvas
  */
-function redrawRipple1Specific(state, canvas, ctx) {
+function redrawRipple1Specific(state, canvas, ctx, surface) {
   if (!state.layers) return;
   
   // Ensure canvas is properly sized
-  if (canvas.width === 0 || canvas.height === 0) {
+  if (surface.width === 0 || surface.height === 0) {
     console.error("Canvas has zero dimensions, cannot render ripple1");
     return;
   }
   
-  const transform = getCanvasTransform("ripple");
-  const scale = transform.scale || 1;
-  const offsetX = transform.offsetX || 0;
-  const offsetY = transform.offsetY || 0;
-  
-  ctx.setTransform(1, 0, 0, 1, 0, 0);
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.clearRect(0, 0, surface.width, surface.height);
   
   // For ripple1 visualization
-  const adjustedCenterX = canvas.width / 2;
-  const adjustedCenterY = canvas.height / 2;
+  const adjustedCenterX = surface.width / 2;
+  const adjustedCenterY = surface.height / 2;
   
   ctx.save();
-  ctx.translate(offsetX, offsetY);
-  ctx.scale(scale, scale);
+  surface.camera.apply(ctx);
   
   const layers = state.layers;
   const colors = state.colors;
@@ -149,11 +131,12 @@ function redrawRipple1Specific(state, canvas, ctx) {
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Array} layers - The phonetic layers
+ * @param {Object} options - Render options, including the scheduler's animate function
  */
-function renderRipple2Specific(word, canvas, ctx, layers) {
-  const centerX = canvas.width / 2;
-  const centerY = canvas.height / 2;
-  const ringSpacing = 60;
+function renderRipple2Specific(word, canvas, ctx, layers, options = {}) {
+  const centerX = options.surface.width / 2;
+  const centerY = options.surface.height / 2;
+  const ringSpacing = getState('ripple2').ringSpacing; // Parameter, 60 by default
   const colors = ["#ff6b6b", "#4ecdc4", "#ffe66d", "#ff8c00", "#00cec9", "#ff33cc"];
   
   // Store state for animation and zoom/pan
@@ -164,29 +147,16 @@ function renderRipple2Specific(word, canvas, ctx, layers) {
     centerY: centerY,
     ringSpacing: ringSpacing,
     frame: 0,
-    animationStartTime: Date.now()
+    elapsedTime: 0
   });
   
-  // Start animation
-  function animate() {
-    // Get current state
-    const state = getState('ripple2');
-    
-    // Update frame in state
+  // Animate continuously along the playback position
+  options.animate((dt, elapsed) => {
     updateState('ripple2', { 
-      frame: state.frame + 1,
-      elapsedTime: Date.now() - state.animationStartTime
+      frame: elapsed / FRAME_DURATION,
+      elapsedTime: elapsed
     });
-    
-    // Draw using the redraw function
-    redrawRipple2Specific(state, canvas, ctx);
-    
-    // Continue animation
-    const animationId = requestAnimationFrame(animate);
-    updateState('ripple2', { animationId });
-  }
-  
-  animate();
+  });
 }
 
 /**
@@ -194,31 +164,24 @@ function renderRipple2Specific(word, canvas, ctx, layers) {
  * @param {Object} state - The current state
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} surface - Logical size (CSS pixels), pixel ratio and camera of the canvas
  */
-function redrawRipple2Specific(state, canvas, ctx) {
+function redrawRipple2Specific(state, canvas, ctx, surface) {
   if (!state.layers) return;
   
   // Ensure canvas is properly sized
-  if (canvas.width === 0 || canvas.height === 0) {
+  if (surface.width === 0 || surface.height === 0) {
     console.error("Canvas has zero dimensions, cannot render ripple2");
     return;
   }
   
-  const transform = getCanvasTransform("ripple");
-  const scale = transform.scale || 1;
-  const offsetX = transform.offsetX || 0;
-  const offsetY = transform.offsetY || 0;
-  
-  ctx.setTransform(1, 0, 0, 1, 0, 0);
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.clearRect(0, 0, surface.width, surface.height);
   
-  // Apply transform
-  const adjustedCenterX = canvas.width / 2;
-  const adjustedCenterY = canvas.height / 2;
+  const adjustedCenterX = surface.width / 2;
+  const adjustedCenterY = surface.height / 2;
   
   ctx.save();
-  ctx.translate(offsetX, offsetY);
-  ctx.scale(scale, scale);
+  surface.camera.apply(ctx);
   
   const layers = state.layers;
   const colors = state.colors;
@@ -311,11 +274,12 @@ function redrawRipple2Specific(state, canvas, ctx) {
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Array} layers - The phonetic layers
+ * @param {Object} options - Render options, including the scheduler's animate function
  */
-function renderRipple3Specific(word, canvas, ctx, layers) {
-  const centerX = canvas.width / 2;
-  const centerY = canvas.height / 2;
-  const ringSpacing = 60;
+function renderRipple3Specific(word, canvas, ctx, layers, options = {}) {
+  const centerX = options.surface.width / 2;
+  const centerY = options.surface.height / 2;
+  const ringSpacing = getState('ripple3').ringSpacing; // Parameter, 60 by default
   const colors = ["#ff6b6b", "#4ecdc4", "#ffe66d", "#ff8c00", "#00cec9", "#ff33cc"];
   
   // Store state for animation and zoom/pan
@@ -326,29 +290,16 @@ function renderRipple3Specific(word, canvas, ctx, layers) {
     centerY: centerY,
     ringSpacing: ringSpacing,
     frame: 0,
-    animationStartTime: Date.now()
+    elapsedTime: 0
   });
   
-  // Start animation
-  function animate() {
-    // Get current state
-    const state = getState('ripple3');
-    
-    // Update frame in state
+  // Animate continuously along the playback position
+  options.animate((dt, elapsed) => {
     updateState('ripple3', { 
-      frame: state.frame + 1,
-      elapsedTime: Date.now() - state.animationStartTime
+      frame: elapsed / FRAME_DURATION,
+      elapsedTime: elapsed
     });
-    
-    // Draw using the redraw function
-    redrawRipple3Specific(state, canvas, ctx);
-    
-    // Continue animation
-    const animationId = requestAnimationFrame(animate);
-    updateState('ripple3', { animationId });
-  }
-  
-  animate();
+  });
 }
 
 /**
@@ -356,31 +307,24 @@ function renderRipple3Specific(word, canvas, ctx, layers) {
  * @param {Object} state - The current state
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} surface - Logical size (CSS pixels), pixel ratio and camera of the canvas
  */
-function redrawRipple3Specific(state, canvas, ctx) {
+function redrawRipple3Specific(state, canvas, ctx, surface) {
   if (!state.layers) return;
   
   // Ensure canvas is properly sized
-  if (canvas.width === 0 || canvas.height === 0) {
+  if (surface.width === 0 || surface.height === 0) {
     console.error("Canvas has zero dimensions, cannot render ripple3");
     return;
   }
   
-  const transform = getCanvasTransform("ripple");
-  const scale = transform.scale || 1;
-  const offsetX = transform.offsetX || 0;
-  const offsetY = transform.offsetY || 0;
+  ctx.clearRect(0, 0, surface.width, surface.height);
   
-  ctx.setTransform(1, 0, 0, 1, 0, 0);
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  
-  // Apply transform
-  const adjustedCenterX = canvas.width / 2;
-  const adjustedCenterY = canvas.height / 2;
+  const adjustedCenterX = surface.width / 2;
+  const adjustedCenterY = surface.height / 2;
   
   ctx.save();
-  ctx.translate(offsetX, offsetY);
-  ctx.scale(scale, scale);
+  surface.camera.apply(ctx);
   
   const layers = state.layers;
   const colors = state.colors;
@@ -514,6 +458,23 @@ function redrawRipple3Specific(state, canvas, ctx) {
   ctx.restore();
 }
 
+/**
+ * Gets the area covered by the rings, including the breathing and waves of
+ * Concentric Waves and room for the characters
+ * @param {Object} state - The current state
+ * @param {Object} surface - Logical size of the canvas
+ * @param {number} [swell=1.15] - Largest factor the rings grow by (1.3 for the Animated Pulse)
+ * @returns {Object|null} Bounds in world coordinates
+ */
+function getRippleBounds(state, surface, swell = 1.15) {
+  if (!state.layers || !state.layers.length) return null;
+  const depth = state.layers.length;
+  const radius = state.ringSpacing * depth * swell + 5 + depth * 3 + 24;
+  const centerX = surface.width / 2;
+  const centerY = surface.height / 2;
+  return { minX: centerX - radius, minY: centerY - radius, maxX: centerX + radius, maxY: centerY + radius };
+}
+
 // Register the ripple visualizers with the system
 registerVisualizer('ripple1', {
   displayName: 'Radial Expansion',
@@ -522,14 +483,15 @@ registerVisualizer('ripple1', {
   containerId: 'rippleContainer',
   renderFunction: renderRipple1Specific,
   redrawFunction: redrawRipple1Specific,
+  getBounds: getRippleBounds,
+  parameters: ['ringSpacing'],
   stateTemplate: {
     layers: null,
     frame: 0,
     colors: null,
     centerX: 0,
     centerY: 0,
-    ringSpacing: 60,
-    animationId: null
+    ringSpacing: 60
   },
   animationConfig: {
     duration: 3330,
@@ -544,6 +506,32 @@ registerVisualizer('ripple2', {
   containerId: 'rippleContainer',
   renderFunction: renderRipple2Specific,
   redrawFunction: redrawRipple2Specific,
+  getBounds: getRippleBounds,
+  parameters: ['ringSpacing'],
+  stateTemplate: {
+    layers: null,
+    frame: 0,
+    colors: null,
+    centerX: 0,
+    centerY: 0,
+    ringSpacing: 60,
+    elapsedTime: 0
+  },
+  animationConfig: {
+    duration: 5000,
+    layerDepth: 3
+  }
+});
+
+registerVisualizer('ripple3', {
+  displayName: 'Animated Pulse',
+  icon: '💓',
+  canvasId: 'ripple',
+  containerId: 'rippleContainer',
+  renderFunction: renderRipple3Specific,
+  redrawFunction: redrawRipple3Specific,
+  getBounds: (state, surface) => getRippleBounds(state, surface, 1.3),
+  parameters: ['ringSpacing'],
   stateTemplate: {
     layers: null,
     frame: 0,
@@ -551,9 +539,7 @@ registerVisualizer('ripple2', {
     centerX: 0,
     centerY: 0,
     ringSpacing: 60,
-    animationStartTime: 0,
-    elapsedTime: 0,
-    animationId: null
+    elapsedTime: 0
   },
   animationConfig: {
     duration: 5000,
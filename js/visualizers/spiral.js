@@ -3,16 +3,17 @@
  * Renders a spiral path visualization using Canvas
  */
 
-import { getCanvasTransform } from '../utils.js';
-import { getState, updateState } from '../state.js';
-import { registerVisualizer, getVisualizer } from '../visualizer-base.js';
+import { getPointBounds } from '../camera.js';
+import { updateState } from '../state.js';
+import { registerVisualizer, getVisualizer, FRAME_DURATION } from '../visualizer-base.js';
 
 /**
  * Generates points for the spiral visualization
  * @param {Array} layers - Array of phonetic layers
- * @returns {Array} Array of points with x, y, char, and level properties
+ * @param {number} centerX - Horizontal offset of the spiral's center from the canvas center
+ * @returns {Array} Array of points with x, y, char, level and order (position along the spiral) properties
  */
-function generateSpiralPoints(layers) {
+function generateSpiralPoints(layers, centerX = 0) {
   // Calculate total characters for spacing
   const totalChars = layers.reduce((sum, layer) => sum + layer.length, 0);
   
@@ -38,10 +39,11 @@ function generateSpiralPoints(layers) {
       
       // Create the point
       const point = {
-        x: Math.cos(angle) * radius,
+        x: centerX + Math.cos(angle) * radius,
         y: Math.sin(angle) * radius,
         char,
-        level: depth
+        level: depth,
+        order: index
       };
       
       // Add to all points array
@@ -58,13 +60,20 @@ function generateSpiralPoints(layers) {
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Array} layers - The phonetic layers
+ * @param {Object} options - Render options, including the words of a sentence and the scheduler's animate function
  */
-function renderSpiralSpecific(word, canvas, ctx, layers) {
-  // Calculate total number of points for animation duration
-  const totalPoints = layers.reduce((sum, layer) => sum + layer.length, 0);
-  
-  // Generate spiral points
-  const spiralPoints = generateSpiralPoints(layers);
+function renderSpiralSpecific(word, canvas, ctx, layers, options = {}) {
+  // One spiral per word, side by side; all spirals unwind at the same time
+  const words = options.words || [{ word, layers }];
+  const pointCounts = words.map(entry => entry.layers.reduce((sum, layer) => sum + layer.length, 0));
+  
+  // Space the spirals by the outer radius of the largest one
+  const outerRadius = 40 + 2.5 * Math.max(...pointCounts);
+  const spacing = outerRadius * 2 + 40;
+  const spiralPoints = words.flatMap((entry, i) =>
+    generateSpiralPoints(entry.layers, (i - (words.length - 1) / 2) * spacing)
+  );
+  const totalFrames = Math.max(...pointCounts);
   
   // Define colors for different layers
   const colors = ["#ff6b6b", "#4ecdc4", "#ffe66d", "#ff8c00", "#00cec9", "#ff33cc"];
@@ -76,24 +85,12 @@ function renderSpiralSpecific(word, canvas, ctx, layers) {
     frame: 0
   });
   
-  // Start animation
-  function animate() {
-    // Get current state
-    const state = getState('spiral');
-    
-    // Update frame in state
-    updateState('spiral', { frame: state.frame + 1 });
-    
-    // Draw using the redraw function
-    redrawSpiralSpecific(state, canvas, ctx);
-    
-    if (state.frame < spiralPoints.length) {
-      const animationId = requestAnimationFrame(animate);
-      updateState('spiral', { animationId });
-    }
-  }
-  
-  animate();
+  // Reveal one point per frame (at 60 frames per second) until every point is shown
+  options.animate((dt, elapsed) => {
+    const frame = Math.min(totalFrames, elapsed / FRAME_DURATION);
+    updateState('spiral', { frame });
+    return frame < totalFrames;
+  }, { duration: totalFrames * FRAME_DURATION });
 }
 
 /**
@@ -101,36 +98,32 @@ function renderSpiralSpecific(word, canvas, ctx, layers) {
  * @param {Object} state - The current state
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} surface - Logical size (CSS pixels), pixel ratio and camera of the canvas
  */
-function redrawSpiralSpecific(state, canvas, ctx) {
+function redrawSpiralSpecific(state, canvas, ctx, surface) {
   if (!state.points) return;
   
   // Ensure canvas is properly sized
-  if (canvas.width === 0 || canvas.height === 0) {
+  if (surface.width === 0 || surface.height === 0) {
     console.error("Canvas has zero dimensions, cannot render spiral");
     return;
   }
   
-  const transform = getCanvasTransform("spiral");
-  const scale = transform.scale || 1;
-  const offsetX = transform.offsetX || 0;
-  const offsetY = transform.offsetY || 0;
+  ctx.clearRect(0, 0, surface.width, surface.height);
   
-  ctx.setTransform(1, 0, 0, 1, 0, 0);
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  
-  const cx = canvas.width / 2 + offsetX;
-  const cy = canvas.height / 2 + offsetY;
+  const cx = surface.width / 2;
+  const cy = surface.height / 2;
   
   ctx.save();
-  ctx.scale(scale, scale);
+  surface.camera.apply(ctx);
   
   const points = state.points;
   const colors = state.colors;
   const frame = state.frame;
   
-  for (let i = 0; i <= frame && i < points.length; i++) {
+  for (let i = 0; i < points.length; i++) {
     const p = points[i];
+    if (p.order > frame) continue;
     if (!p.char || typeof p.char !== 'string') continue;
     ctx.fillStyle = colors[p.level % colors.length];
     ctx.font = "20px monospace";
@@ -140,6 +133,19 @@ function redrawSpiralSpecific(state, canvas, ctx) {
   ctx.restore();
 }
 
+/**
+ * Gets the area covered by the spiral's characters
+ * @param {Object} state - The current state
+ * @param {Object} surface - Logical size of the canvas
+ * @returns {Object|null} Bounds in world coordinates
+ */
+function getSpiralBounds(state, surface) {
+  if (!state.points) return null;
+  const cx = surface.width / 2;
+  const cy = surface.height / 2;
+  return getPointBounds(state.points.map(p => ({ x: cx + p.x, y: cy + p.y })), 20);
+}
+
 // Register the spiral visualizer with the system
 registerVisualizer('spiral', {
   displayName: 'Spiral Path',
@@ -148,11 +154,11 @@ registerVisualizer('spiral', {
   containerId: 'spiralContainer',
   renderFunction: renderSpiralSpecific,
   redrawFunction: redrawSpiralSpecific,
+  getBounds: getSpiralBounds,
   stateTemplate: {
     points: null,
     frame: 0,
-    colors: null,
-    animationId: null
+    colors: null
   },
   animationConfig: {
     duration: 3000,
@@ -3,10 +3,11 @@
  * Renders a recursive tree visualization using Canvas
  */
 
-import { phoneticMap } from '../utils.js';
-import { getState, updateState, cancelAnimation } from '../state.js';
+import { lookupLetterName, getAlphabet, DEFAULT_ALPHABET } from '../alphabets.js';
+import { groupChildrenByParent, getLayerSeparator } from '../utils.js';
+import { getState, updateState } from '../state.js';
 import { registerVisualizer, getVisualizer } from '../visualizer-base.js';
-import { getCanvasTransform } from '../utils.js';
+import { getPointBounds } from '../camera.js';
 
 /**
  * Specific render function for tree visualization
@@ -14,15 +15,13 @@ import { getCanvasTransform } from '../utils.js';
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Array} layers - The phonetic layers
+ * @param {Object} options - Render options, including the layer lineage, the words of a sentence and the scheduler's animate function
  */
-function renderTreeSpecific(word, canvas, ctx, layers) {
+function renderTreeSpecific(word, canvas, ctx, layers, options = {}) {
   if (!word) return;
   
-  const width = canvas.width;
-  const height = canvas.height;
-  
-  // Build tree data structure
-  const treeData = buildTreeData(word);
+  const width = options.surface.width;
+  const height = options.surface.height;
   
   // Calculate tree layout
   const nodes = [];
@@ -31,10 +30,25 @@ function renderTreeSpecific(word, canvas, ctx, layers) {
   // Layout parameters
   const horizontalSpacing = width * 0.8; // Total horizontal space for the tree
   const leftMargin = width * 0.1; // Left margin (10% of width)
-  const maxDepth = 3; // Maximum depth of the tree
+  const maxDepth = Math.max(1, options.lineage.length - 1); // Depth of the tree (number of expanded layers)
   
-  // Calculate positions for each node
-  layoutTree(treeData, nodes, links, leftMargin, horizontalSpacing, height, maxDepth);
+  // One tree per word, stacked top to bottom, each given a band of the
+  // canvas height in proportion to its number of leaves
+  const words = options.words || [{ word, lineage: options.lineage }];
+  const leafCounts = words.map(entry => Math.max(1, (entry.lineage[maxDepth - 1] || []).length));
+  const totalLeaves = leafCounts.reduce((sum, count) => sum + count, 0);
+  let bandTop = 0;
+  
+  words.forEach((entry, i) => {
+    const bandHeight = height * leafCounts[i] / totalLeaves;
+    
+    // Build tree data structure
+    const treeData = buildTreeData(entry.word, entry.lineage, options);
+    
+    // Calculate positions for each node
+    layoutTree(treeData, nodes, links, leftMargin, horizontalSpacing, bandHeight, maxDepth, bandTop);
+    bandTop += bandHeight;
+  });
   
   // Store state for animation and redraw
   updateState('tree', {
@@ -43,20 +57,25 @@ function renderTreeSpecific(word, canvas, ctx, layers) {
     links,
     width,
     height,
-    animationStartTime: Date.now(),
     animationProgress: 0,
     linkAnimations: links.map(() => ({ progress: 0 })),
     nodeAnimations: nodes.map(() => ({ opacity: 0 }))
   });
   
-  // Cancel any existing animation
-  cancelAnimation('tree');
+  // 50ms between links and nodes, shortened for deep trees so they still grow in a few seconds
+  const stagger = Math.min(50, 4000 / Math.max(1, links.length));
+  
+  // 2 seconds for the overall progress, longer if the last node is still fading in
+  const animationDuration = 2000;
+  const totalDuration = Math.max(
+    animationDuration,
+    Math.max(0, links.length - 1) * stagger + 500,
+    Math.max(0, nodes.length - 1) * stagger + 200 + 300
+  );
   
-  // Start animation
-  function animate() {
+  // Grow the links and fade in the nodes along the playback position
+  options.animate((dt, elapsedTime) => {
     const state = getState('tree');
-    const elapsedTime = Date.now() - state.animationStartTime;
-    const animationDuration = 2000; // 2 seconds for the entire animation
     
     // Calculate overall animation progress
     const progress = Math.min(1, elapsedTime / animationDuration);
@@ -64,7 +83,7 @@ function renderTreeSpecific(word, canvas, ctx, layers) {
     // Update link animations
     const linkAnimations = state.linkAnimations.map((anim, i) => {
       // Stagger the link animations
-      const linkDelay = i * 50; // 50ms delay between each link
+      const linkDelay = i * stagger; // Delay between each link
       const linkProgress = Math.max(0, Math.min(1, (elapsedTime - linkDelay) / 500)); // 500ms per link
       return { progress: linkProgress };
     });
@@ -72,7 +91,7 @@ function renderTreeSpecific(word, canvas, ctx, layers) {
     // Update node animations
     const nodeAnimations = state.nodeAnimations.map((anim, i) => {
       // Stagger the node animations
-      const nodeDelay = i * 50 + 200; // 50ms delay between each node, starting 200ms after links
+      const nodeDelay = i * stagger + 200; // Delay between each node, starting 200ms after links
       const nodeOpacity = Math.max(0, Math.min(1, (elapsedTime - nodeDelay) / 300)); // 300ms per node
       return { opacity: nodeOpacity };
     });
@@ -84,18 +103,9 @@ function renderTreeSpecific(word, canvas, ctx, layers) {
       nodeAnimations
     });
     
-    // Redraw
-    redrawTreeSpecific(getState('tree'), canvas, ctx);
-    
-    // Continue animation if not complete
-    if (progress < 1 || linkAnimations.some(anim => anim.progress < 1) || nodeAnimations.some(anim => anim.opacity < 1)) {
-      const animationId = requestAnimationFrame(animate);
-      updateState('tree', { animationId });
-    }
-  }
-  
-  // Start animation
-  animate();
+    // Continue animation until every link and node is complete
+    return progress < 1 || linkAnimations.some(anim => anim.progress < 1) || nodeAnimations.some(anim => anim.opacity < 1);
+  }, { duration: totalDuration });
 }
 
 /**
@@ -103,34 +113,29 @@ function renderTreeSpecific(word, canvas, ctx, layers) {
  * @param {Object} state - The current state
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} surface - Logical size (CSS pixels), pixel ratio and camera of the canvas
  */
-function redrawTreeSpecific(state, canvas, ctx) {
+function redrawTreeSpecific(state, canvas, ctx, surface) {
   if (!state || !state.nodes || !state.links) return;
   
   // Ensure canvas is properly sized
-  if (canvas.width === 0 || canvas.height === 0) {
+  if (surface.width === 0 || surface.height === 0) {
     console.error("Canvas has zero dimensions, cannot render tree");
     return;
   }
   
-  // Get transform for zoom/pan
-  const transform = getCanvasTransform(canvas.id);
-  const scale = transform.scale || 1;
-  const offsetX = transform.offsetX || 0;
-  const offsetY = transform.offsetY || 0;
-  
-  // Clear canvas with transform reset
-  ctx.setTransform(1, 0, 0, 1, 0, 0);
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  // Clear canvas (the base hands over the context scaled to CSS pixels)
+  ctx.clearRect(0, 0, surface.width, surface.height);
   
-  // Draw background
-  ctx.fillStyle = "#1a1a2e"; // Dark blue background similar to the original
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  // Draw background (left out of transparent exports)
+  if (!surface.transparent) {
+    ctx.fillStyle = "#1a1a2e"; // Dark blue background similar to the original
+    ctx.fillRect(0, 0, surface.width, surface.height);
+  }
   
-  // Apply transform for zoom/pan
+  // Apply the camera's zoom/pan
   ctx.save();
-  ctx.translate(offsetX, offsetY);
-  ctx.scale(scale, scale);
+  surface.camera.apply(ctx);
   
   // Draw links
   state.links.forEach((link, i) => {
@@ -214,23 +219,37 @@ function redrawTreeSpecific(state, canvas, ctx) {
 }
 
 /**
- * Builds a hierarchical tree data structure from a word
+ * Builds a hierarchical tree data structure from a word.
+ * Each node below the root stands for a character of a layer and is named
+ * after the characters it was spelled out into in the next layer.
  * @param {string} word - The word to build a tree from
+ * @param {Array} lineage - Lineage of the word's phonetic layers
+ * @param {Object} options - Expansion options, used to separate multi-letter characters in node names
  * @returns {Object} Tree data structure
  */
-function buildTreeData(word) {
-  function recurse(word, level = 0, maxDepth = 3) {
-    if (level >= maxDepth) return { name: word };
+function buildTreeData(word, lineage, options = {}) {
+  const maxDepth = lineage.length - 1;
+  if (maxDepth < 1) return { name: word };
+  
+  const childrenByLayer = lineage.map((layer, layerIndex) =>
+    layerIndex > 0 ? groupChildrenByParent(lineage, layerIndex) : null
+  );
+  
+  function recurse(layerIndex, charIndex) {
+    const childIndices = childrenByLayer[layerIndex + 1][charIndex];
+    const name = childIndices.map(i => lineage[layerIndex + 1][i].char).join(getLayerSeparator(options, layerIndex + 1));
+    if (layerIndex + 1 >= maxDepth) return { name };
     
     return {
-      name: word,
-      children: word.split('').map(char => 
-        recurse(phoneticMap[char.toLowerCase()] || char, level + 1, maxDepth)
-      )
+      name,
+      children: childIndices.map(childIndex => recurse(layerIndex + 1, childIndex))
     };
   }
   
-  return recurse(word);
+  return {
+    name: word,
+    children: lineage[0].map((node, charIndex) => recurse(0, charIndex))
+  };
 }
 
 /**
@@ -240,10 +259,11 @@ function buildTreeData(word) {
  * @param {Array} links - Array to store all links
  * @param {number} leftMargin - Left margin for the tree
  * @param {number} horizontalSpacing - Total horizontal space for the tree
- * @param {number} height - Height of the canvas
+ * @param {number} height - Height available to the tree
  * @param {number} maxDepth - Maximum depth of the tree
+ * @param {number} top - Top edge of the area available to the tree
  */
-function layoutTree(rootNode, nodes, links, leftMargin, horizontalSpacing, height, maxDepth) {
+function layoutTree(rootNode, nodes, links, leftMargin, horizontalSpacing, height, maxDepth, top = 0) {
   // Create a more structured tree representation with proper parent-child tracking
   const processedTree = processTree(rootNode, maxDepth);
   
@@ -276,7 +296,7 @@ function layoutTree(rootNode, nodes, links, leftMargin, horizontalSpacing, heigh
   
   // Second pass: position leaf nodes evenly
   leafNodes.forEach((node, index) => {
-    node.y = (index + 1) * verticalSpacing;
+    node.y = top + (index + 1) * verticalSpacing;
   });
   
   // Third pass: position internal nodes based on their children
@@ -351,9 +371,11 @@ function processTree(node, maxDepth, depth = 0) {
  * Collects all leaf node text from the tree
  * @param {string} word - The root word
  * @param {number} maxDepth - Maximum depth to traverse
+ * @param {string} alphabet - Name of the alphabet used to spell out each character
  * @returns {string} Concatenated leaf node text
  */
-function collectLeaves(word, maxDepth = 3) {
+function collectLeaves(word, maxDepth = 3, alphabet = DEFAULT_ALPHABET) {
+  const map = getAlphabet(alphabet).map;
   let finalText = "";
   
   function traverse(word, level = 0) {
@@ -362,7 +384,7 @@ function collectLeaves(word, maxDepth = 3) {
       return;
     }
     word.split('').forEach(char => {
-      traverse(phoneticMap[char.toLowerCase()] || char, level + 1);
+      traverse(lookupLetterName(map, char) || char, level + 1);
     });
   }
   
@@ -370,23 +392,66 @@ function collectLeaves(word, maxDepth = 3) {
   return finalText;
 }
 
+/**
+ * Gets the area covered by the tree's nodes and their names
+ * @param {Object} state - The current state
+ * @returns {Object|null} Bounds in world coordinates
+ */
+function getTreeBounds(state) {
+  if (!state.nodes) return null;
+  // Names are drawn in 14px monospace, about 8.4px per character, left of
+  // nodes with children and right of the leaves
+  const textPoints = state.nodes.map(node => ({
+    x: node.x + (node.children ? -1 : 1) * (8 + String(node.name).length * 8.4),
+    y: node.y
+  }));
+  return getPointBounds([...state.nodes, ...textPoints], 10);
+}
+
+/**
+ * Moves the tree to a resized canvas. Node positions are proportional to the
+ * canvas size, so they are scaled rather than laid out again.
+ * @param {Object} state - The current state
+ * @param {Object} surface - New logical size of the canvas
+ * @param {Object} previousSize - Logical size the tree was laid out for
+ * @returns {Object|null} State changes
+ */
+function relayoutTree(state, surface, previousSize) {
+  if (!state.nodes || !state.links) return null;
+  const scaleX = surface.width / previousSize.width;
+  const scaleY = surface.height / previousSize.height;
+  const moveTo = point => ({ ...point, x: point.x * scaleX, y: point.y * scaleY });
+  
+  // Links point at their target node objects, so they are rebuilt alongside
+  const movedNodes = new Map(state.nodes.map(node => [node, moveTo(node)]));
+  return {
+    nodes: [...movedNodes.values()],
+    links: state.links.map(link => ({
+      source: moveTo(link.source),
+      target: movedNodes.get(link.target) || moveTo(link.target)
+    })),
+    width: surface.width,
+    height: surface.height
+  };
+}
+
 // Register the tree visualizer with the system
 registerVisualizer('tree', {
   displayName: 'Recursive Tree',
   icon: '🔀', // Reverted to emoji icon
   renderFunction: renderTreeSpecific,
   redrawFunction: redrawTreeSpecific,
+  getBounds: getTreeBounds,
+  relayout: relayoutTree,
   stateTemplate: {
     word: null,
     nodes: null,
     links: null,
     width: 0,
     height: 0,
-    animationStartTime: 0,
     animationProgress: 0,
     linkAnimations: [],
-    nodeAnimations: [],
-    animationId: null
+    nodeAnimations: []
   },
   animationConfig: {
     duration: 3000,
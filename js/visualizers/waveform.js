@@ -5,20 +5,135 @@
  * Adapted to the generic visualizer system.
  */
 
-import { getCanvasTransform } from '../utils.js'; // animateTypewriter, generatePhoneticLayers, getFinalLayerText are handled by visualizer-base
-import { getState, updateState, cancelAnimation } from '../state.js'; // cancelAnimation is for the old system, visualizer-base handles its own
+import { getState, updateState } from '../state.js';
 import { registerVisualizer } from '../visualizer-base.js';
+import { createRandom } from '../random.js';
 
 let localAudioContext = null; // Store AudioContext locally to persist across renders if possible
+let liveGraph = null; // Master gain and analyzer of localAudioContext, kept across renders
+let soundRebuildCount = 0; // Tells the latest rebuild of the dings from earlier ones still rendering
+
+// Rendered dings by character, seed and sound settings, most recently used last
+const dingCache = new Map();
+const MAX_CACHED_DINGS = 256;
+
+// Playback carried from a render replaced while playing to the next one
+let playbackHandoff = null;
+
+// Volume of every sound together, and of a ding of the word's layer (deeper layers are quieter)
+const MASTER_GAIN = 0.3;
+const DING_GAIN = 0.5;
+const LAYER_GAIN_FALLOFF = 0.8;
+
+// Longest sound an audio export renders, in seconds
+const MAX_AUDIO_DURATION = 300;
+
+// Shortest note of a ding in seconds, and the reverb that follows it
+const DING_NOTE_LENGTH = 0.4;
+const REVERB_DURATION = 2.5;
+const MIN_DING_DURATION = 3.0;
+
+// Envelope levels: the peak of the attack, and the level counting as silence
+const PEAK_GAIN = 0.7;
+const SILENT_GAIN = 0.01;
+
+// Shortest attack or decay, so the envelope's ramps stay in order
+const MIN_ENVELOPE_TIME = 0.001;
+
+// Oscillators of the layers, for instruments that take the layer's type
+const LAYER_OSCILLATOR_TYPES = ['sine', 'triangle', 'sine', 'triangle'];
+
+// Scales the letters are moved onto, as semitones above the root
+const SCALES = {
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  pentatonic: [0, 2, 4, 7, 9],
+  wholeTone: [0, 2, 4, 6, 8, 10]
+};
+
+// Instruments: partials mixed additively (frequency ratio, gain, oscillator
+// type, detune in cents; without a type they take the layer's), an optional
+// FM modulator (frequency ratio and modulation index), and the envelope
+// loaded when the instrument is chosen
+const INSTRUMENTS = {
+  ding: {
+    partials: [{ ratio: 1, gain: 1 }],
+    envelope: { attack: 0.01, decay: 0.39, sustain: 0, release: 0 }
+  },
+  bell: {
+    partials: [{ ratio: 1, gain: 1, type: 'sine' }],
+    modulator: { ratio: 3.5, index: 2 },
+    envelope: { attack: 0.005, decay: 1.2, sustain: 0, release: 0.4 }
+  },
+  pluck: {
+    partials: [1, 2, 3, 4, 5, 6].map(harmonic => ({ ratio: harmonic, gain: 1 / harmonic, type: 'sine' })),
+    envelope: { attack: 0.002, decay: 0.3, sustain: 0, release: 0.1 }
+  },
+  pad: {
+    partials: [
+      { ratio: 1, gain: 0.5, type: 'triangle', detune: -8 },
+      { ratio: 1, gain: 0.5, type: 'triangle', detune: 8 },
+      { ratio: 2, gain: 0.2, type: 'sine' }
+    ],
+    envelope: { attack: 0.35, decay: 0.4, sustain: 0.6, release: 1.2 }
+  }
+};
+
+// Envelope parameters and their ranges (seconds, and the sustain level from 0 to 1)
+const ENVELOPE_PARAMETERS = ['attack', 'decay', 'sustain', 'release'];
+const ENVELOPE_RANGES = {
+  attack: [0, 2],
+  decay: [0, 3],
+  sustain: [0, 1],
+  release: [0, 3]
+};
+
+// Root notes from C2 to B5, and octaves between layers
+const ROOT_NOTE_RANGE = [36, 83];
+const OCTAVE_SPREAD_RANGE = [-2, 2];
+
+// Parameters that change the dings, which are rebuilt when they are set
+const SOUND_PARAMETERS = ['scale', 'rootNote', 'octaveSpread', 'instrument', ...ENVELOPE_PARAMETERS];
+
+// Sequencer grid: the word's layer plays whole notes, every deeper layer
+// halves the step, down to sixteenth notes
+const BEATS_PER_BAR = 4;
+const MIN_STEP_BEATS = 0.25;
+const BPM_RANGE = [40, 240];
+const DEFAULT_BPM = 100;
+
+// Full swing delays the off-beat eighth notes by a sixth of a beat (a triplet feel)
+const MAX_SWING_DELAY = 1 / 6;
+
+// Seconds of notes scheduled ahead of the audio clock, and the gap in the
+// audio clock between two updates that counts as a pause of the transport
+const SEQUENCER_LOOKAHEAD = 0.15;
+const SEQUENCER_RESYNC = 0.25;
+
+// Seconds a volume change takes to settle (time constant of the ramp)
+const VOLUME_RAMP_TIME = 0.02;
+
+// Seconds over which a new word's sound replaces the one playing
+const CROSSFADE_TIME = 0.4;
+
+// Metronome clicks: pitch of the bar's first beat and of the others, volume and length
+const CLICK_FREQUENCIES = [1760, 880];
+const CLICK_GAIN = 0.4;
+const CLICK_DURATION = 0.05;
+
+// Parameters of the sequencer mode
+const SEQUENCER_PARAMETERS = ['mode', 'bpm', 'swing', 'loop', 'metronome'];
 
 /**
  * Creates a reverb impulse response for the convolver node
  * @param {AudioContext} audioContext - The audio context to use
  * @param {number} duration - Duration of the impulse response in seconds
  * @param {number} decay - Decay factor (0-1)
+ * @param {Function} random - Seeded random generator for the noise (see random.js)
  * @returns {AudioBuffer} The impulse response buffer
  */
-function createReverbImpulse(audioContext, duration = 3.0, decay = 0.3) {
+function createReverbImpulse(audioContext, duration = 3.0, decay = 0.3, random = createRandom('reverb')) {
   const sampleRate = audioContext.sampleRate;
   const length = sampleRate * duration;
   const impulse = audioContext.createBuffer(2, length, sampleRate);
@@ -26,9 +141,9 @@ function createReverbImpulse(audioContext, duration = 3.0, decay = 0.3) {
   const rightChannel = impulse.getChannelData(1);
 
   for (let i = 0; i < length; i++) {
-    const n = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    const n = (random() * 2 - 1) * Math.pow(1 - i / length, decay);
     leftChannel[i] = n;
-    rightChannel[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    rightChannel[i] = (random() * 2 - 1) * Math.pow(1 - i / length, decay);
   }
   return impulse;
 }
@@ -37,65 +152,464 @@ function createReverbImpulse(audioContext, duration = 3.0, decay = 0.3) {
  * Creates a "ding" sound buffer with spacey reverberation
  * @param {AudioContext} audioContext - The audio context to use
  * @param {number} frequency - Base frequency for the ding sound
- * @param {string} type - Type of oscillator to use ('sine', 'triangle', etc.)
+ * @param {Object} voice - Partials, FM modulator and envelope of the instrument (see getVoice)
+ * @param {Function} random - Seeded random generator for the reverb noise (see random.js)
  * @returns {Promise<AudioBuffer>} A promise that resolves with the created ding sound buffer
  */
-function createDingSound(audioContext, frequency, type = 'sine') {
+function createDingSound(audioContext, frequency, voice, random = createRandom('ding', frequency)) {
   const sampleRate = audioContext.sampleRate;
-  const duration = 3.0;
-  // OfflineAudioContext might not be available in all environments or might have issues.
-  // For simplicity in refactoring, we'll assume it works as in the original.
-  const offlineCtx = new OfflineAudioContext(2, sampleRate * duration, sampleRate);
-
-  const oscillator = offlineCtx.createOscillator();
-  oscillator.type = type;
-  oscillator.frequency.value = frequency;
+  const { envelope } = voice;
+  const noteLength = getNoteLength(envelope);
+  const duration = Math.max(MIN_DING_DURATION, noteLength + envelope.release + REVERB_DURATION);
+  const offlineCtx = new OfflineAudioContext(2, Math.ceil(sampleRate * duration), sampleRate);
 
   const gainNode = offlineCtx.createGain();
   const convolver = offlineCtx.createConvolver();
-  convolver.buffer = createReverbImpulse(offlineCtx, 2.5, 0.4);
+  convolver.buffer = createReverbImpulse(offlineCtx, REVERB_DURATION, 0.4, random);
 
   const dryGain = offlineCtx.createGain();
   dryGain.gain.value = 0.4;
   const wetGain = offlineCtx.createGain();
   wetGain.gain.value = 0.6;
 
+  // Envelope: attack to the peak, decay to the sustain level, hold until the
+  // note ends, then release
   const now = offlineCtx.currentTime;
+  const attackEnd = now + Math.max(MIN_ENVELOPE_TIME, envelope.attack);
+  const decayEnd = attackEnd + Math.max(MIN_ENVELOPE_TIME, envelope.decay);
+  const noteEnd = now + noteLength;
+  const sustainLevel = Math.max(SILENT_GAIN, PEAK_GAIN * envelope.sustain);
+  const stopTime = noteEnd + envelope.release;
   gainNode.gain.setValueAtTime(0, now);
-  gainNode.gain.linearRampToValueAtTime(0.7, now + 0.01);
-  gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.4);
+  gainNode.gain.linearRampToValueAtTime(PEAK_GAIN, attackEnd);
+  gainNode.gain.exponentialRampToValueAtTime(sustainLevel, decayEnd);
+  if (envelope.release > 0) {
+    gainNode.gain.setValueAtTime(sustainLevel, noteEnd);
+    gainNode.gain.exponentialRampToValueAtTime(SILENT_GAIN / 10, stopTime);
+  }
+
+  // Partials are mixed additively; an FM modulator bends all of them
+  let modulatorGain = null;
+  if (voice.modulator) {
+    const modulatorFrequency = frequency * voice.modulator.ratio;
+    const modulator = offlineCtx.createOscillator();
+    modulator.frequency.value = modulatorFrequency;
+    modulatorGain = offlineCtx.createGain();
+    modulatorGain.gain.setValueAtTime(modulatorFrequency * voice.modulator.index, now);
+    modulatorGain.gain.exponentialRampToValueAtTime(modulatorFrequency * voice.modulator.index * 0.05, stopTime);
+    modulator.connect(modulatorGain);
+    modulator.start(now);
+    modulator.stop(stopTime);
+  }
+
+  const totalGain = voice.partials.reduce((sum, partial) => sum + partial.gain, 0);
+  voice.partials.forEach(partial => {
+    const oscillator = offlineCtx.createOscillator();
+    oscillator.type = partial.type;
+    oscillator.frequency.value = frequency * partial.ratio;
+    oscillator.detune.value = partial.detune || 0;
+    if (modulatorGain) modulatorGain.connect(oscillator.frequency);
+
+    const partialGain = offlineCtx.createGain();
+    partialGain.gain.value = partial.gain / totalGain;
+    oscillator.connect(partialGain);
+    partialGain.connect(gainNode);
+    oscillator.start(now);
+    oscillator.stop(stopTime);
+  });
 
-  oscillator.connect(gainNode);
   gainNode.connect(dryGain);
   dryGain.connect(offlineCtx.destination);
   gainNode.connect(convolver);
   convolver.connect(wetGain);
   wetGain.connect(offlineCtx.destination);
 
-  oscillator.start(now);
-  oscillator.stop(now + 0.4);
-
   return offlineCtx.startRendering();
 }
 
 /**
- * Maps a character to a frequency based on its position in the alphabet
+ * Gets the length of a ding's note, from its start to its release
+ * @param {Object} envelope - { attack, decay, sustain, release }
+ * @returns {number} Seconds
+ */
+function getNoteLength(envelope) {
+  return Math.max(DING_NOTE_LENGTH, Math.max(MIN_ENVELOPE_TIME, envelope.attack) + Math.max(MIN_ENVELOPE_TIME, envelope.decay));
+}
+
+/**
+ * Reads the sound parameters of the waveform state, falling back to the
+ * defaults for unknown names and clamping numbers to their ranges
+ * @param {Object} state - The current state for 'waveform'
+ * @returns {Object} { scale, rootNote, octaveSpread, instrument, envelope }; scale is a list of semitones and instrument an entry of INSTRUMENTS
+ */
+function getSoundSettings(state) {
+  const clamp = (value, [min, max]) => Math.max(min, Math.min(max, Number.isFinite(value) ? value : min));
+  const envelope = {};
+  ENVELOPE_PARAMETERS.forEach(key => {
+    envelope[key] = clamp(state[key], ENVELOPE_RANGES[key]);
+  });
+  return {
+    scale: SCALES[state.scale] || SCALES.chromatic,
+    rootNote: Math.round(clamp(state.rootNote, ROOT_NOTE_RANGE)),
+    octaveSpread: Math.round(clamp(state.octaveSpread, OCTAVE_SPREAD_RANGE)),
+    instrument: INSTRUMENTS[state.instrument] || INSTRUMENTS.ding,
+    envelope
+  };
+}
+
+/**
+ * Gets the voice a layer plays its dings with
+ * @param {Object} settings - Sound settings (see getSoundSettings)
+ * @param {number} layerIndex - Layer of the character (0 is the word)
+ * @returns {Object} { partials, modulator, envelope } for createDingSound
+ */
+function getVoice(settings, layerIndex) {
+  const layerType = LAYER_OSCILLATOR_TYPES[layerIndex % LAYER_OSCILLATOR_TYPES.length];
+  return {
+    partials: settings.instrument.partials.map(partial => ({ ...partial, type: partial.type || layerType })),
+    modulator: settings.instrument.modulator || null,
+    envelope: settings.envelope
+  };
+}
+
+/**
+ * Moves a number of semitones above the root to the nearest note of a scale
+ * (the lower one when two are as near)
+ * @param {number} semitones - Semitones above the root
+ * @param {Array} scale - Semitones of the scale within an octave, starting with 0
+ * @returns {number} Semitones above the root, on the scale
+ */
+function quantizeToScale(semitones, scale) {
+  const octave = Math.floor(semitones / 12);
+  const withinOctave = semitones - octave * 12;
+  let nearest = 0;
+  [...scale, 12].forEach(step => {
+    if (Math.abs(step - withinOctave) < Math.abs(nearest - withinOctave)) nearest = step;
+  });
+  return octave * 12 + nearest;
+}
+
+/**
+ * Maps a character to a MIDI note: its position in the alphabet counts
+ * semitones above the root, moved onto the scale, and every layer is
+ * shifted by the octave spread. Other characters play the root.
  * @param {string} char - The character to map
- * @returns {number} The frequency in Hz
+ * @param {number} layerIndex - Layer of the character (0 is the word)
+ * @param {Object} settings - Sound settings (see getSoundSettings)
+ * @returns {number} The MIDI note number
  */
-function charToFrequency(char) {
-  const baseFrequency = 220; // A3
+function charToNote(char, layerIndex, settings) {
   const lowerChar = char.toLowerCase();
-  if (lowerChar >= 'a' && lowerChar <= 'z') {
-    const position = lowerChar.charCodeAt(0) - 'a'.charCodeAt(0);
-    return baseFrequency * Math.pow(2, position / 12);
+  const position = lowerChar >= 'a' && lowerChar <= 'z' ? lowerChar.charCodeAt(0) - 'a'.charCodeAt(0) : 0;
+  const note = settings.rootNote + quantizeToScale(position, settings.scale) + 12 * settings.octaveSpread * layerIndex;
+  return Math.max(0, Math.min(127, note));
+}
+
+/**
+ * Gets the frequency of a MIDI note in equal temperament
+ * @param {number} note - The MIDI note number (69 is A4, 440 Hz)
+ * @returns {number} The frequency in Hz
+ */
+function noteToFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * Creates the ding of a character with the given sound settings
+ * @param {AudioContext} audioContext - The audio context to use
+ * @param {Object} sound - { key, char, layerIndex } of the character
+ * @param {Object} settings - Sound settings (see getSoundSettings)
+ * @param {string} seed - The user seed, for the reverb noise
+ * @returns {Promise<Object>} A promise that resolves with { buffer, note, frequency }
+ */
+function createCharacterDing(audioContext, sound, settings, seed) {
+  const note = charToNote(sound.char, sound.layerIndex, settings);
+  const frequency = noteToFrequency(note);
+  // Seeded without the word, so a character sounds the same in every word and its ding can be shared
+  const random = createRandom('ding', seed, sound.key);
+  return createDingSound(audioContext, frequency, getVoice(settings, sound.layerIndex), random)
+    .then(buffer => ({ buffer, note, frequency }));
+}
+
+/**
+ * Gets the radius of a layer's orbit, which is also its sequencer track
+ * @param {number} layerIndex - Layer of the character (0 is the word)
+ * @returns {number} Radius in world units
+ */
+function getOrbitRadius(layerIndex) {
+  return 100 + layerIndex * 80;
+}
+
+/**
+ * Gets the ding of a character from the cache, creating it on a miss. The
+ * same character, seed and sound settings always give the same ding, so a
+ * new word only renders the dings it does not share with earlier ones.
+ * @param {AudioContext} audioContext - The audio context to use
+ * @param {Object} sound - { key, char, layerIndex } of the character
+ * @param {Object} settings - Sound settings (see getSoundSettings)
+ * @param {string} seed - The user seed
+ * @returns {Promise<Object>} A promise that resolves with { buffer, note, frequency }
+ */
+function getCachedDing(audioContext, sound, settings, seed) {
+  const cacheKey = JSON.stringify([sound.key, seed, settings]);
+  let ding = dingCache.get(cacheKey);
+  if (ding) {
+    dingCache.delete(cacheKey); // Most recently used last
+  } else {
+    ding = createCharacterDing(audioContext, sound, settings, seed);
+    ding.catch(() => dingCache.delete(cacheKey));
+  }
+  dingCache.set(cacheKey, ding);
+  if (dingCache.size > MAX_CACHED_DINGS) {
+    dingCache.delete(dingCache.keys().next().value);
+  }
+  return ding;
+}
+
+/**
+ * Gets the master gain and analyzer every render plays through, creating
+ * them with the AudioContext. They outlive renders, so the sound goes on
+ * while a new word is rendered.
+ * @param {AudioContext} audioContext - The shared audio context
+ * @param {Object} state - The current state for 'waveform', for the volume
+ * @returns {Object} { masterGain, analyzer }
+ */
+function getLiveGraph(audioContext, state) {
+  if (!liveGraph || liveGraph.context !== audioContext) {
+    const masterGain = audioContext.createGain();
+    masterGain.gain.value = getLiveGain(state); // Volume and mute are parameters, kept across renders
+    masterGain.connect(audioContext.destination);
+
+    const analyzer = audioContext.createAnalyser();
+    analyzer.fftSize = 2048;
+    analyzer.connect(masterGain);
+    liveGraph = { context: audioContext, masterGain, analyzer };
+  }
+  return liveGraph;
+}
+
+/**
+ * Fades a render's bus out and then stops and disconnects its sounds, so
+ * the dings still ringing blend into the next word's sound
+ * @param {AudioContext} audioContext - The shared audio context
+ * @param {GainNode} bus - The render's bus
+ * @param {Array} audioNodes - The render's sound nodes
+ */
+function fadeOutBus(audioContext, bus, audioNodes) {
+  bus.gain.setTargetAtTime(0, audioContext.currentTime, CROSSFADE_TIME / 3);
+  setTimeout(() => {
+    audioNodes.forEach(node => {
+      try {
+        if (node.stop) node.stop(0);
+        node.disconnect();
+      } catch (e) { /* Node might already be disconnected or stopped */ }
+    });
+    bus.disconnect();
+  }, CROSSFADE_TIME * 1000 * 2);
+}
+
+/**
+ * Gets the volume of a ding on a layer
+ * @param {number} layerIndex - Layer of the character (0 is the word)
+ * @returns {number} Gain value
+ */
+function getDingGain(layerIndex) {
+  return Math.pow(LAYER_GAIN_FALLOFF, layerIndex) * DING_GAIN;
+}
+
+/**
+ * Tells whether an orbit moving from one angle to another passes a trigger angle
+ * @param {number} from - Angle before the move, in radians
+ * @param {number} to - Angle after the move (not wrapped to 2π), in radians
+ * @param {number} trigger - Trigger angle, in radians
+ * @returns {boolean} True if a trigger angle (modulo 2π) lies after `from` and at or before `to`
+ */
+function crossesAngle(from, to, trigger) {
+  const turn = Math.PI * 2;
+  return Math.floor((to - trigger) / turn) > Math.floor((from - trigger) / turn);
+}
+
+/**
+ * Lists the dings of the word's sound sequence played from the start: every
+ * sound rings whenever its orbit passes angle 0 and, in dual trigger mode,
+ * angle π. The sequence lasts until every sound has rung at angle 0 once.
+ * @param {Array} soundBuffers - The sounds, with their start angles and speeds
+ * @param {boolean} dualTrigger - Whether sounds also ring at angle π
+ * @returns {Object} { dings, duration }: { time, sound } entries sorted by time, and the length of the sequence, in seconds
+ */
+function getDingSchedule(soundBuffers, dualTrigger) {
+  const turn = Math.PI * 2;
+
+  // Time a sound next reaches a trigger angle after time 0
+  const firstTime = (sound, trigger) => {
+    const turns = Math.floor((sound.startAngle - trigger) / turn) + 1;
+    return (trigger + turns * turn - sound.startAngle) / sound.speed;
+  };
+
+  const duration = Math.min(MAX_AUDIO_DURATION, Math.max(0, ...soundBuffers.map(sound => firstTime(sound, 0))));
+  const triggers = dualTrigger ? [0, Math.PI] : [0];
+  const dings = [];
+  soundBuffers.forEach(sound => {
+    triggers.forEach(trigger => {
+      for (let time = firstTime(sound, trigger); time <= duration; time += turn / sound.speed) {
+        dings.push({ time, sound });
+      }
+    });
+  });
+  dings.sort((a, b) => a.time - b.time);
+  return { dings, duration };
+}
+
+/**
+ * Reads the sequencer parameters of the waveform state, clamped to their ranges
+ * @param {Object} state - The current state for 'waveform'
+ * @returns {Object} { bpm, swing, loop, metronome }
+ */
+function getSequencerSettings(state) {
+  const bpm = Number.isFinite(state.bpm) ? state.bpm : DEFAULT_BPM;
+  const swing = Number.isFinite(state.swing) ? state.swing : 0;
+  return {
+    bpm: Math.max(BPM_RANGE[0], Math.min(BPM_RANGE[1], bpm)),
+    swing: Math.max(0, Math.min(1, swing)),
+    loop: !!state.loop,
+    metronome: !!state.metronome
+  };
+}
+
+/**
+ * Lays the layers out as sequencer tracks: each layer plays its characters
+ * in order, one per step, repeating until the loop ends. The loop lasts as
+ * many bars as the longest track needs.
+ * @param {Array} layers - The phonetic layers
+ * @param {Array} soundBuffers - The sounds, keyed by character and layer
+ * @returns {Object} { tracks, loopBeats }; tracks are { layerIndex, stepBeats, sounds }
+ */
+function createSequence(layers, soundBuffers) {
+  const soundsByKey = new Map(soundBuffers.map(sound => [sound.key, sound]));
+  const tracks = layers.map((layer, layerIndex) => ({
+    layerIndex,
+    stepBeats: Math.max(MIN_STEP_BEATS, BEATS_PER_BAR / Math.pow(2, layerIndex)),
+    sounds: layer.map(char => soundsByKey.get(`${char}-${layerIndex}`)).filter(Boolean)
+  })).filter(track => track.sounds.length);
+
+  const longest = Math.max(0, ...tracks.map(track => track.sounds.length * track.stepBeats));
+  return { tracks, loopBeats: Math.max(1, Math.ceil(longest / BEATS_PER_BAR)) * BEATS_PER_BAR };
+}
+
+/**
+ * Moves a beat of the grid by the swing: off-beat eighth notes come late
+ * @param {number} beat - Beat on the grid
+ * @param {number} swing - Swing from 0 (straight) to 1 (triplet feel)
+ * @returns {number} The beat the note plays on
+ */
+function swingBeat(beat, swing) {
+  return beat % 1 === 0.5 ? beat + swing * MAX_SWING_DELAY : beat;
+}
+
+/**
+ * Lists the steps of the sequence starting within a span of beats. Beats
+ * count on past the end of the loop, which then starts over.
+ * @param {Object} sequence - The sequence (see createSequence)
+ * @param {number} from - First beat of the span
+ * @param {number} to - Beat the span ends before
+ * @param {number} swing - Swing from 0 to 1
+ * @returns {Array} { beat, sound } entries sorted by beat, with the swing applied
+ */
+function getSequenceSteps(sequence, from, to, swing) {
+  const steps = [];
+  sequence.tracks.forEach(track => {
+    for (let step = Math.ceil(from / track.stepBeats); step * track.stepBeats < to; step++) {
+      const beat = step * track.stepBeats;
+      const loopStep = Math.round((beat % sequence.loopBeats) / track.stepBeats);
+      steps.push({ beat: swingBeat(beat, swing), sound: track.sounds[loopStep % track.sounds.length] });
+    }
+  });
+  return steps.sort((a, b) => a.beat - b.beat);
+}
+
+/**
+ * Lists the dings the exports play: one pass of the loop in sequencer mode,
+ * otherwise the orbits' sequence (see getDingSchedule)
+ * @param {Object} state - The current state for 'waveform'
+ * @returns {Object} { dings, duration } with times in seconds
+ */
+function getSoundSchedule(state) {
+  if (state.mode !== 'sequencer' || !state.sequence) {
+    return getDingSchedule(state.soundBuffers, state.dualTrigger);
+  }
+  const { bpm, swing } = getSequencerSettings(state);
+  const secondsPerBeat = 60 / bpm;
+  const dings = getSequenceSteps(state.sequence, 0, state.sequence.loopBeats, swing)
+    .map(({ beat, sound }) => ({ time: beat * secondsPerBeat, sound }));
+  return { dings, duration: state.sequence.loopBeats * secondsPerBeat };
+}
+
+/**
+ * Renders the word's sound sequence (see getSoundSchedule) offline, mixed
+ * like live playback, with the last dings left to ring out
+ * @param {Object} state - The current state for 'waveform'
+ * @returns {Promise<AudioBuffer>} A promise that resolves with the stereo recording
+ */
+function renderWaveformAudio(state) {
+  if (!state.soundBuffers || !state.soundBuffers.length) {
+    return Promise.reject(new Error('There is no sound to export yet.'));
   }
-  return baseFrequency;
+
+  const { dings, duration } = getSoundSchedule(state);
+  const { sampleRate } = state.soundBuffers[0].buffer;
+  const tail = Math.max(...state.soundBuffers.map(sound => sound.buffer.duration));
+  const offlineCtx = new OfflineAudioContext(2, Math.ceil((duration + tail) * sampleRate), sampleRate);
+
+  const masterGain = offlineCtx.createGain();
+  masterGain.gain.value = MASTER_GAIN;
+  masterGain.connect(offlineCtx.destination);
+
+  dings.forEach(({ time, sound }) => {
+    const source = offlineCtx.createBufferSource();
+    source.buffer = sound.buffer;
+    const gain = offlineCtx.createGain();
+    gain.gain.value = getDingGain(sound.layerIndex);
+    source.connect(gain);
+    gain.connect(masterGain);
+    source.start(time);
+  });
+
+  console.log(`Rendering ${dings.length} dings over ${duration.toFixed(1)}s for the waveform audio export`);
+  return offlineCtx.startRendering();
+}
+
+/**
+ * Lists the word's sound sequence (see getSoundSchedule) as notes, one track
+ * per layer, with velocities following the layers' volumes
+ * @param {Object} state - The current state for 'waveform'
+ * @returns {Array} { name, notes } tracks; notes are { time, duration, pitch, velocity } with times in seconds
+ */
+function getWaveformNotes(state) {
+  if (!state.soundBuffers || !state.soundBuffers.length) return [];
+
+  const layerCount = Math.max(...state.soundBuffers.map(sound => sound.layerIndex)) + 1;
+  const tracks = Array.from({ length: layerCount }, (_, layerIndex) => ({
+    name: layerIndex === 0 ? 'Word' : `Layer ${layerIndex}`,
+    notes: []
+  }));
+
+  const { dings } = getSoundSchedule(state);
+  const duration = getNoteLength(getSoundSettings(state).envelope);
+  dings.forEach(({ time, sound }) => {
+    tracks[sound.layerIndex].notes.push({
+      time,
+      duration,
+      pitch: sound.note,
+      velocity: Math.round(127 * getDingGain(sound.layerIndex) / getDingGain(0))
+    });
+  });
+  return tracks;
 }
 
 /**
- * Performs cleanup of audio-specific resources for the waveform visualization.
- * This should be called before setting up new audio resources.
+ * Performs cleanup of audio-specific resources for the waveform visualization:
+ * stops the render's sounds and disconnects its bus. Called when switching
+ * to another visualizer, and before the next render unless sound is playing.
  */
 function cleanupWaveformAudioResources() {
   const state = getState('waveform');
@@ -106,82 +620,212 @@ function cleanupWaveformAudioResources() {
         node.disconnect();
       } catch (e) { /* Node might already be disconnected or stopped */ }
     });
+    updateState('waveform', { audioNodes: [] });
   }
+  if (state && state.bus) state.bus.disconnect();
   // Note: The visualizer-base calls resetState, which will clear
   // soundBuffers, audioNodes etc. based on the template.
-  // We mainly need to ensure active audio sources are stopped and disconnected.
-  // If localAudioContext is being managed and needs closing, it would happen here or at a higher level.
-  // For now, we assume localAudioContext persists or is recreated safely.
+  // The master gain and analyzer persist across renders, like localAudioContext,
+  // which is closed by destroyWaveformVisualization.
 }
 
 /**
  * Plays a ding sound for a character
  * @param {Object} soundInfo - Information about the sound to play
+ * @param {number} time - Playback position in milliseconds, remembered for the glow
  */
-function playDingSound(soundInfo) {
+function playDingSound(soundInfo, time) {
   const state = getState('waveform');
   if (!state.isPlaying || !state.audioContext) return;
 
-  const audioContext = state.audioContext;
-  const now = audioContext.currentTime;
+  startDing(state, soundInfo, state.audioContext.currentTime);
+  soundInfo.lastPlayedTime = time;
+}
 
-  const source = audioContext.createBufferSource();
-  source.buffer = soundInfo.buffer;
-  const gain = audioContext.createGain();
-  const layerGain = Math.pow(0.8, soundInfo.layerIndex);
-  gain.gain.value = layerGain * 0.5;
+/**
+ * Starts a ding at a time of the audio clock, mixed at its layer's volume
+ * @param {Object} state - The current state for 'waveform'
+ * @param {Object} sound - The sound to play
+ * @param {number} when - Time of the audio clock in seconds (now or later)
+ */
+function startDing(state, sound, when) {
+  const source = state.audioContext.createBufferSource();
+  source.buffer = sound.buffer;
+  const gain = state.audioContext.createGain();
+  gain.gain.value = getDingGain(sound.layerIndex);
 
   source.connect(gain);
-  gain.connect(state.analyzer);
-  source.start(now);
-  soundInfo.lastPlayedTime = Date.now();
-
-  // Add to audio nodes for cleanup by cleanupWaveformAudioResources if needed,
-  // though they are short-lived.
-  if (state.audioNodes) {
-      state.audioNodes.push(source, gain);
+  gain.connect(state.bus);
+  source.start(when);
+  trackAudioNodes(state, source, gain);
+}
+
+/**
+ * Starts a metronome click at a time of the audio clock
+ * @param {Object} state - The current state for 'waveform'
+ * @param {number} when - Time of the audio clock in seconds
+ * @param {boolean} accent - Whether the click starts a bar (higher pitch)
+ */
+function startClick(state, when, accent) {
+  const oscillator = state.audioContext.createOscillator();
+  oscillator.frequency.value = CLICK_FREQUENCIES[accent ? 0 : 1];
+  const gain = state.audioContext.createGain();
+  gain.gain.setValueAtTime(0, when);
+  gain.gain.linearRampToValueAtTime(CLICK_GAIN, when + MIN_ENVELOPE_TIME * 2);
+  gain.gain.exponentialRampToValueAtTime(SILENT_GAIN / 10, when + CLICK_DURATION);
+
+  oscillator.connect(gain);
+  gain.connect(state.bus);
+  oscillator.start(when);
+  oscillator.stop(when + CLICK_DURATION);
+  trackAudioNodes(state, oscillator, gain);
+}
+
+/**
+ * Keeps the nodes of a sound for cleanupWaveformAudioResources until the sound ends
+ * @param {Object} state - The current state for 'waveform'
+ * @param {AudioScheduledSourceNode} source - The sound's source
+ * @param {...AudioNode} nodes - Nodes the source plays through
+ */
+function trackAudioNodes(state, source, ...nodes) {
+  const soundNodes = [source, ...nodes];
+  let audioNodes = state.audioNodes;
+  if (audioNodes) {
+    audioNodes.push(...soundNodes);
   } else {
-      updateState('waveform', { audioNodes: [source, gain] });
+    audioNodes = soundNodes.slice();
+    updateState('waveform', { audioNodes });
   }
+
+  // Finished sounds are let go, so a long sequence does not keep every node
+  source.onended = () => {
+    soundNodes.forEach(node => {
+      const index = audioNodes.indexOf(node);
+      if (index !== -1) audioNodes.splice(index, 1);
+      node.disconnect();
+    });
+  };
 }
 
 /**
- * Toggles audio playback for the waveform visualization
+ * Advances sequencer mode along the audio clock and schedules the steps
+ * (and metronome clicks) about to start, slightly ahead of time, so their
+ * timing does not depend on the frame rate
+ * @param {Object} state - The current state for 'waveform'
+ * @param {number} deltaTime - Change of the playback position since the last update, in milliseconds
  */
-function toggleWaveformAudio() {
-  const state = getState('waveform');
-  if (!state || !state.soundBuffers) return; // Check state exists
+function updateSequencer(state, deltaTime) {
+  const { sequence, audioContext } = state;
+  if (!sequence || !audioContext) return;
+  if (!state.isPlaying) {
+    if (state.sequenceAnchor !== null) updateState('waveform', { sequenceAnchor: null });
+    return;
+  }
 
-  const isPlaying = !state.isPlaying;
-  updateState('waveform', { isPlaying });
+  const settings = getSequencerSettings(state);
+  const secondsPerBeat = 60 / settings.bpm;
+  const audioNow = audioContext.currentTime;
 
-  // TODO: Refactor global UI manipulation. For now, keep original behavior.
-  const wordInput = document.getElementById("wordInput");
-  if (wordInput) {
-    wordInput.disabled = isPlaying;
-    const disabledMessage = document.getElementById("inputDisabledMessage");
-    if (disabledMessage) {
-      disabledMessage.style.display = isPlaying ? "block" : "none";
-    }
-    if (isPlaying) {
-      wordInput.title = "Input disabled while audio is playing. Click the pause button to enable.";
-      wordInput.style.backgroundColor = "#f0f0f0";
-    } else {
-      wordInput.title = "";
-      wordInput.style.backgroundColor = "";
+  // Beat 0 is tied to the audio clock when playback starts or the tempo
+  // changes, and again after the transport was paused (the audio clock ran
+  // on without updates), so the sequence goes on from where it stopped
+  let anchor = state.sequenceAnchor;
+  if (anchor === null || audioNow - state.sequenceAudioTime > deltaTime / 1000 + SEQUENCER_RESYNC) {
+    anchor = audioNow - state.sequencePosition * secondsPerBeat;
+  }
+  const position = (audioNow - anchor) / secondsPerBeat;
+
+  // Without looping, the sequence plays once and stops at the start
+  if (!settings.loop && position >= sequence.loopBeats) {
+    updateState('waveform', { sequenceAnchor: null, sequencePosition: 0, sequenceScheduledUntil: 0 });
+    toggleWaveformAudio();
+    return;
+  }
+
+  const from = state.sequenceScheduledUntil;
+  const horizon = (audioNow + SEQUENCER_LOOKAHEAD - anchor) / secondsPerBeat;
+  const until = settings.loop ? horizon : Math.min(horizon, sequence.loopBeats);
+  if (until > from) {
+    getSequenceSteps(sequence, from, until, settings.swing).forEach(({ beat, sound }) => {
+      if (sound.buffer) startDing(state, sound, anchor + beat * secondsPerBeat);
+    });
+    if (settings.metronome) {
+      for (let beat = Math.ceil(from); beat < until; beat++) {
+        startClick(state, anchor + beat * secondsPerBeat, beat % BEATS_PER_BAR === 0);
+      }
     }
   }
+
+  updateState('waveform', {
+    sequenceAnchor: anchor,
+    sequencePosition: position,
+    sequenceAudioTime: audioNow,
+    sequenceScheduledUntil: Math.max(from, until)
+  });
+}
+
+/**
+ * Gets the sequencer's position, from the audio clock while it plays
+ * @param {Object} state - The current state for 'waveform'
+ * @returns {number} Beats since the start (past the end of the loop while looping)
+ */
+function getSequencerPosition(state) {
+  if (!state.isPlaying || state.sequenceAnchor === null || !state.audioContext) return state.sequencePosition;
+  const { bpm } = getSequencerSettings(state);
+  return Math.max(0, (state.audioContext.currentTime - state.sequenceAnchor) * bpm / 60);
 }
 
 /**
- * Toggles dual trigger mode for the waveform visualization
+ * Toggles audio playback for the waveform visualization
  */
-function toggleDualTrigger() {
+function toggleWaveformAudio() {
   const state = getState('waveform');
   if (!state || !state.soundBuffers) return; // Check state exists
 
-  const dualTrigger = !state.dualTrigger;
-  updateState('waveform', { dualTrigger });
+  updateState('waveform', { isPlaying: !state.isPlaying });
+}
+
+/**
+ * Stops playback and goes back to the start: the dings ringing are cut
+ * off, the orbits return to their start angles and the sequencer to its
+ * first beat
+ */
+function stopWaveformAudio() {
+  const state = getState('waveform');
+  if (!state || !state.soundBuffers) return;
+  if (state.isPlaying) toggleWaveformAudio();
+
+  (state.audioNodes || []).forEach(node => {
+    try {
+      if (node.stop) node.stop(0); // Only sources stop; their nodes are let go when they end
+    } catch (e) { /* Not started */ }
+  });
+  state.soundBuffers.forEach(sound => {
+    sound.angle = sound.startAngle;
+    sound.lastPlayedTime = -Infinity;
+    sound.pulsing = false;
+  });
+  updateState('waveform', { sequenceAnchor: null, sequencePosition: 0, sequenceScheduledUntil: 0 });
+}
+
+/**
+ * Gets the master gain of live playback from the volume and mute parameters
+ * @param {Object} state - The current state for 'waveform'
+ * @returns {number} Gain value
+ */
+function getLiveGain(state) {
+  const volume = Number.isFinite(state.volume) ? Math.max(0, Math.min(1, state.volume)) : 1;
+  return state.muted ? 0 : MASTER_GAIN * volume;
+}
+
+/**
+ * Moves the master gain to the volume and mute parameters, with a short
+ * ramp so the change does not click
+ * @param {Object} state - The current state for 'waveform'
+ */
+function applyWaveformVolume(state) {
+  if (!state.masterGain || !state.audioContext) return;
+  state.masterGain.gain.setTargetAtTime(getLiveGain(state), state.audioContext.currentTime, VOLUME_RAMP_TIME);
 }
 
 
@@ -194,49 +838,120 @@ const waveformStateTemplate = {
   bufferLength: 0,
   colors: ["#ff6b6b", "#4ecdc4", "#ffe66d", "#a78bfa"],
   soundBuffers: [],
-  audioNodes: [], // For managing nodes that need explicit cleanup
-  animationStartTime: 0,
+  audioNodes: null, // Nodes that need explicit cleanup; each render gets an array of its own
   animationDuration: 8000, // Specific to waveform
   isPlaying: false,
   dualTrigger: false,
-  lastFrameTime: 0,
+  // Sound parameters (see getSoundSettings); the envelope is the ding instrument's
+  scale: 'chromatic',
+  rootNote: 57, // A3
+  octaveSpread: 0, // Octaves each layer is shifted from the one above
+  instrument: 'ding',
+  attack: 0.01,
+  decay: 0.39,
+  sustain: 0,
+  release: 0,
+  soundSeed: '',
+  // Sequencer parameters (see getSequencerSettings): 'orbit' rings the dings as the orbits pass angle 0, 'sequencer' plays the layers on a beat grid
+  mode: 'orbit',
+  bpm: DEFAULT_BPM,
+  swing: 0, // 0 (straight) to 1 (triplet feel)
+  loop: true,
+  metronome: false,
+  volume: 1, // Of live playback, 0 to 1; exports play at full volume
+  muted: false,
+  masterGain: null,
+  bus: null, // Gain node of the render's sounds, between them and the analyzer
+  sequence: null, // Tracks of the current render (see createSequence)
+  sequencePosition: 0, // Beats played, where playback resumes
+  sequenceAnchor: null, // Time of the audio clock at beat 0 while playing
+  sequenceAudioTime: 0, // Time of the audio clock at the last update
+  sequenceScheduledUntil: 0, // Beat up to which steps are scheduled
+  elapsedTime: 0,
   deltaTime: 0,
-  animationId: null, // For the visualizer's internal animation loop
   // centerX and centerY will be set based on canvas dimensions
 };
 
+/**
+ * Follows changes of the parameters: switching modes starts the sequencer
+ * over, a new tempo goes on from the current beat, the volume applies to
+ * the master gain, and the sound parameters rebuild the dings
+ * @param {Object} visualizer - The waveform visualizer
+ * @param {Object} changes - The parameters that were set
+ */
+function applyWaveformParameters(visualizer, changes) {
+  if ('mode' in changes) {
+    updateState('waveform', { sequenceAnchor: null, sequencePosition: 0, sequenceScheduledUntil: 0 });
+  } else if ('bpm' in changes) {
+    updateState('waveform', { sequenceAnchor: null }); // The next update ties the current beat to the new tempo
+  }
+  if ('volume' in changes || 'muted' in changes) applyWaveformVolume(getState('waveform'));
+  rebuildWaveformSounds(changes);
+}
+
+/**
+ * Follows changes of the sound parameters. Choosing an instrument loads its
+ * envelope, except for the envelope values set along with it (e.g. by a
+ * preset), and the dings of the current render are rebuilt in place, so playback goes on.
+ * @param {Object} changes - The parameters that were set
+ */
+function rebuildWaveformSounds(changes) {
+  if (!SOUND_PARAMETERS.some(key => key in changes)) return;
+
+  if (changes.instrument && INSTRUMENTS[changes.instrument]) {
+    const envelope = { ...INSTRUMENTS[changes.instrument].envelope };
+    ENVELOPE_PARAMETERS.forEach(key => {
+      if (key in changes) envelope[key] = changes[key];
+    });
+    updateState('waveform', envelope);
+  }
+
+  const state = getState('waveform');
+  const sounds = state.soundBuffers;
+  if (!sounds || !sounds.length || !localAudioContext || localAudioContext.state === 'closed') return;
+
+  const rebuild = ++soundRebuildCount;
+  const settings = getSoundSettings(state);
+  Promise.all(sounds.map(sound => getCachedDing(localAudioContext, sound, settings, state.soundSeed))).then(dings => {
+    // A later change or render may have replaced these sounds meanwhile
+    if (rebuild !== soundRebuildCount || getState('waveform').soundBuffers !== sounds) return;
+    dings.forEach((ding, index) => Object.assign(sounds[index], ding));
+    console.log(`Rebuilt ${sounds.length} waveform dings`);
+  }).catch(err => console.error("Error rebuilding ding sounds:", err));
+}
+
 /**
  * Stops all audio playback and animation for the waveform visualization.
- * Also re-enables the word input field.
+ * Called when switching to another visualizer.
  */
 function stopWaveformVisualization() {
   const state = getState('waveform');
   if (state) {
-    if (state.animationId) {
-      cancelAnimationFrame(state.animationId); // Stop its own animation loop
-    }
+    // visualizer-base has already removed the update callback from the scheduler
     cleanupWaveformAudioResources(); // Stop audio nodes
     updateState('waveform', { 
       isPlaying: false, 
-      animationId: null,
       // Reset other relevant parts of state if necessary, though visualizer-base's resetState handles much of it on next render.
       // Forcing isPlaying to false is key here.
       audioNodes: [] // Clear audio nodes as they are disconnected
     });
   }
+  console.log("Waveform visualization stopped.");
+}
 
-  // Re-enable the word input field and hide the message
-  const wordInput = document.getElementById("wordInput");
-  if (wordInput) {
-    wordInput.disabled = false;
-    wordInput.title = "";
-    wordInput.style.backgroundColor = "";
-  }
-  const disabledMessage = document.getElementById("inputDisabledMessage");
-  if (disabledMessage) {
-    disabledMessage.style.display = "none";
+/**
+ * Closes the AudioContext shared by the waveform renders.
+ * Called when the visualizer is unregistered.
+ */
+function destroyWaveformVisualization() {
+  if (localAudioContext && localAudioContext.state !== 'closed') {
+    localAudioContext.close().catch(err => console.error("Error closing AudioContext:", err));
   }
-  console.log("Waveform visualization stopped and input enabled.");
+  localAudioContext = null;
+  liveGraph = null;
+  playbackHandoff = null;
+  dingCache.clear();
+  updateState('waveform', { audioContext: null });
 }
 
 /**
@@ -245,9 +960,30 @@ function stopWaveformVisualization() {
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Array} layers - The phonetic layers (provided by visualizer-base)
+ * @param {Object} options - Render options, including the seeded random generator, the resource registry and the scheduler's animate function
  */
-function renderWaveformSpecific(word, canvas, ctx, layers) {
-  cleanupWaveformAudioResources(); // Clean up audio resources from previous run
+function renderWaveformSpecific(word, canvas, ctx, layers, options = {}) {
+  // Before the next render, sound that is playing fades out while the new
+  // word's sound fades in, and playback carries on; otherwise (and when
+  // switching visualizers, which stops playback first) the sound stops
+  let released = false;
+  options.resources.onCleanup(() => {
+    released = true;
+    const state = getState('waveform');
+    if (state.isPlaying && state.bus && state.audioContext) {
+      playbackHandoff = {
+        sequenceAnchor: state.sequenceAnchor,
+        sequencePosition: state.sequencePosition,
+        sequenceScheduledUntil: state.sequenceScheduledUntil
+      };
+      fadeOutBus(state.audioContext, state.bus, [...(state.audioNodes || [])]);
+    } else {
+      playbackHandoff = null;
+      cleanupWaveformAudioResources();
+    }
+  });
+  const handoff = playbackHandoff;
+  playbackHandoff = null;
 
   // Initialize AudioContext if it doesn't exist or was closed
   if (!localAudioContext || localAudioContext.state === 'closed') {
@@ -260,7 +996,7 @@ function renderWaveformSpecific(word, canvas, ctx, layers) {
       ctx.font = "24px monospace";
       ctx.textAlign = "center";
       ctx.textBaseline = "middle";
-      ctx.fillText("Web Audio API not supported", canvas.width / 2, canvas.height / 2);
+      ctx.fillText("Web Audio API not supported", options.surface.width / 2, options.surface.height / 2);
       updateState('waveform', { audioContext: null });
       return;
     }
@@ -268,19 +1004,23 @@ function renderWaveformSpecific(word, canvas, ctx, layers) {
   updateState('waveform', { audioContext: localAudioContext });
 
 
-  const masterGain = localAudioContext.createGain();
-  masterGain.gain.value = 0.3;
-  masterGain.connect(localAudioContext.destination);
+  const { masterGain, analyzer } = getLiveGraph(localAudioContext, getState('waveform'));
 
-  const analyzer = localAudioContext.createAnalyser();
-  analyzer.fftSize = 2048;
-  analyzer.connect(masterGain);
-  
-  const initialAudioNodes = [masterGain, analyzer];
+  // The render's sounds play through a bus of their own, which fades in when they replace sound playing
+  const bus = localAudioContext.createGain();
+  bus.gain.value = handoff ? 0 : 1;
+  bus.connect(analyzer);
+  updateState('waveform', { masterGain, analyzer, bus, audioNodes: [] });
+
+  // Playback goes on, the sequencer on the same beat grid
+  if (handoff) {
+    updateState('waveform', { isPlaying: true, ...handoff });
+  }
 
   const soundBuffers = [];
-  const oscillatorTypes = ['sine', 'triangle', 'sine', 'triangle'];
   const bufferPromises = [];
+  const settings = getSoundSettings(getState('waveform')); // Parameters, kept across renders
+  const soundSeed = options.seed || ''; // The user seed, without the word (see createCharacterDing)
   const layerCharacters = {};
 
   layers.forEach((layer, layerIndex) => {
@@ -288,9 +1028,7 @@ function renderWaveformSpecific(word, canvas, ctx, layers) {
     layer.forEach((char, charIndex) => {
       const charKey = `${char}-${layerIndex}`;
       if (!layerCharacters[layerIndex].some(item => item.key === charKey)) {
-        layerCharacters[layerIndex].push({
-          key: charKey, char, charIndex, frequency: charToFrequency(char)
-        });
+        layerCharacters[layerIndex].push({ key: charKey, char, charIndex });
       }
     });
   });
@@ -302,14 +1040,15 @@ function renderWaveformSpecific(word, canvas, ctx, layers) {
     const angleStep = (Math.PI * 2) / characters.length;
 
     characters.forEach((charInfo, index) => {
-      const oscillatorType = oscillatorTypes[layerIndex % oscillatorTypes.length];
-      const promise = createDingSound(localAudioContext, charInfo.frequency, oscillatorType)
-        .then(buffer => {
+      const startAngle = (index * angleStep) - (Math.PI / 8) * Math.pow(0.5, layerIndex);
+      const promise = getCachedDing(localAudioContext, { ...charInfo, layerIndex }, settings, soundSeed)
+        .then(({ buffer, note, frequency }) => {
           soundBuffers.push({
-            buffer, char: charInfo.char, frequency: charInfo.frequency,
-            layerIndex, charIndex: charInfo.charIndex, lastPlayedTime: 0,
-            orbitRadius: 100 + layerIndex * 80,
-            angle: (index * angleStep) - (Math.PI / 8) * Math.pow(0.5, layerIndex),
+            buffer, key: charInfo.key, char: charInfo.char, note, frequency,
+            layerIndex, charIndex: charInfo.charIndex, lastPlayedTime: -Infinity, // Not played yet
+            orbitRadius: getOrbitRadius(layerIndex),
+            angle: startAngle,
+            startAngle, // Where the sound sequence starts, for the audio export
             speed: 0.5 / Math.pow(2, layerIndex)
           });
         }).catch(err => console.error("Error creating ding sound:", err));
@@ -318,65 +1057,65 @@ function renderWaveformSpecific(word, canvas, ctx, layers) {
   });
 
   Promise.all(bufferPromises).then(() => {
+    // The sounds may finish after another render or visualizer took over
+    if (released) return;
+    
     const bufferLength = analyzer.frequencyBinCount;
     const dataArray = new Uint8Array(bufferLength);
 
     updateState('waveform', {
       word, // Store word for reference if needed by redraw
       layers, // Store layers if needed by redraw
-      analyzer, dataArray, bufferLength, soundBuffers,
-      audioNodes: initialAudioNodes, // Start with masterGain and analyzer
-      animationStartTime: Date.now(),
-      // isPlaying and dualTrigger are already in template, default to false
-      lastFrameTime: Date.now(),
+      soundSeed, // For rebuilding the dings when the sound parameters change
+      dataArray, bufferLength, soundBuffers,
+      sequence: createSequence(layers, soundBuffers),
+      // isPlaying is in the template (false) unless carried over; dualTrigger is a parameter kept across renders
       deltaTime: 0,
       // colors and animationDuration are in template
     });
-    
-    // Ensure wordInput is re-enabled if isPlaying is false (default)
-    const currentWaveformState = getState('waveform');
-    if (document.getElementById("wordInput")) {
-        document.getElementById("wordInput").disabled = currentWaveformState.isPlaying;
-    }
-    if (document.getElementById("inputDisabledMessage")) {
-        document.getElementById("inputDisabledMessage").style.display = currentWaveformState.isPlaying ? "block" : "none";
+
+    if (handoff) {
+      // The sequencer picks up at the current beat; steps missed while the dings rendered are skipped
+      const state = getState('waveform');
+      if (state.sequenceAnchor !== null) {
+        const position = (localAudioContext.currentTime - state.sequenceAnchor) * getSequencerSettings(state).bpm / 60;
+        updateState('waveform', {
+          sequencePosition: position,
+          sequenceAudioTime: localAudioContext.currentTime,
+          sequenceScheduledUntil: Math.max(state.sequenceScheduledUntil, position)
+        });
+      }
+      bus.gain.setTargetAtTime(1, localAudioContext.currentTime, CROSSFADE_TIME / 3);
     }
 
 
-    // Setup click handler for buttons on canvas
-    // This needs to be managed carefully if canvas is recreated or event listeners stack up.
-    // For now, assign directly. visualizer-base doesn't provide a hook for this.
-    canvas.onclick = function(event) {
-      const rect = canvas.getBoundingClientRect();
-      const clickX = event.clientX - rect.left;
-      const clickY = event.clientY - rect.top;
-      
-      const buttonSize = 50;
-      // Play/Pause Button
-      const playButtonX = canvas.width - buttonSize - 20;
-      const playButtonY = 20;
-      const playDistance = Math.sqrt(Math.pow(clickX - (playButtonX + buttonSize/2), 2) + Math.pow(clickY - (playButtonY + buttonSize/2), 2));
-      if (playDistance <= buttonSize/2) {
-        toggleWaveformAudio();
+    // Update angles and sound triggers along the playback position; the base redraws after each update
+    options.animate((deltaTime, elapsedTime, seeking) => {
+      const state = getState('waveform');
+      // Ensure soundBuffers is available before proceeding, as it's central to animation
+      if (!state || !state.soundBuffers) return false;
+
+      // The sequencer follows the audio clock rather than the playback position, so scrubbing leaves it be
+      if (state.mode === 'sequencer') {
+        if (!seeking) updateSequencer(state, deltaTime);
+        updateState('waveform', { elapsedTime, deltaTime });
         return;
       }
-      // Dual Trigger Button
-      const dualButtonX = canvas.width - buttonSize - 20;
-      const dualButtonY = 20 + buttonSize + 10;
-      const dualDistance = Math.sqrt(Math.pow(clickX - (dualButtonX + buttonSize/2), 2) + Math.pow(clickY - (dualButtonY + buttonSize/2), 2));
-      if (dualDistance <= buttonSize/2) {
-        toggleDualTrigger();
-      }
-    };
 
-    // Start animation loop
-    function drawFrame() {
-      const state = getState('waveform');
-      // Ensure soundBuffers is available before proceeding, as it's central to animation
-      if (!state || !state.soundBuffers) return; 
+      // The playback position is the clock, so scrubbing and exported frames show the same pulses
+      const now = elapsedTime;
 
-      const now = Date.now();
-      const deltaTime = now - state.lastFrameTime;
+      // Scrubbing moves the orbits (backwards too) without playing the dings they pass
+      if (seeking) {
+        if (state.isPlaying) {
+          state.soundBuffers.forEach(sound => {
+            sound.angle += sound.speed * (deltaTime / 1000);
+            sound.angle -= Math.floor(sound.angle / (Math.PI * 2)) * Math.PI * 2;
+          });
+        }
+        updateState('waveform', { elapsedTime, deltaTime, soundBuffers: state.soundBuffers });
+        return;
+      }
 
       // Update animation state (angles, sound triggers, pulsing)
       if (state.isPlaying && deltaTime > 0) { // deltaTime > 0 to prevent issues if time is static
@@ -384,17 +1123,16 @@ function renderWaveformSpecific(word, canvas, ctx, layers) {
           // Update angle
           const prevAngle = sound.angle;
           sound.angle += sound.speed * (deltaTime / 1000);
-          if (sound.angle >= Math.PI * 2) sound.angle -= Math.PI * 2;
 
-          // Check for sound triggers
-          const crossedPrimaryTrigger = (prevAngle < 0 && sound.angle >= 0) || (prevAngle < Math.PI * 2 && sound.angle >= Math.PI * 2);
-          const crossedSecondaryTrigger = state.dualTrigger && 
-            ((prevAngle < Math.PI && sound.angle >= Math.PI) || (prevAngle >= Math.PI && sound.angle < Math.PI));
+          // Check for sound triggers before wrapping the angle, so every lap rings at angle 0
+          const crossedPrimaryTrigger = crossesAngle(prevAngle, sound.angle, 0);
+          const crossedSecondaryTrigger = state.dualTrigger && crossesAngle(prevAngle, sound.angle, Math.PI);
+          if (sound.angle >= Math.PI * 2) sound.angle -= Math.PI * 2;
 
           if ((crossedPrimaryTrigger || crossedSecondaryTrigger) && now - sound.lastPlayedTime > 300) {
-            playDingSound(sound); // playDingSound uses and updates state internally
+            playDingSound(sound, now); // playDingSound uses and updates state internally
             sound.pulsing = true;
-            sound.pulseStartTime = now; // Use 'now' from drawFrame for consistency
+            sound.pulseStartTime = now; // Use the same 'now' as the trigger check for consistency
           }
 
           // Update pulsing state for visual effect duration
@@ -408,81 +1146,149 @@ function renderWaveformSpecific(word, canvas, ctx, layers) {
       }
       
       updateState('waveform', {
-        elapsedTime: now - state.animationStartTime,
-        lastFrameTime: now,
-        deltaTime: deltaTime,
+        elapsedTime,
+        deltaTime,
         soundBuffers: state.soundBuffers // Persist updated angles, lastPlayedTime (via playDingSound), and pulse states
       });
-      
-      // Get the fully updated state for rendering
-      const currentState = getState('waveform'); 
-      if (!currentState) return; // State could have been cleared by an async operation
-      redrawWaveformSpecific(currentState, canvas, ctx);
-
-      const animationId = requestAnimationFrame(drawFrame);
-      updateState('waveform', { animationId });
-    }
-    drawFrame();
+    });
 
   }).catch(err => console.error("Error processing sound buffers:", err));
 }
 
+/**
+ * Draws a character's marker: a glow and the character
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {string} char - The character
+ * @param {number} x - Center of the marker
+ * @param {number} y - Center of the marker
+ * @param {number} size - Font size of the character
+ * @param {string} color - Color of the glow, as #rrggbb
+ * @param {number} pulseFactor - Growth of the marker while it pulses (1 when still)
+ * @param {number} glow - Strength of the glow, clamped to 0.3-0.9
+ */
+function drawMarker(ctx, char, x, y, size, color, pulseFactor, glow) {
+  const glowSize = size * 2 * pulseFactor;
+  const glowGradient = ctx.createRadialGradient(x, y, 0, x, y, glowSize);
+  const glowIntensity = Math.max(0.3, Math.min(0.9, glow));
+  glowGradient.addColorStop(0, color + Math.floor(glowIntensity * 255).toString(16).padStart(2, '0'));
+  glowGradient.addColorStop(1, "rgba(0,0,0,0)");
+  ctx.fillStyle = glowGradient;
+  ctx.beginPath();
+  ctx.arc(x, y, glowSize, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = "#ffffff";
+  ctx.font = `bold ${size * pulseFactor}px monospace`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(char, x, y);
+}
+
+/**
+ * Draws sequencer mode: every track's steps around its orbit, clockwise from
+ * the top over one loop, beat ticks outside, and the playhead at the audio
+ * clock's position. Steps pulse as the playhead passes them.
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} state - The current state for 'waveform'
+ * @param {number} centerX - Center of the orbits
+ * @param {number} centerY - Center of the orbits
+ */
+function drawSequencer(ctx, state, centerX, centerY) {
+  const { sequence, colors } = state;
+  const { bpm, swing } = getSequencerSettings(state);
+  const secondsPerBeat = 60 / bpm;
+  const loopPosition = getSequencerPosition(state) % sequence.loopBeats;
+  const playing = state.isPlaying && state.sequenceAnchor !== null;
+  const beatAngle = beat => -Math.PI / 2 + (beat / sequence.loopBeats) * Math.PI * 2;
+  const outerRadius = getOrbitRadius(Math.max(...sequence.tracks.map(track => track.layerIndex))) + 16;
+
+  // Beat ticks, longer at the start of each bar
+  ctx.lineWidth = 1;
+  for (let beat = 0; beat < sequence.loopBeats; beat++) {
+    const angle = beatAngle(beat);
+    const barStart = beat % BEATS_PER_BAR === 0;
+    ctx.strokeStyle = barStart ? "#ffffff77" : "#ffffff33";
+    ctx.beginPath();
+    ctx.moveTo(centerX + Math.cos(angle) * outerRadius, centerY + Math.sin(angle) * outerRadius);
+    ctx.lineTo(centerX + Math.cos(angle) * (outerRadius + (barStart ? 16 : 8)), centerY + Math.sin(angle) * (outerRadius + (barStart ? 16 : 8)));
+    ctx.stroke();
+  }
+
+  getSequenceSteps(sequence, 0, sequence.loopBeats, swing).forEach(({ beat, sound }) => {
+    const angle = beatAngle(beat);
+    const radius = getOrbitRadius(sound.layerIndex);
+
+    // Seconds since the playhead passed the step
+    const sinceBeats = ((loopPosition - beat) % sequence.loopBeats + sequence.loopBeats) % sequence.loopBeats;
+    const sincePlay = playing ? sinceBeats * secondsPerBeat : Infinity;
+    const pulseFactor = sincePlay < 0.5 ? 1.0 + 0.5 * Math.sin(sincePlay / 0.5 * Math.PI) : 1.0;
+    drawMarker(ctx, sound.char, centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius,
+      24 - sound.layerIndex * 4, colors[sound.layerIndex % colors.length], pulseFactor, 1 - sincePlay);
+  });
+
+  // Playhead
+  const playheadAngle = beatAngle(loopPosition);
+  ctx.strokeStyle = "#e94560";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(centerX, centerY);
+  ctx.lineTo(centerX + Math.cos(playheadAngle) * (outerRadius + 16), centerY + Math.sin(playheadAngle) * (outerRadius + 16));
+  ctx.stroke();
+}
+
 /**
  * Specific redraw function for Waveform visualization (now only renders, does not update animation state)
  * @param {Object} state - The current state for 'waveform'
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Object} surface - Logical size (CSS pixels), pixel ratio and camera of the canvas
  */
-function redrawWaveformSpecific(state, canvas, ctx) {
+function redrawWaveformSpecific(state, canvas, ctx, surface) {
   // state.analyzer might not be present if audioContext failed.
   // state itself could be null if cleared asynchronously.
   if (!state || !state.analyzer || !state.soundBuffers) return;
 
-  const transform = getCanvasTransform(canvas.id); // canvas.id is correct here
-  const scale = transform.scale || 1;
-  const offsetX = transform.offsetX || 0;
-  const offsetY = transform.offsetY || 0;
+  ctx.clearRect(0, 0, surface.width, surface.height);
 
-  ctx.setTransform(1, 0, 0, 1, 0, 0); // Reset transform
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-  gradient.addColorStop(0, "#1a1a2e");
-  gradient.addColorStop(1, "#16213e");
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  // Background, left out of transparent exports
+  if (!surface.transparent) {
+    const gradient = ctx.createLinearGradient(0, 0, 0, surface.height);
+    gradient.addColorStop(0, "#1a1a2e");
+    gradient.addColorStop(1, "#16213e");
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, surface.width, surface.height);
+  }
 
   ctx.save();
-  ctx.translate(offsetX, offsetY); // Apply pan
-  ctx.scale(scale, scale);       // Apply zoom
+  surface.camera.apply(ctx); // Apply zoom/pan
 
-  // deltaTime is primarily used in drawFrame for animation updates.
+  // deltaTime is primarily used by the update callback for animation updates.
   // It's available in state if needed for purely visual, time-dependent effects in redraw itself,
   // but not for core animation logic like angle updates.
-  const { analyzer, dataArray, bufferLength, colors, soundBuffers = [], isPlaying, dualTrigger } = state;
+  const { analyzer, dataArray, bufferLength, colors, soundBuffers = [] } = state;
   
   analyzer.getByteFrequencyData(dataArray); // For potential future use, original drew time domain
 
-  const centerX = canvas.width / (2 * scale); // Adjust center for zoom
-  const centerY = canvas.height / (2 * scale);
+  const centerX = surface.width / 2;
+  const centerY = surface.height / 2;
 
 
   const uniqueOrbits = new Set(soundBuffers.map(sound => sound.orbitRadius));
   [...uniqueOrbits].sort((a,b) => a-b).forEach(radius => {
     ctx.strokeStyle = "#ffffff22";
-    ctx.lineWidth = 1 / scale; // Adjust line width for zoom
+    ctx.lineWidth = 1;
     ctx.beginPath();
     ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
     ctx.stroke();
   });
 
   analyzer.getByteTimeDomainData(dataArray);
-  ctx.lineWidth = 2 / scale;
+  ctx.lineWidth = 2;
   ctx.strokeStyle = "#ffffff66";
   ctx.beginPath();
-  const sliceWidth = (canvas.width / scale) / bufferLength;
+  const sliceWidth = surface.width / bufferLength;
   let x = 0;
-  const waveHeight = (canvas.height / scale) / 5;
+  const waveHeight = surface.height / 5;
 
   for (let i = 0; i < bufferLength; i++) {
     const v = (dataArray[i] / 128.0) - 1.0;
@@ -493,114 +1299,70 @@ function redrawWaveformSpecific(state, canvas, ctx) {
   }
   ctx.stroke();
 
-  soundBuffers.forEach(sound => {
-    // Animation logic (angle update, sound triggering, pulsing state) is now handled in drawFrame.
-    // This function just draws based on the current state of 'sound'.
-
-    const xPos = centerX + Math.cos(sound.angle) * sound.orbitRadius;
-    const yPos = centerY + Math.sin(sound.angle) * sound.orbitRadius;
-    const markerSize = (24 - sound.layerIndex * 4) / scale;
-    const color = colors[sound.layerIndex % colors.length];
-    let pulseFactor = 1.0;
-
-    if (sound.pulsing) {
-      // sound.pulsing is true if drawFrame determined we are within the 0-500ms pulse window.
-      // Calculate visual pulse factor based on current time.
-      const timeSincePulse = Date.now() - sound.pulseStartTime;
-      if (timeSincePulse >= 0 && timeSincePulse < 500) { // Ensure timeSincePulse is positive
-        pulseFactor = 1.0 + 0.5 * Math.sin(timeSincePulse / 500 * Math.PI);
-      } else {
-        // If sound.pulsing is true but timeSincePulse is outside expected range (e.g., due to lag),
-        // default to no visual pulse or end of pulse.
-        pulseFactor = 1.0; 
+  if (state.mode === 'sequencer' && state.sequence) {
+    drawSequencer(ctx, state, centerX, centerY);
+  } else {
+    soundBuffers.forEach(sound => {
+      // Animation logic (angle update, sound triggering, pulsing state) is now handled by the update callback registered in render.
+      // This function just draws based on the current state of 'sound'.
+
+      const xPos = centerX + Math.cos(sound.angle) * sound.orbitRadius;
+      const yPos = centerY + Math.sin(sound.angle) * sound.orbitRadius;
+      const markerSize = 24 - sound.layerIndex * 4;
+      const color = colors[sound.layerIndex % colors.length];
+      let pulseFactor = 1.0;
+
+      if (sound.pulsing) {
+        // sound.pulsing is true if the update callback determined we are within the 0-500ms pulse window.
+        // Calculate visual pulse factor based on the playback position.
+        const timeSincePulse = state.elapsedTime - sound.pulseStartTime;
+        if (timeSincePulse >= 0 && timeSincePulse < 500) { // Ensure timeSincePulse is positive
+          pulseFactor = 1.0 + 0.5 * Math.sin(timeSincePulse / 500 * Math.PI);
+        } else {
+          // If sound.pulsing is true but timeSincePulse is outside expected range (e.g., due to lag),
+          // default to no visual pulse or end of pulse.
+          pulseFactor = 1.0; 
+        }
       }
-    }
-
-    const glowSize = markerSize * 2 * pulseFactor;
-    const glowGradient = ctx.createRadialGradient(xPos, yPos, 0, xPos, yPos, glowSize);
-    const timeSincePlay = Date.now() - sound.lastPlayedTime;
-    const glowIntensity = Math.max(0.3, Math.min(0.9, 1 - timeSincePlay / 1000));
-    glowGradient.addColorStop(0, color + Math.floor(glowIntensity * 255).toString(16).padStart(2, '0'));
-    glowGradient.addColorStop(1, "rgba(0,0,0,0)");
-    ctx.fillStyle = glowGradient;
-    ctx.beginPath();
-    ctx.arc(xPos, yPos, glowSize, 0, Math.PI * 2);
-    ctx.fill();
-
-    ctx.fillStyle = "#ffffff";
-    ctx.font = `bold ${markerSize * pulseFactor}px monospace`;
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText(sound.char, xPos, yPos);
-
-    const trailLength = 5;
-    for (let i = 1; i <= trailLength; i++) {
-      const trailAngle = sound.angle - (i * 0.1);
-      const trailX = centerX + Math.cos(trailAngle) * sound.orbitRadius;
-      const trailY = centerY + Math.sin(trailAngle) * sound.orbitRadius;
-      const trailSize = markerSize * (1 - i/trailLength) * 0.5;
-      ctx.fillStyle = color + Math.floor((1 - i/trailLength) * 128).toString(16).padStart(2, '0');
-      ctx.beginPath();
-      ctx.arc(trailX, trailY, trailSize, 0, Math.PI * 2);
-      ctx.fill();
-    }
-  });
 
-  // Draw UI elements (buttons, text) - these should not scale with zoom
-  ctx.restore(); // Restore to pre-zoom/pan state for UI
-  ctx.save();    // Save clean state for UI
-
-  const buttonSize = 50;
-  const playButtonX = canvas.width - buttonSize - 20;
-  const playButtonY = 20;
-
-  ctx.fillStyle = "#16213e";
-  ctx.strokeStyle = "#e94560";
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  ctx.arc(playButtonX + buttonSize/2, playButtonY + buttonSize/2, buttonSize/2, 0, Math.PI * 2);
-  ctx.fill();
-  ctx.stroke();
-
-  ctx.fillStyle = "#ffffff";
-  if (isPlaying) {
-    ctx.fillRect(playButtonX + buttonSize/3, playButtonY + buttonSize/4, buttonSize/6, buttonSize/2);
-    ctx.fillRect(playButtonX + buttonSize/2, playButtonY + buttonSize/4, buttonSize/6, buttonSize/2);
-  } else {
-    ctx.beginPath();
-    ctx.moveTo(playButtonX + buttonSize/3, playButtonY + buttonSize/4);
-    ctx.lineTo(playButtonX + buttonSize/3, playButtonY + buttonSize*3/4);
-    ctx.lineTo(playButtonX + buttonSize*2/3, playButtonY + buttonSize/2);
-    ctx.closePath();
-    ctx.fill();
+      const timeSincePlay = state.elapsedTime - sound.lastPlayedTime;
+      drawMarker(ctx, sound.char, xPos, yPos, markerSize, color, pulseFactor, 1 - timeSincePlay / 1000);
+
+      const trailLength = 5;
+      for (let i = 1; i <= trailLength; i++) {
+        const trailAngle = sound.angle - (i * 0.1);
+        const trailX = centerX + Math.cos(trailAngle) * sound.orbitRadius;
+        const trailY = centerY + Math.sin(trailAngle) * sound.orbitRadius;
+        const trailSize = markerSize * (1 - i/trailLength) * 0.5;
+        ctx.fillStyle = color + Math.floor((1 - i/trailLength) * 128).toString(16).padStart(2, '0');
+        ctx.beginPath();
+        ctx.arc(trailX, trailY, trailSize, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    });
   }
 
-  const dualButtonX = canvas.width - buttonSize - 20;
-  const dualButtonY = playButtonY + buttonSize + 10;
-  ctx.fillStyle = "#16213e";
-  ctx.strokeStyle = state.dualTrigger ? "#4ecdc4" : "#6c757d";
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  ctx.arc(dualButtonX + buttonSize/2, dualButtonY + buttonSize/2, buttonSize/2, 0, Math.PI * 2);
-  ctx.fill();
-  ctx.stroke();
-  ctx.fillStyle = state.dualTrigger ? "#ffffff" : "#aaaaaa";
-  ctx.fillRect(dualButtonX + buttonSize/3 - 5, dualButtonY + buttonSize/4, buttonSize/8, buttonSize/2);
-  ctx.fillRect(dualButtonX + buttonSize*2/3 - 5, dualButtonY + buttonSize/4, buttonSize/8, buttonSize/2);
+  ctx.restore();
+}
 
-  ctx.fillStyle = "#ffffff77";
-  ctx.font = "14px monospace";
-  ctx.textAlign = "center";
-  const textY1 = canvas.height - 30;
-  const textY2 = canvas.height - 10;
-  if (isPlaying) {
-    ctx.fillText("Click top button to pause sound and enable editing", canvas.width / 2, textY1);
-  } else {
-    ctx.fillText("Click top button to start animation and sound", canvas.width / 2, textY1);
-  }
-  ctx.fillText("Click bottom button to toggle dual trigger mode", canvas.width / 2, textY2);
-  
-  ctx.restore(); // Restore to whatever state was before UI drawing
+/**
+ * Gets the area covered by the orbits and their markers; the waveform line
+ * spans the width of the canvas
+ * @param {Object} state - The current state for 'waveform'
+ * @param {Object} surface - Logical size of the canvas
+ * @returns {Object|null} Bounds in world coordinates
+ */
+function getWaveformBounds(state, surface) {
+  if (!state.soundBuffers || !state.soundBuffers.length) return null;
+  const radius = Math.max(...state.soundBuffers.map(sound => sound.orbitRadius)) + 48;
+  const centerX = surface.width / 2;
+  const centerY = surface.height / 2;
+  return {
+    minX: Math.min(0, centerX - radius),
+    minY: centerY - radius,
+    maxX: Math.max(surface.width, centerX + radius),
+    maxY: centerY + radius
+  };
 }
 
 // Register the waveform visualizer
@@ -611,15 +1373,57 @@ registerVisualizer('waveform', {
   containerId: 'waveformContainer', // Keep original container ID
   renderFunction: renderWaveformSpecific,
   redrawFunction: redrawWaveformSpecific,
+  getBounds: getWaveformBounds,
+  renderAudio: renderWaveformAudio,
+  getNotes: getWaveformNotes,
+  onDeactivate: stopWaveformVisualization,
+  destroy: destroyWaveformVisualization,
+  onParametersChange: applyWaveformParameters,
+  parameters: ['dualTrigger', 'volume', 'muted', ...SOUND_PARAMETERS, ...SEQUENCER_PARAMETERS], // Kept when the word changes
+  controls: [
+    {
+      label: state => state.isPlaying ? 'Pause sound' : 'Play sound',
+      text: state => state.isPlaying ? '⏸' : '▶',
+      shortcut: ' ',
+      disabled: state => !state.soundBuffers.length,
+      onChange: toggleWaveformAudio
+    },
+    {
+      label: 'Stop and rewind',
+      text: '⏹',
+      shortcut: 's',
+      disabled: state => !state.soundBuffers.length,
+      onChange: stopWaveformAudio
+    },
+    {
+      type: 'toggle',
+      label: 'Dual trigger (ring halfway round the orbits too)',
+      text: '⇅',
+      pressed: state => state.dualTrigger,
+      shortcut: 'd',
+      onChange: (visualizer, dualTrigger) => visualizer.setParameters({ dualTrigger })
+    },
+    {
+      type: 'range',
+      label: 'Volume',
+      min: 0,
+      max: 1,
+      step: 0.05,
+      value: state => state.volume,
+      onChange: (visualizer, volume) => visualizer.setParameters({ volume })
+    },
+    {
+      type: 'toggle',
+      label: 'Mute',
+      text: state => state.muted ? '🔇' : '🔊',
+      pressed: state => state.muted,
+      shortcut: 'm',
+      onChange: (visualizer, muted) => visualizer.setParameters({ muted })
+    }
+  ],
   stateTemplate: waveformStateTemplate,
-  animationConfig: { // Passed to generatePhoneticLayers and animateTypewriter by visualizer-base
+  animationConfig: { // Passed to generatePhoneticLayers and the typewriter by visualizer-base
     layerDepth: 3,
     duration: 8000
   }
 });
-
-// Export stop function for use by main.js
-export { stopWaveformVisualization };
-
-// The old stopWaveformAudio and cleanupWaveformResources are effectively replaced
-// by the new structure and cleanupWaveformAudioResources being called internally by render or stop.
@@ -0,0 +1,60 @@
+/**
+ * Phonetic Visualizer - WAV Encoder
+ * Writes rendered audio as a 16-bit PCM WAV file
+ */
+
+// Bytes per sample of 16-bit audio
+const BYTES_PER_SAMPLE = 2;
+
+/**
+ * Encodes audio as a 16-bit PCM WAV file. Samples outside -1..1 are clipped.
+ * @param {AudioBuffer} audioBuffer - The audio, e.g. from OfflineAudioContext.startRendering
+ * @param {number} [channelCount=2] - Channels written; a mono buffer is copied to every channel
+ * @returns {Uint8Array} The WAV file
+ */
+function encodeWav(audioBuffer, channelCount = 2) {
+  const { sampleRate, length } = audioBuffer;
+  const channels = [];
+  for (let c = 0; c < channelCount; c++) {
+    channels.push(audioBuffer.getChannelData(Math.min(c, audioBuffer.numberOfChannels - 1)));
+  }
+
+  const blockAlign = channelCount * BYTES_PER_SAMPLE;
+  const dataSize = length * blockAlign;
+  const file = new Uint8Array(44 + dataSize);
+  const view = new DataView(file.buffer);
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeText(8, 'WAVE');
+
+  // Format chunk: integer PCM
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, BYTES_PER_SAMPLE * 8, true);
+
+  // Data chunk: interleaved samples
+  writeText(36, 'data');
+  view.setUint32(40, dataSize, true);
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < channelCount; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += BYTES_PER_SAMPLE;
+    }
+  }
+  return file;
+}
+
+export {
+  encodeWav
+};
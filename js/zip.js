@@ -0,0 +1,109 @@
+/**
+ * Phonetic Visualizer - ZIP Archives
+ * Packs files into a ZIP archive in plain JavaScript. Files are stored
+ * without compression, which suits contents that are compressed already
+ * (e.g. PNG images).
+ */
+
+// CRC-32 of every byte value, for the checksum ZIP keeps of each file
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum of some bytes
+ * @param {Uint8Array} data - The bytes
+ * @returns {number} The checksum
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Formats a date as the MS-DOS time and date ZIP entries carry
+ * @param {Date} date - The date
+ * @returns {Object} { time, date } as 16-bit values
+ */
+function getDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Packs files into a ZIP archive
+ * @param {Array} files - { name, data } entries: a path inside the archive and the contents as a Uint8Array
+ * @param {Date} [modified] - Modification time of every file (defaults to now)
+ * @returns {Blob} The archive
+ */
+function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = getDosDateTime(modified);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+
+    // Fields shared by the local header and the central directory entry
+    const fields = new DataView(new ArrayBuffer(26));
+    fields.setUint16(0, 20, true); // Version needed to extract (2.0)
+    fields.setUint16(2, 0x0800, true); // The name is UTF-8
+    fields.setUint16(4, 0, true); // Stored, not compressed
+    fields.setUint16(6, time, true);
+    fields.setUint16(8, date, true);
+    fields.setUint32(10, crc, true);
+    fields.setUint32(14, file.data.length, true); // Compressed size
+    fields.setUint32(18, file.data.length, true); // Uncompressed size
+    fields.setUint16(22, name.length, true);
+    fields.setUint16(24, 0, true); // No extra field
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    local.set(new Uint8Array(fields.buffer), 4);
+    local.set(name, 30);
+    parts.push(local, file.data);
+
+    const entry = new Uint8Array(46 + name.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true);
+    entryView.setUint16(4, 20, true); // Made by version 2.0
+    entry.set(new Uint8Array(fields.buffer), 6);
+    // Comment length, disk number and attributes stay 0
+    entryView.setUint32(42, offset, true);
+    entry.set(name, 46);
+    directory.push(entry);
+
+    offset += local.length + file.data.length;
+  });
+
+  const directorySize = directory.reduce((size, entry) => size + entry.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true); // Entries on this disk
+  end.setUint16(10, files.length, true); // Entries in total
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+export {
+  createZip
+};
@@ -14,13 +14,14 @@ const MIME_TYPES = {
   '.gif': 'image/gif',
   '.svg': 'image/svg+xml',
   '.ico': 'image/x-icon',
+  '.txt': 'text/plain; charset=utf-8',
 };
 
 const server = http.createServer((req, res) => {
   console.log(`${req.method} ${req.url}`);
 
-  // Normalize URL to prevent directory traversal
-  let filePath = '.' + req.url;
+  // Normalize URL to prevent directory traversal; the query string is not part of the file
+  let filePath = '.' + req.url.split('?')[0];
   if (filePath === './') {
     filePath = './index.html';
   }
@@ -33,7 +34,7 @@ const server = http.createServer((req, res) => {
   fs.readFile(filePath, (err, content) => {
     if (err) {
       if (err.code === 'ENOENT') {
-        // Page not found
+        // Page not found: serve the app, which reads routes such as /v/spiral/hello itself
         fs.readFile('./index.html', (err, content) => {
           res.writeHead(200, { 'Content-Type': 'text/html' });
           res.end(content, 'utf-8');